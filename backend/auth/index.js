@@ -0,0 +1,198 @@
+// ===================================
+// 🔐 Authentification
+// Le fournisseur d'identité est choisi par AUTH_PROVIDER:
+//   local (défaut) - comptes du fichier data/users.json (npm run create-user)
+//   stub           - comptes de test déclarés dans AUTH_STUB_USERS
+//   none           - authentification désactivée (poste de développement)
+// Un fournisseur OIDC/LDAP n'a qu'à exposer authenticate(username, password)
+// ===================================
+
+const { AuthenticationError, ForbiddenError, ValidationError, sendError } = require('../utils/errors');
+const { signToken, signLinkToken, verifyToken } = require('./tokens');
+const { ROLES, isAdmin, canRunTreatment, canAccessTeam } = require('./roles');
+
+const PROVIDERS = {
+  local: () => require('./providers/local'),
+  stub: () => require('./providers/stub')
+};
+
+const PROVIDER_NAME = (process.env.AUTH_PROVIDER || 'local').toLowerCase();
+const AUTH_ENABLED = PROVIDER_NAME !== 'none';
+
+if (AUTH_ENABLED && !PROVIDERS[PROVIDER_NAME]) {
+  throw new Error(`AUTH_PROVIDER inconnu: ${PROVIDER_NAME} (${[...Object.keys(PROVIDERS), 'none'].join(', ')})`);
+}
+
+const provider = AUTH_ENABLED ? PROVIDERS[PROVIDER_NAME]() : null;
+
+// Utilisateur implicite quand l'authentification est désactivée
+const ANONYMOUS_ADMIN = { username: 'local', name: 'Poste local', roles: ['admin'], teams: [] };
+
+function describeUser(user) {
+  return {
+    username: user.username,
+    name: user.name,
+    roles: user.roles,
+    teams: user.teams || [],
+    admin: isAdmin(user)
+  };
+}
+
+/**
+ * Vérifie les identifiants auprès du fournisseur et ouvre une session
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{token: string, expires_at: string, user: Object}>}
+ */
+async function login(username, password) {
+  if (!AUTH_ENABLED) {
+    throw new ValidationError("L'authentification est désactivée sur ce serveur", 'AUTH_DISABLED');
+  }
+  if (!username || !password) {
+    throw new ValidationError('Identifiant et mot de passe requis', 'CREDENTIALS_MISSING');
+  }
+
+  const user = await provider.authenticate(String(username).trim(), String(password));
+  if (!user) {
+    console.warn(`🔒 Échec de connexion pour ${username}`);
+    throw new AuthenticationError('Identifiant ou mot de passe incorrect', 'INVALID_CREDENTIALS');
+  }
+
+  const { token, expiresAt } = signToken(user);
+  console.log(`🔓 Connexion de ${user.username} (${user.roles.join(', ') || 'aucun rôle'})`);
+  return { token, expires_at: expiresAt.toISOString(), user: describeUser(user) };
+}
+
+// URL ouvertes sans en-tête Authorization (EventSource, lien de téléchargement):
+// seules routes qui acceptent un jeton de lien en paramètre access_token
+const LINK_ROUTES = [
+  /^\/api\/jobs\/[^/]+\/events$/,
+  /^\/api\/jobs\/[^/]+\/result$/,
+  /^\/api\/tracking-store\/[^/]+\/versions\/[^/]+\/download$/
+];
+
+function readBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+// Session de l'en-tête Authorization, sinon jeton de lien émis pour cette URL précise
+function readUser(req) {
+  const token = readBearerToken(req);
+  if (token) {
+    return verifyToken(token);
+  }
+
+  const linkPath = req.baseUrl + req.path;
+  if (req.query.access_token && LINK_ROUTES.some(route => route.test(linkPath))) {
+    return verifyToken(String(req.query.access_token), { purpose: 'link', path: linkPath });
+  }
+  throw new AuthenticationError();
+}
+
+/**
+ * Middleware Express: exige une session valide et la place dans req.user
+ */
+function requireAuth(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.user = ANONYMOUS_ADMIN;
+    return next();
+  }
+
+  try {
+    req.user = readUser(req);
+    next();
+  } catch (error) {
+    // Un jeton illisible (charge utile corrompue) est un jeton invalide, pas une panne
+    sendError(res, error.status ? error : new AuthenticationError('Jeton de session invalide', 'INVALID_TOKEN'));
+  }
+}
+
+/**
+ * Jeton à placer dans l'URL d'un flux ou d'un téléchargement
+ * Les droits sur la ressource restent vérifiés par la route au moment de l'accès.
+ * @param {Object} user - Utilisateur de la session
+ * @param {string} resourcePath - Chemin sans paramètres, parmi LINK_ROUTES
+ * @returns {{token: string, expires_at: string}}
+ */
+function issueLinkToken(user, resourcePath) {
+  const linkPath = String(resourcePath || '');
+  if (!LINK_ROUTES.some(route => route.test(linkPath))) {
+    throw new ValidationError(`Aucun lien ne peut être créé pour ${linkPath}`, 'LINK_PATH_INVALID', { path: linkPath });
+  }
+
+  const { token, expiresAt } = signLinkToken(user, linkPath);
+  return { token, expires_at: expiresAt.toISOString() };
+}
+
+/**
+ * Middleware Express: réserve une route aux utilisateurs autorisés à lancer un traitement
+ * @param {string} treatmentId
+ */
+function requireTreatment(treatmentId) {
+  return (req, res, next) => {
+    if (!canRunTreatment(req.user, treatmentId)) {
+      return sendError(res, new ForbiddenError('Votre rôle ne donne pas accès à cette ressource', 'ROLE_FORBIDDEN', { treatment: treatmentId }));
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware Express: réserve une route aux administrateurs
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return sendError(res, new ForbiddenError('Réservé aux administrateurs', 'ADMIN_REQUIRED'));
+  }
+  next();
+}
+
+/**
+ * Middleware Express: réserve une route /:team aux membres de l'équipe (et aux administrateurs)
+ */
+function requireTeam(req, res, next) {
+  try {
+    assertCanAccessTeam(req.user, req.params.team);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+function assertCanAccessTeam(user, team) {
+  if (!canAccessTeam(user, team)) {
+    throw new ForbiddenError(`Vous n'avez pas accès à l'équipe « ${team} »`, 'TEAM_FORBIDDEN', { team });
+  }
+}
+
+function assertCanRun(user, treatment) {
+  if (!canRunTreatment(user, treatment.id)) {
+    throw new ForbiddenError(`Vous n'avez pas accès au traitement « ${treatment.name} »`, 'TREATMENT_FORBIDDEN', { treatment: treatment.name });
+  }
+}
+
+// Un job n'est visible que de celui qui l'a lancé (et des administrateurs)
+function canAccessJob(user, job) {
+  return !job.owner || job.owner === user.username || isAdmin(user);
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  PROVIDER_NAME,
+  ROLES,
+  login,
+  requireAuth,
+  issueLinkToken,
+  requireTreatment,
+  requireAdmin,
+  requireTeam,
+  describeUser,
+  assertCanRun,
+  assertCanAccessTeam,
+  canRunTreatment,
+  canAccessTeam,
+  canAccessJob,
+  isAdmin
+};
@@ -0,0 +1,31 @@
+// ===================================
+// 🔑 Hachage des mots de passe (scrypt)
+// Format stocké: scrypt$<sel en hex>$<empreinte en hex>
+// ===================================
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Empreinte qu'aucun mot de passe ne vérifie: un identifiant inconnu coûte le même calcul
+// qu'un mot de passe faux, la durée de la réponse ne révèle pas les comptes existants
+const DUMMY_HASH = `scrypt$${crypto.randomBytes(16).toString('hex')}$${crypto.randomBytes(KEY_LENGTH).toString('hex')}`;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { DUMMY_HASH, hashPassword, verifyPassword };
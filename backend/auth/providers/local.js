@@ -0,0 +1,44 @@
+// ===================================
+// 👤 Fournisseur local: comptes stockés dans un fichier JSON
+// [{ username, name, roles, teams, password_hash }]
+// ===================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DUMMY_HASH, verifyPassword } = require('../passwords');
+
+const USERS_FILE = process.env.AUTH_USERS_FILE || path.join(__dirname, '..', '..', 'data', 'users.json');
+
+async function readUsers() {
+  try {
+    return JSON.parse(await fs.readFile(USERS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function writeUsers(users) {
+  await fs.mkdir(path.dirname(USERS_FILE), { recursive: true });
+  const temporary = `${USERS_FILE}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(users, null, 2));
+  await fs.rename(temporary, USERS_FILE);
+}
+
+async function authenticate(username, password) {
+  const users = await readUsers();
+  const user = users.find(item => item.username.toLowerCase() === String(username).toLowerCase());
+  const valid = await verifyPassword(password, user ? user.password_hash : DUMMY_HASH);
+  if (!user || !valid) {
+    return null;
+  }
+  return { username: user.username, name: user.name || user.username, roles: user.roles || [], teams: user.teams || [] };
+}
+
+module.exports = {
+  name: 'local',
+  USERS_FILE,
+  readUsers,
+  writeUsers,
+  authenticate
+};
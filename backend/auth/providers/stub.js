@@ -0,0 +1,28 @@
+// ===================================
+// 🧪 Fournisseur de test: comptes déclarés dans AUTH_STUB_USERS
+// "alice:admin,bob:gestionnaire+analyste:nord+sud" (rôles puis équipes, mot de passe = identifiant)
+// Remplace un annuaire OIDC/LDAP en développement, jamais en production
+// ===================================
+
+function parseStubUsers(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const [username, roles = '', teams = ''] = item.split(':');
+      return { username, name: username, roles: roles.split('+').filter(Boolean), teams: teams.split('+').filter(Boolean) };
+    });
+}
+
+const USERS = parseStubUsers(process.env.AUTH_STUB_USERS);
+
+async function authenticate(username, password) {
+  const user = USERS.find(item => item.username === username);
+  return user && password === user.username ? { ...user } : null;
+}
+
+module.exports = {
+  name: 'stub',
+  authenticate
+};
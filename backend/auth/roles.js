@@ -0,0 +1,49 @@
+// ===================================
+// 🛡️ Rôles et traitements autorisés
+// Un utilisateur peut cumuler plusieurs rôles.
+// Les équipes (user.teams) limitent l'accès aux fichiers de suivi conservés sur le serveur.
+// ===================================
+
+const ROLES = {
+  admin: {
+    label: 'Administrateur',
+    treatments: '*',
+    admin: true
+  },
+  gestionnaire: {
+    label: 'Gestionnaire de stock',
+    treatments: ['stock-tracking', 'stock-tracking-rollback', 'data-merge']
+  },
+  analyste: {
+    label: 'Analyste des ventes',
+    treatments: ['sales-analysis', 'data-merge']
+  }
+};
+
+function validateRoles(roles) {
+  const unknown = roles.filter(role => !ROLES[role]);
+  return unknown.length > 0
+    ? `rôles inconnus: ${unknown.join(', ')} (${Object.keys(ROLES).join(', ')})`
+    : null;
+}
+
+function isAdmin(user) {
+  return !!user && user.roles.some(role => ROLES[role] && ROLES[role].admin);
+}
+
+function canRunTreatment(user, treatmentId) {
+  if (!user) return false;
+  return user.roles.some(role => {
+    const treatments = ROLES[role] ? ROLES[role].treatments : [];
+    return treatments === '*' || treatments.includes(treatmentId);
+  });
+}
+
+// Les administrateurs voient toutes les équipes; le nom d'équipe ne tient pas compte de la casse
+function canAccessTeam(user, team) {
+  if (isAdmin(user)) return true;
+  const key = String(team || '').toLowerCase();
+  return !!user && (user.teams || []).some(item => item.toLowerCase() === key);
+}
+
+module.exports = { ROLES, validateRoles, isAdmin, canRunTreatment, canAccessTeam };
@@ -0,0 +1,101 @@
+// ===================================
+// 🎟️ Jetons de session (JWT signés HS256)
+// Deux usages, jamais interchangeables:
+//   session - en-tête Authorization, durée AUTH_TOKEN_TTL_HOURS
+//   link    - paramètre access_token d'une seule URL (flux SSE, téléchargement), une minute
+// ===================================
+
+const crypto = require('crypto');
+const { AuthenticationError } = require('../utils/errors');
+
+const TOKEN_TTL_SECONDS = (Number(process.env.AUTH_TOKEN_TTL_HOURS) || 8) * 3600;
+// Le temps d'ouvrir le flux ou de lancer le téléchargement: une URL copiée ne sert pas longtemps
+const LINK_TOKEN_TTL_SECONDS = 60;
+
+// Sans AUTH_SECRET, les sessions ne survivent pas à un redémarrage du serveur
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️ AUTH_SECRET non défini: clé de signature temporaire, les sessions seront perdues au redémarrage');
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+function encodeToken(user, ttlSeconds, extraClaims) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({
+    sub: user.username,
+    name: user.name,
+    roles: user.roles,
+    teams: user.teams || [],
+    ...extraClaims,
+    iat: now,
+    exp: now + ttlSeconds
+  }));
+
+  return {
+    token: `${header}.${claims}.${sign(`${header}.${claims}`)}`,
+    expiresAt: new Date((now + ttlSeconds) * 1000)
+  };
+}
+
+/**
+ * Crée un jeton de session pour un utilisateur authentifié
+ * @param {Object} user - { username, name, roles, teams }
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function signToken(user) {
+  return encodeToken(user, TOKEN_TTL_SECONDS, { purpose: 'session' });
+}
+
+/**
+ * Crée un jeton de lien, valable une minute pour une seule URL
+ * @param {Object} user - Utilisateur de la session
+ * @param {string} resourcePath - Chemin exact de la ressource (ex: /api/jobs/<id>/events)
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function signLinkToken(user, resourcePath) {
+  return encodeToken(user, LINK_TOKEN_TTL_SECONDS, { purpose: 'link', path: resourcePath });
+}
+
+/**
+ * Vérifie un jeton et renvoie l'utilisateur qu'il décrit
+ * @param {string} token
+ * @param {Object} [expected]
+ * @param {string} [expected.purpose='session'] - 'session' ou 'link'
+ * @param {string} [expected.path] - Chemin demandé, pour un jeton de lien
+ * @returns {Object} - { username, name, roles, teams }
+ */
+function verifyToken(token, { purpose = 'session', path = null } = {}) {
+  const [header, claims, signature] = String(token || '').split('.');
+  if (!header || !claims || !signature) {
+    throw new AuthenticationError('Jeton de session invalide', 'INVALID_TOKEN');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${claims}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthenticationError('Jeton de session invalide', 'INVALID_TOKEN');
+  }
+
+  const payload = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+    throw new AuthenticationError('Session expirée, reconnectez-vous', 'SESSION_EXPIRED');
+  }
+
+  // Un jeton de lien ne vaut ni session ni accès à une autre URL
+  // (les jetons émis avant l'ajout de "purpose" sont des jetons de session)
+  if ((payload.purpose || 'session') !== purpose || (purpose === 'link' && payload.path !== path)) {
+    throw new AuthenticationError('Jeton de session invalide', 'INVALID_TOKEN');
+  }
+
+  return { username: payload.sub, name: payload.name, roles: payload.roles || [], teams: payload.teams || [] };
+}
+
+module.exports = { LINK_TOKEN_TTL_SECONDS, signToken, signLinkToken, verifyToken };
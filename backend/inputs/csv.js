@@ -0,0 +1,138 @@
+// ===================================
+// 🧾 Lecture des fichiers CSV
+// Encodage (UTF-8, UTF-16, Windows-1252/Latin-1) et séparateur détectés automatiquement
+// ===================================
+
+const ExcelJS = require('exceljs');
+
+const DELIMITERS = [';', ',', '\t', '|'];
+// Lignes examinées pour reconnaître le séparateur
+const SAMPLE_LINES = 20;
+
+/**
+ * Décode le contenu d'un CSV selon son BOM, sinon UTF-8 s'il est valide, sinon Windows-1252
+ * (sur-ensemble de Latin-1 utilisé par les exports Excel et ERP français)
+ * @param {Buffer} data
+ * @returns {{text: string, encoding: string}}
+ */
+function decodeCsv(data) {
+  if (data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf) {
+    return { text: data.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (data[0] === 0xff && data[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(data.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (data[0] === 0xfe && data[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(data.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(data), encoding: 'utf-8' };
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(data), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Séparateur le plus régulier sur les premières lignes (hors guillemets)
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, SAMPLE_LINES);
+
+  let best = { delimiter: DELIMITERS[0], score: 0 };
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    const first = counts[0] || 0;
+    if (first === 0) return;
+    // Même nombre de séparateurs sur chaque ligne: colonnes régulières
+    const regular = counts.filter(count => count === first).length;
+    const score = regular * 1000 + first;
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+}
+
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+}
+
+/**
+ * Découpe un CSV en lignes de valeurs (guillemets doublés, retours à la ligne dans les champs)
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Tout reste du texte: un code "12.10" ou "0042" ne doit pas devenir un nombre.
+// Les traitements convertissent eux-mêmes leurs colonnes numériques (quantités, montants, seuils).
+function toCellValue(raw) {
+  const text = raw.trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Convertit un CSV en classeur d'une feuille
+ * @param {Buffer} data
+ * @param {string} sheetName
+ * @returns {{workbook: ExcelJS.Workbook, encoding: string, delimiter: string, rows: number}}
+ */
+function readCsv(data, sheetName) {
+  const { text, encoding } = decodeCsv(data);
+  const delimiter = detectDelimiter(text);
+  const rows = parseCsv(text, delimiter);
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  rows.forEach(values => sheet.addRow(values.map(toCellValue)));
+
+  return { workbook, encoding, delimiter, rows: rows.length };
+}
+
+module.exports = { decodeCsv, detectDelimiter, parseCsv, readCsv };
@@ -0,0 +1,67 @@
+// ===================================
+// 📥 Formats d'entrée
+// Les traitements ne lisent que des classeurs .xlsx: les fichiers .xls, .ods et .csv
+// sont convertis au début du job, une fois les droits vérifiés, avant tout contrôle et tout traitement
+// ===================================
+
+const path = require('path');
+const { identifyUpload } = require('../utils/uploads');
+const { cleanupFiles } = require('../utils/files');
+const { readCsv } = require('./csv');
+const { FORMAT_LABELS, readSpreadsheet } = require('./spreadsheet');
+
+const INPUT_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv'];
+// Valeur de l'attribut accept des champs fichier
+const INPUT_ACCEPT = INPUT_EXTENSIONS.join(',');
+
+// Excel limite les noms de feuille à 31 caractères, sans : \ / ? * [ ]
+function toSheetName(fileName) {
+  const name = path.basename(fileName, path.extname(fileName)).replace(/[:\\/?*[\]]/g, '_').slice(0, 31);
+  return name || 'Feuille1';
+}
+
+/**
+ * Convertit si besoin un fichier reçu en classeur .xlsx.
+ * Le fichier multer est mis à jour sur place: `path` désigne ensuite le classeur converti.
+ * @param {Object} file - Fichier multer ({ path, originalname... })
+ * @returns {Promise<Object>} - Le même fichier, complété de `convertedFrom` s'il a été converti
+ */
+async function normalizeUpload(file) {
+  const { format, data } = await identifyUpload(file.path, file.originalname);
+  if (format === 'xlsx') return file;
+
+  let workbook;
+  if (format === 'csv') {
+    const csv = readCsv(data, toSheetName(file.originalname));
+    workbook = csv.workbook;
+    console.log(`🧾 ${file.originalname}: CSV ${csv.encoding}, séparateur "${csv.delimiter === '\t' ? 'tabulation' : csv.delimiter}", ${csv.rows} lignes`);
+  } else {
+    workbook = readSpreadsheet(data, format, file.originalname);
+  }
+
+  const convertedPath = `${file.path}.xlsx`;
+  await workbook.xlsx.writeFile(convertedPath);
+  await cleanupFiles([file.path]);
+
+  console.log(`🔄 ${file.originalname}: ${FORMAT_LABELS[format] || format.toUpperCase()} converti en classeur .xlsx`);
+  file.path = convertedPath;
+  file.convertedFrom = format;
+  return file;
+}
+
+/**
+ * Convertit tous les fichiers reçus (voir normalizeUpload)
+ * @param {Array} files - Fichiers multer
+ */
+async function normalizeUploads(files) {
+  for (const file of files) {
+    await normalizeUpload(file);
+  }
+}
+
+module.exports = {
+  INPUT_EXTENSIONS,
+  INPUT_ACCEPT,
+  normalizeUpload,
+  normalizeUploads
+};
@@ -0,0 +1,115 @@
+// ===================================
+// 📗 Lecture des classeurs Excel 97-2003 (.xls, BIFF) et OpenDocument (.ods)
+// Lus par SheetJS puis recopiés cellule par cellule dans un classeur ExcelJS
+//
+// Dépendance: choix assumé du projet
+// - ExcelJS ne lit que le .xlsx: SheetJS sert uniquement à cette lecture des .xls et .ods
+// - le paquet "xlsx" du registre npm est figé en 0.18.5, avec des failles connues
+//   (pollution de prototype CVE-2023-30533, ReDoS CVE-2024-22363) corrigées seulement
+//   dans les versions publiées par SheetJS sur cdn.sheetjs.com
+// - package.json pointe donc vers l'archive de cdn.sheetjs.com, version fixée:
+//   l'installation doit pouvoir joindre ce site (miroir interne sinon)
+// - mise à jour: remplacer l'URL par celle de la nouvelle version publiée sur le CDN
+// ===================================
+
+const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
+const { UnsupportedFileError } = require('../utils/errors');
+
+const FORMAT_LABELS = {
+  xls: 'Excel 97-2003',
+  ods: 'OpenDocument'
+};
+
+// Jours entre le 01/01/1904 et le 01/01/1900 (classeurs Mac anciens)
+const DATE_1904_OFFSET = 1462;
+
+/**
+ * Convertit un classeur .xls ou .ods en classeur ExcelJS (valeurs et format des dates, sans mise en forme)
+ * @param {Buffer} data
+ * @param {string} format - xls ou ods
+ * @param {string} originalName
+ * @returns {ExcelJS.Workbook}
+ */
+function readSpreadsheet(data, format, originalName) {
+  let source;
+  try {
+    // Dates lues comme numéros de série: converties ici en UTC, comme ExcelJS les attend
+    source = XLSX.read(data, { type: 'buffer', cellDates: false, cellNF: true, cellFormula: false, cellHTML: false });
+  } catch (error) {
+    throw new UnsupportedFileError(
+      `"${originalName}" est endommagé ou illisible (${FORMAT_LABELS[format]}): ${error.message}`,
+      'FILE_CORRUPTED',
+      { file: originalName, format: FORMAT_LABELS[format] }
+    );
+  }
+
+  const date1904 = !!(source.Workbook && source.Workbook.WBProps && source.Workbook.WBProps.date1904);
+  const sheetProps = (source.Workbook && source.Workbook.Sheets) || [];
+
+  const workbook = new ExcelJS.Workbook();
+  source.SheetNames.forEach((name, index) => {
+    const sheet = workbook.addWorksheet(name, {
+      state: sheetProps[index] && sheetProps[index].Hidden ? 'hidden' : 'visible'
+    });
+    copySheet(source.Sheets[name], sheet, date1904);
+  });
+
+  return workbook;
+}
+
+// Seules les cellules présentes dans le fichier sont parcourues: la plage déclarée (!ref)
+// peut annoncer tout le classeur (A1:XFD1048576) pour quelques cellules réelles
+function copySheet(sourceSheet, sheet, date1904) {
+  if (!sourceSheet) return;
+
+  let lastRow = 0;
+  let lastCol = 0;
+  Object.keys(sourceSheet).forEach(address => {
+    if (address.startsWith('!')) return;
+    const value = toCellValue(sourceSheet[address], date1904);
+    if (value === null) return;
+
+    const { r, c } = XLSX.utils.decode_cell(address);
+    const target = sheet.getCell(r + 1, c + 1);
+    target.value = value;
+    if (value instanceof Date) {
+      target.numFmt = 'dd/mm/yyyy';
+    }
+    lastRow = Math.max(lastRow, r + 1);
+    lastCol = Math.max(lastCol, c + 1);
+  });
+
+  // Fusions ramenées à la zone occupée, pour la même raison
+  (sourceSheet['!merges'] || []).forEach(merge => {
+    const top = merge.s.r + 1;
+    const left = merge.s.c + 1;
+    const bottom = Math.min(merge.e.r + 1, lastRow);
+    const right = Math.min(merge.e.c + 1, lastCol);
+    if (bottom >= top && right >= left && (bottom > top || right > left)) {
+      sheet.mergeCells(top, left, bottom, right);
+    }
+  });
+}
+
+function toCellValue(cell, date1904) {
+  switch (cell.t) {
+    case 'n':
+      if (cell.z && XLSX.SSF.is_date(cell.z)) {
+        const serial = date1904 ? cell.v + DATE_1904_OFFSET : cell.v;
+        return new Date(Math.round((serial - 25569) * 86400000));
+      }
+      return cell.v;
+    case 'd':
+      return cell.v instanceof Date ? cell.v : null;
+    case 's':
+      return cell.v === '' ? null : cell.v;
+    case 'b':
+      return cell.v;
+    default:
+      // Cellules en erreur (#N/A...) ou vides
+      return null;
+  }
+}
+
+module.exports = { FORMAT_LABELS, readSpreadsheet };
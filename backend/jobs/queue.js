@@ -0,0 +1,223 @@
+// ===================================
+// ⏳ File d'attente des traitements
+// Exécution bornée en arrière-plan, résultats conservés temporairement
+// ===================================
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const path = require('path');
+const { cleanupFiles } = require('../utils/files');
+const { describeError } = require('../utils/errors');
+
+// Nombre de traitements simultanés (ExcelJS est gourmand en mémoire)
+const MAX_CONCURRENT_JOBS = Number(process.env.JOB_CONCURRENCY) || 1;
+// Durée de conservation d'un résultat ou d'une erreur
+const JOB_TTL_MS = (Number(process.env.JOB_RESULT_TTL_MINUTES) || 30) * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const jobs = new Map();
+const pending = [];
+let runningCount = 0;
+
+// Notifie les abonnés (flux SSE) à chaque changement d'état d'un job
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Ajoute un traitement à la file d'attente
+ * @param {Object} options
+ * @param {string} options.treatmentId
+ * @param {string[]} options.inputPaths - Fichiers uploadés, supprimés une fois le traitement fini
+ * @param {boolean} [options.dryRun=false] - Prévisualisation: le résultat est un objet JSON, pas un fichier
+ * @param {string|null} [options.owner] - Identifiant de l'utilisateur qui a lancé le traitement
+ * @param {Function} options.run - async ({ jobId, reportProgress, setInputPaths }) => ({ outputPath, filename, contentType }) ou ({ preview })
+ * @returns {Object} - Job créé
+ */
+function enqueueJob({ treatmentId, inputPaths, dryRun = false, owner = null, run }) {
+  const job = {
+    id: crypto.randomUUID(),
+    treatmentId,
+    dryRun,
+    owner,
+    status: 'queued',
+    step: "En attente d'un emplacement de traitement",
+    progress: { stage: 'queued', percent: 0, rowsProcessed: null, rowsTotal: null },
+    error: null,
+    result: null,
+    inputPaths,
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    run
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+  console.log(`📥 Job ${job.id} (${treatmentId}) en file, ${pending.length} en attente`);
+
+  runNext();
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function isJobFinished(job) {
+  return job.status === 'done' || job.status === 'failed';
+}
+
+/**
+ * S'abonne aux mises à jour d'un job
+ * @param {string} id
+ * @param {Function} listener - Appelé avec le job à chaque mise à jour
+ * @returns {Function} - Désabonnement
+ */
+function subscribeToJob(id, listener) {
+  jobEvents.on(id, listener);
+  return () => jobEvents.off(id, listener);
+}
+
+function notify(job) {
+  jobEvents.emit(job.id, job);
+}
+
+/**
+ * Vue publique d'un job (sans chemins de fichiers)
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    treatment_id: job.treatmentId,
+    dry_run: job.dryRun,
+    owner: job.owner,
+    status: job.status,
+    step: job.step,
+    progress: {
+      stage: job.progress.stage,
+      percent: job.progress.percent,
+      rows_processed: job.progress.rowsProcessed,
+      rows_total: job.progress.rowsTotal
+    },
+    error: job.error,
+    queue_position: job.status === 'queued' ? pending.indexOf(job) + 1 : null,
+    result_filename: job.result && job.result.filename ? job.result.filename : null,
+    created_at: job.createdAt,
+    started_at: job.startedAt,
+    finished_at: job.finishedAt,
+    expires_at: job.expiresAt
+  };
+}
+
+// ===================================
+// EXÉCUTION
+// ===================================
+
+function runNext() {
+  while (runningCount < MAX_CONCURRENT_JOBS && pending.length > 0) {
+    const job = pending.shift();
+    runningCount++;
+    executeJob(job).finally(() => {
+      runningCount--;
+      runNext();
+    });
+    // Les jobs restants avancent d'une place dans la file
+    pending.forEach(notify);
+  }
+}
+
+async function executeJob(job) {
+  job.status = 'running';
+  job.step = 'Traitement en cours';
+  job.progress = { stage: 'start', percent: 0, rowsProcessed: null, rowsTotal: null };
+  job.startedAt = new Date();
+  console.log(`⚙️ Job ${job.id} démarré`);
+  notify(job);
+
+  try {
+    job.result = await job.run({
+      jobId: job.id,
+      reportProgress: event => reportProgress(job, event),
+      // Fichiers d'entrée remplacés pendant le job (conversion en .xlsx): ce sont eux qu'il faudra supprimer
+      setInputPaths: paths => {
+        job.inputPaths = paths;
+      }
+    });
+    job.status = 'done';
+    job.step = 'Terminé';
+    job.progress = { ...job.progress, stage: 'done', percent: 100 };
+    console.log(`✅ Job ${job.id} terminé`);
+  } catch (error) {
+    console.error(`❌ Job ${job.id} en échec:`, error);
+    job.status = 'failed';
+    job.step = 'Échec';
+    // Code et contexte conservés: le frontend affiche le message dans la langue de l'utilisateur
+    job.error = describeError(error);
+  } finally {
+    job.finishedAt = new Date();
+    job.expiresAt = new Date(job.finishedAt.getTime() + JOB_TTL_MS);
+    job.run = null;
+    // Certains processeurs écrivent le résultat dans un fichier d'entrée (ex: fichier de suivi)
+    const outputPath = job.result && job.result.outputPath && path.resolve(job.result.outputPath);
+    await cleanupFiles(job.inputPaths.filter(inputPath => path.resolve(inputPath) !== outputPath));
+    notify(job);
+  }
+}
+
+/**
+ * Enregistre un événement de progression émis par un processeur
+ * @param {Object} job
+ * @param {Object} event
+ * @param {string} event.stage - Identifiant de l'étape (ex: 'update-tracking')
+ * @param {string} [event.message] - Libellé affiché (ex: 'Étape 1/3: Mise à jour du suivi')
+ * @param {number} [event.percent] - Avancement global, de 0 à 100
+ * @param {number} [event.rowsProcessed]
+ * @param {number} [event.rowsTotal]
+ */
+function reportProgress(job, event) {
+  if (isJobFinished(job)) return;
+
+  job.progress = {
+    stage: event.stage,
+    // L'avancement ne recule jamais, même si une étape annonce un pourcentage approximatif
+    percent: Math.max(job.progress.percent, Math.min(100, Math.round(event.percent ?? job.progress.percent))),
+    rowsProcessed: event.rowsProcessed ?? null,
+    rowsTotal: event.rowsTotal ?? null
+  };
+  if (event.message) {
+    job.step = event.message;
+  }
+  notify(job);
+}
+
+// ===================================
+// NETTOYAGE
+// ===================================
+
+// Oublie les jobs dont la durée de conservation est écoulée et supprime leur résultat
+async function cleanupExpiredJobs() {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (job.expiresAt && job.expiresAt.getTime() <= now) {
+      jobs.delete(job.id);
+      if (job.result && job.result.outputPath) {
+        await cleanupFiles([job.result.outputPath]);
+      }
+      console.log(`🧹 Job ${job.id} expiré`);
+    }
+  }
+}
+
+setInterval(() => {
+  cleanupExpiredJobs().catch(err => console.error('Erreur nettoyage des jobs:', err));
+}, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  isJobFinished,
+  subscribeToJob,
+  describeJob,
+  cleanupExpiredJobs
+};
@@ -0,0 +1,193 @@
+// ===================================
+// 📦 Formats de sortie
+// Le traitement produit toujours un classeur; il est converti ici
+// au format demandé (CSV, JSON, PDF) ou livré avec ses dérivés dans un ZIP
+// ===================================
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const archiver = require('archiver');
+const { ValidationError } = require('../utils/errors');
+const { cleanupFiles } = require('../utils/files');
+const { extractTables } = require('./tables');
+const { renderPdfReport } = require('./pdf');
+
+const OUTPUT_FORMATS = {
+  xlsx: { label: 'Classeur Excel (.xlsx)', extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { label: "CSV (un fichier par tableau, zippés s'il y en a plusieurs)", extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', contentType: 'application/json; charset=utf-8' },
+  pdf: { label: 'Rapport PDF', extension: 'pdf', contentType: 'application/pdf' },
+  zip: { label: 'Archive ZIP (classeur, CSV, JSON et PDF)', extension: 'zip', contentType: 'application/zip' }
+};
+
+const DEFAULT_OUTPUT_FORMAT = 'xlsx';
+
+// Séparateur et BOM attendus par Excel en français
+const CSV_SEPARATOR = ';';
+const CSV_BOM = '\uFEFF';
+
+function resolveOutputFormat(value) {
+  const format = String(value || DEFAULT_OUTPUT_FORMAT).toLowerCase();
+  if (!OUTPUT_FORMATS[format]) {
+    throw new ValidationError(
+      `Format de sortie inconnu: ${value}. Valeurs possibles: ${Object.keys(OUTPUT_FORMATS).join(', ')}`,
+      'OUTPUT_FORMAT_UNKNOWN',
+      { value, allowed: Object.keys(OUTPUT_FORMATS) }
+    );
+  }
+  return format;
+}
+
+function listOutputFormats() {
+  return Object.entries(OUTPUT_FORMATS).map(([id, format]) => ({ id, label: format.label }));
+}
+
+/**
+ * Convertit le classeur produit par un traitement au format demandé
+ * @param {Object} result - { outputPath, filename } renvoyé par le handler
+ * @param {string} format - Clé de OUTPUT_FORMATS
+ * @param {Object} [options]
+ * @param {string[]} [options.reportSheets] - Feuilles reprises dans les dérivés (début du nom); toutes par défaut
+ * @param {Function} [options.onProgress]
+ * @returns {Promise<Object>} - { outputPath, filename, contentType }
+ */
+async function convertOutput(result, format, { reportSheets = null, onProgress = () => {} } = {}) {
+  if (format === 'xlsx') {
+    return { ...result, contentType: OUTPUT_FORMATS.xlsx.contentType };
+  }
+
+  onProgress({ stage: 'output', message: `Génération du format ${format.toUpperCase()}`, percent: 92 });
+  let outputPath = null;
+  try {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(result.outputPath);
+
+    const baseName = result.filename.replace(/\.xlsx$/i, '');
+    const sheets = extractTables(workbook, reportSheets);
+    const csvFiles = toCsvFiles(sheets, baseName);
+
+    let output;
+    if (format === 'json') {
+      output = { name: `${baseName}.json`, content: toJson(sheets, baseName) };
+    } else if (format === 'pdf') {
+      output = { name: `${baseName}.pdf`, content: await renderPdfReport(sheets, baseName) };
+    } else if (format === 'csv' && csvFiles.length === 1) {
+      output = { name: `${baseName}.csv`, content: csvFiles[0].content };
+    } else {
+      const entries = format === 'csv'
+        ? csvFiles
+        : [
+          { name: result.filename, path: result.outputPath },
+          ...csvFiles.map(file => ({ ...file, name: `csv/${file.name}` })),
+          { name: `${baseName}.json`, content: toJson(sheets, baseName) },
+          { name: `${baseName}.pdf`, content: await renderPdfReport(sheets, baseName) }
+        ];
+      output = { name: `${baseName}.zip`, entries };
+    }
+
+    const extension = path.extname(output.name).slice(1);
+    outputPath = path.join(path.dirname(result.outputPath), `output_${Date.now()}.${extension}`);
+    if (output.entries) {
+      await writeZip(outputPath, output.entries);
+    } else {
+      await fs.promises.writeFile(outputPath, output.content);
+    }
+
+    console.log(`📦 Résultat converti en ${extension.toUpperCase()}: ${output.name}`);
+    return {
+      outputPath,
+      filename: output.name,
+      contentType: OUTPUT_FORMATS[extension].contentType
+    };
+  } catch (error) {
+    // Fichier converti incomplet: rien à livrer
+    if (outputPath) await cleanupFiles([outputPath]);
+    throw error;
+  } finally {
+    // Le classeur du traitement n'est plus utile, que la conversion ait abouti ou non
+    await cleanupFiles([result.outputPath]);
+  }
+}
+
+// Un CSV par tableau doté de colonnes
+function toCsvFiles(sheets, baseName) {
+  const files = [];
+  sheets.forEach(sheet => {
+    const tables = sheet.tables.filter(table => table.columns.length > 0);
+    tables.forEach((table, i) => {
+      const suffix = tables.length > 1 ? `_${i + 1}` : '';
+      const lines = [table.columns, ...table.rows].map(values => values.map(toCsvValue).join(CSV_SEPARATOR));
+      files.push({
+        name: `${baseName}_${slugify(sheet.name)}${suffix}.csv`,
+        content: CSV_BOM + lines.join('\r\n') + '\r\n'
+      });
+    });
+  });
+  return files;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  // Décimales à la française pour une réouverture directe dans Excel
+  const text = typeof value === 'number' ? String(value).replace('.', ',') : String(value);
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toJson(sheets, baseName) {
+  return JSON.stringify({
+    name: baseName,
+    generated_at: new Date().toISOString(),
+    sheets: sheets.map(sheet => ({
+      name: sheet.name,
+      tables: sheet.tables.map(table => ({
+        title: table.title,
+        columns: table.columns,
+        rows: table.rows.map(values => Object.fromEntries(table.columns.map((column, i) => [column, values[i] ?? null])))
+      }))
+    }))
+  }, null, 2);
+}
+
+function slugify(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+}
+
+function writeZip(outputPath, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    // Disque plein, dossier supprimé...: le job échoue au lieu d'attendre un 'close' qui ne vient pas
+    output.on('error', error => {
+      archive.abort();
+      reject(error);
+    });
+    output.on('close', resolve);
+    archive.on('error', reject);
+    // archiver signale un fichier source introuvable par un simple avertissement
+    archive.on('warning', reject);
+    archive.pipe(output);
+
+    entries.forEach(entry => {
+      if (entry.path) {
+        archive.file(entry.path, { name: entry.name });
+      } else {
+        archive.append(entry.content, { name: entry.name });
+      }
+    });
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  resolveOutputFormat,
+  listOutputFormats,
+  convertOutput
+};
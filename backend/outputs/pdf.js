@@ -0,0 +1,114 @@
+// ===================================
+// 🖨️ Rapport PDF imprimable
+// Un chapitre par feuille, un tableau par bloc (A4 paysage)
+// ===================================
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 30;
+const FONT_SIZE = 7;
+const ROW_HEIGHT = 12;
+const CELL_PADDING = 3;
+const HEADER_COLOR = '#003366';
+const STRIPE_COLOR = '#F2F2F2';
+
+/**
+ * Met en page les tableaux extraits du classeur résultat
+ * @param {Array} sheets - Résultat de extractTables()
+ * @param {string} title - Titre du rapport
+ * @returns {Promise<Buffer>} - Document PDF
+ */
+function renderPdfReport(sheets, title) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PAGE_MARGIN, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title);
+    doc.font('Helvetica').fontSize(9).fillColor('gray').text(`Généré le ${new Date().toLocaleString('fr-FR')}`);
+    doc.fillColor('black');
+
+    sheets.forEach((sheet, i) => {
+      if (i > 0) doc.addPage();
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(13).text(sheet.name);
+
+      sheet.tables.forEach(table => {
+        ensureSpace(doc, ROW_HEIGHT * 3);
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').fontSize(9).text(table.title, PAGE_MARGIN);
+        if (table.columns.length > 0) {
+          drawTable(doc, table);
+        }
+      });
+    });
+
+    doc.end();
+  });
+}
+
+function drawTable(doc, table) {
+  const pageWidth = doc.page.width - 2 * PAGE_MARGIN;
+  const widths = columnWidths(table, pageWidth);
+
+  const drawRow = (values, { header = false, stripe = false } = {}) => {
+    const y = doc.y;
+    if (header || stripe) {
+      doc.rect(PAGE_MARGIN, y, pageWidth, ROW_HEIGHT).fill(header ? HEADER_COLOR : STRIPE_COLOR);
+    }
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE).fillColor(header ? 'white' : 'black');
+
+    let x = PAGE_MARGIN;
+    values.forEach((value, i) => {
+      doc.text(formatCell(value), x + CELL_PADDING, y + CELL_PADDING, {
+        width: widths[i] - 2 * CELL_PADDING,
+        height: ROW_HEIGHT,
+        lineBreak: false,
+        ellipsis: true,
+        align: typeof value === 'number' ? 'right' : 'left'
+      });
+      x += widths[i];
+    });
+
+    doc.fillColor('black');
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  doc.moveDown(0.3);
+  drawRow(table.columns, { header: true });
+  table.rows.forEach((values, i) => {
+    // En-têtes répétés en haut de chaque nouvelle page
+    if (ensureSpace(doc, ROW_HEIGHT)) {
+      drawRow(table.columns, { header: true });
+    }
+    drawRow(values, { stripe: i % 2 === 1 });
+  });
+}
+
+// Largeurs proportionnelles au contenu le plus long de chaque colonne (bornées)
+function columnWidths(table, pageWidth) {
+  const lengths = table.columns.map((column, i) => {
+    const longest = table.rows.reduce((max, row) => Math.max(max, formatCell(row[i]).length), column.length);
+    return Math.min(Math.max(longest, 4), 40);
+  });
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  return lengths.map(length => (pageWidth * length) / total);
+}
+
+// Nouvelle page si la place manque; renvoie true si une page a été ajoutée
+function ensureSpace(doc, height) {
+  if (doc.y + height <= doc.page.height - PAGE_MARGIN) return false;
+  doc.addPage();
+  return true;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  return String(value);
+}
+
+module.exports = { renderPdfReport };
@@ -0,0 +1,77 @@
+// ===================================
+// 📋 Lecture des tableaux d'un classeur résultat
+// Base commune des exports CSV, JSON et PDF
+// ===================================
+
+const { toPlainValue } = require('../utils/excel');
+
+/**
+ * Découpe les feuilles visibles d'un classeur en tableaux.
+ * Une ligne de titre (cellule A fusionnée) ouvre un tableau, la ligne suivante en donne les colonnes,
+ * puis les lignes de données jusqu'à la prochaine ligne vide ou le prochain titre.
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string[]} [sheetPrefixes] - Feuilles retenues (début du nom, sans casse); toutes par défaut
+ * @returns {Array<{name: string, tables: Array<{title: string, columns: string[], rows: Array[]}>}>}
+ */
+function extractTables(workbook, sheetPrefixes = null) {
+  return workbook.worksheets
+    .filter(sheet => sheet.state === 'visible' || !sheet.state)
+    .filter(sheet => !sheetPrefixes || sheetPrefixes.some(prefix => sheet.name.toLowerCase().startsWith(prefix.toLowerCase())))
+    .map(sheet => ({ name: sheet.name, tables: extractSheetTables(sheet) }));
+}
+
+function extractSheetTables(sheet) {
+  const tables = [];
+  let current = null;
+
+  for (let rowNum = 1; rowNum <= sheet.rowCount; rowNum++) {
+    const row = sheet.getRow(rowNum);
+    const firstCell = row.getCell(1);
+
+    if (firstCell.isMerged && firstCell.master === firstCell) {
+      current = { title: String(toPlainValue(firstCell.value) ?? ''), columns: [], rows: [] };
+      tables.push(current);
+      continue;
+    }
+
+    const values = readRow(row, current && current.columns.length > 0 ? current.columns.length : row.cellCount);
+    if (values.every(value => value === null)) {
+      current = null;
+      continue;
+    }
+
+    if (!current) {
+      current = { title: sheet.name, columns: [], rows: [] };
+      tables.push(current);
+    }
+
+    if (current.columns.length === 0) {
+      // Colonnes: jusqu'au dernier en-tête renseigné
+      const width = values.reduce((last, value, i) => (value !== null ? i + 1 : last), 0);
+      current.columns = values.slice(0, width).map((value, i) => (value === null ? `Colonne ${i + 1}` : String(value)));
+    } else {
+      current.rows.push(values);
+    }
+  }
+
+  return tables;
+}
+
+// Valeurs simples d'une ligne; les dates sont écrites 'DD/MM/YYYY'
+function readRow(row, width) {
+  const values = [];
+  for (let col = 1; col <= width; col++) {
+    const value = toPlainValue(row.getCell(col).value);
+    values.push(value instanceof Date ? formatDay(value) : value ?? null);
+  }
+  return values;
+}
+
+// ExcelJS lit les dates en UTC
+function formatDay(date) {
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${date.getUTCFullYear()}`;
+}
+
+module.exports = { extractTables };
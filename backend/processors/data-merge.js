@@ -0,0 +1,364 @@
+// ===================================
+// 🔗 Data Merge Processor
+// Fusion de N classeurs Excel sur une colonne clé
+// ===================================
+
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow, toPlainValue } = require('../utils/excel');
+const { INPUT_ACCEPT } = require('../inputs');
+const { ValidationError } = require('../utils/errors');
+
+const MERGE_MODES = ['union', 'intersection', 'left'];
+
+const MODE_LABELS = {
+  union: 'Union (toutes les clés)',
+  intersection: 'Intersection (clés communes à tous les fichiers)',
+  left: 'Jointure gauche (clés du premier fichier)'
+};
+
+/**
+ * Fusionne plusieurs fichiers Excel sur une colonne clé
+ * @param {Array<{path: string, name: string}>} files - Fichiers à fusionner, par ordre de priorité
+ * @param {Object} options
+ * @param {string} [options.keyColumn] - Nom de la colonne clé (par défaut: première colonne du premier fichier)
+ * @param {string} [options.mode='union'] - 'union', 'intersection' ou 'left'
+ * @param {Function} [onProgress] - Reçoit { stage, message, percent, rowsProcessed, rowsTotal }
+ * @returns {Promise<string>} - Chemin du fichier fusionné
+ */
+async function processDataMerge(files, options = {}, onProgress = () => {}) {
+  const mode = options.mode || 'union';
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('🚀 DÉBUT DU TRAITEMENT DATA MERGE');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('📁 Fichiers:', files.map(f => f.name));
+  console.log('🔑 Colonne clé:', options.keyColumn || '(première colonne)');
+  console.log('🔀 Mode:', mode);
+
+  if (files.length < 2) {
+    throw new ValidationError('Au moins deux fichiers sont nécessaires pour une fusion', 'MERGE_TOO_FEW_FILES', { count: files.length, min: 2 });
+  }
+
+  if (!MERGE_MODES.includes(mode)) {
+    throw new ValidationError(
+      `Mode de fusion invalide: ${mode}. Valeurs possibles: ${MERGE_MODES.join(', ')}`,
+      'PARAM_INVALID',
+      { param: 'mode', value: mode, allowed: MERGE_MODES }
+    );
+  }
+
+  // Étape 1: Lecture des fichiers
+  const sources = [];
+  for (const [i, file] of files.entries()) {
+    console.log(`📖 Lecture de ${file.name}...`);
+    onProgress({
+      stage: 'read',
+      message: `Étape 1/3: Lecture de ${file.name}`,
+      percent: (60 * i) / files.length,
+      rowsProcessed: i,
+      rowsTotal: files.length
+    });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file.path);
+    sources.push(readSource(workbook, file.name));
+  }
+
+  const keyColumn = options.keyColumn
+    ? String(options.keyColumn).trim()
+    : sources[0].headers[0];
+
+  sources.forEach(source => {
+    if (!source.headers.some(h => sameHeader(h, keyColumn))) {
+      throw new ValidationError(
+        `Colonne clé "${keyColumn}" introuvable dans le fichier ${source.name}`,
+        'COLUMN_MISSING',
+        { column: keyColumn, file: source.name }
+      );
+    }
+  });
+
+  // Étape 2: Fusion
+  console.log('📊 Fusion des enregistrements...');
+  onProgress({ stage: 'merge', message: 'Étape 2/3: Fusion des enregistrements', percent: 60 });
+  const { headers, records, conflicts: allConflicts, duplicates: allDuplicates } = mergeSources(sources, keyColumn);
+  const keptKeys = selectKeys(records, sources.length, mode);
+
+  // Les conflits et doublons sur des clés écartées par le mode de fusion ne sont pas pertinents
+  const keptKeySet = new Set(keptKeys);
+  const conflicts = allConflicts.filter(conflict => keptKeySet.has(conflict.recordKey));
+  const duplicates = allDuplicates.filter(duplicate => keptKeySet.has(duplicate.recordKey));
+
+  console.log(`✅ ${keptKeys.length} enregistrements conservés, ${conflicts.length} conflits, ${duplicates.length} doublons`);
+
+  // Étape 3: Écriture du résultat
+  onProgress({ stage: 'save', message: 'Étape 3/3: Écriture du fichier fusionné', percent: 80, rowsTotal: keptKeys.length });
+  const outputWb = new ExcelJS.Workbook();
+  writeMergedSheet(outputWb.addWorksheet('Fusion'), headers, records, keptKeys, sources);
+  writeConflictsSheet(outputWb.addWorksheet('Conflits'), conflicts, keyColumn, mode);
+  writeDuplicatesSheet(outputWb.addWorksheet('Doublons'), duplicates, keyColumn);
+
+  const outputPath = path.join(path.dirname(files[0].path), `merge_${Date.now()}.xlsx`);
+  await outputWb.xlsx.writeFile(outputPath);
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('🎉 FUSION TERMINÉE AVEC SUCCÈS');
+  console.log('═══════════════════════════════════════════════════');
+
+  return outputPath;
+}
+
+// ===================================
+// LECTURE
+// ===================================
+
+function readSource(workbook, name) {
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new ValidationError(`Le fichier ${name} ne contient aucune feuille`, 'FILE_EMPTY', { file: name });
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, colNum) => {
+    const header = toPlainValue(cell.value);
+    if (header !== null && String(header).trim() !== '') {
+      headers[colNum - 1] = String(header).trim();
+    }
+  });
+
+  if (headers.length === 0) {
+    throw new ValidationError(`Aucun en-tête trouvé en ligne 1 du fichier ${name}`, 'HEADER_MISSING', { file: name, sheet: sheet.name });
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const values = {};
+    headers.forEach((header, i) => {
+      if (!header) return;
+      values[header] = toPlainValue(row.getCell(i + 1).value);
+    });
+    rows.push({ rowNum, values });
+  });
+
+  return { name, headers: headers.filter(Boolean), rows };
+}
+
+// ===================================
+// FUSION
+// ===================================
+
+function mergeSources(sources, keyColumn) {
+  const headers = [];
+  const records = new Map();
+  const conflicts = [];
+  const duplicates = [];
+
+  sources.forEach(source => {
+    source.headers.forEach(header => {
+      if (!headers.some(h => sameHeader(h, header))) {
+        headers.push(header);
+      }
+    });
+  });
+
+  const keyHeader = headers.find(h => sameHeader(h, keyColumn));
+
+  sources.forEach((source, sourceIndex) => {
+    const sourceKeyHeader = source.headers.find(h => sameHeader(h, keyColumn));
+    // Première ligne de chaque clé dans ce fichier
+    const firstRows = new Map();
+
+    source.rows.forEach(({ rowNum, values }) => {
+      const key = normalizeValue(values[sourceKeyHeader]);
+      if (key === '') return;
+
+      // Clé répétée dans le même fichier: seule la première ligne est fusionnée, les suivantes sont signalées
+      if (firstRows.has(key)) {
+        duplicates.push({
+          recordKey: key,
+          key: values[sourceKeyHeader],
+          source: source.name,
+          rowNum,
+          firstRowNum: firstRows.get(key)
+        });
+        return;
+      }
+      firstRows.set(key, rowNum);
+
+      if (!records.has(key)) {
+        records.set(key, { values: {}, origins: {}, sources: new Set() });
+      }
+
+      const record = records.get(key);
+      record.sources.add(sourceIndex);
+
+      source.headers.forEach(sourceHeader => {
+        const header = headers.find(h => sameHeader(h, sourceHeader));
+        const value = values[sourceHeader];
+        if (normalizeValue(value) === '') return;
+
+        if (!(header in record.values)) {
+          record.values[header] = value;
+          record.origins[header] = sourceIndex;
+          return;
+        }
+
+        // Valeur déjà renseignée par un fichier prioritaire: signaler la divergence
+        if (normalizeValue(record.values[header]) !== normalizeValue(value)) {
+          conflicts.push({
+            recordKey: key,
+            key: record.values[keyHeader],
+            column: header,
+            keptValue: record.values[header],
+            keptSource: sources[record.origins[header]].name,
+            otherValue: value,
+            otherSource: source.name
+          });
+        }
+      });
+    });
+  });
+
+  return { headers, records, conflicts, duplicates };
+}
+
+function selectKeys(records, sourceCount, mode) {
+  const keys = [];
+  records.forEach((record, key) => {
+    if (mode === 'intersection' && record.sources.size !== sourceCount) return;
+    if (mode === 'left' && !record.sources.has(0)) return;
+    keys.push(key);
+  });
+  return keys;
+}
+
+// ===================================
+// ÉCRITURE
+// ===================================
+
+function writeMergedSheet(sheet, headers, records, keys, sources) {
+  const allHeaders = [...headers, 'Fichiers sources'];
+
+  writeHeaderRow(sheet, allHeaders);
+
+  keys.forEach(key => {
+    const record = records.get(key);
+    const sourceNames = [...record.sources].sort((a, b) => a - b).map(i => sources[i].name).join(', ');
+    sheet.addRow([
+      ...headers.map(header => (header in record.values ? record.values[header] : null)),
+      sourceNames
+    ]);
+  });
+
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  adjustColumnWidths(sheet);
+}
+
+function writeConflictsSheet(sheet, conflicts, keyColumn, mode) {
+  const headers = ['Clé', 'Colonne', 'Valeur retenue', 'Source retenue', 'Valeur divergente', 'Source divergente'];
+
+  writeTitleRow(sheet, `Conflits de fusion sur "${keyColumn}" - ${MODE_LABELS[mode]}`, headers.length);
+
+  writeHeaderRow(sheet, headers, 2);
+
+  if (conflicts.length === 0) {
+    writeTitleRow(sheet, 'Aucun conflit détecté', headers.length, 3);
+  } else {
+    conflicts.forEach((conflict, i) => {
+      const row = sheet.getRow(i + 3);
+      row.getCell(1).value = conflict.key;
+      row.getCell(2).value = conflict.column;
+      row.getCell(3).value = conflict.keptValue;
+      row.getCell(4).value = conflict.keptSource;
+      row.getCell(5).value = conflict.otherValue;
+      row.getCell(6).value = conflict.otherSource;
+
+      row.getCell(5).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFFFCCCC' }
+      };
+    });
+  }
+
+  adjustColumnWidths(sheet);
+}
+
+function writeDuplicatesSheet(sheet, duplicates, keyColumn) {
+  const headers = ['Clé', 'Fichier', 'Ligne ignorée', 'Ligne retenue'];
+
+  writeTitleRow(sheet, `Clés "${keyColumn}" répétées dans un même fichier (seule la première ligne est fusionnée)`, headers.length);
+
+  writeHeaderRow(sheet, headers, 2);
+
+  if (duplicates.length === 0) {
+    writeTitleRow(sheet, 'Aucun doublon détecté', headers.length, 3);
+  } else {
+    duplicates.forEach((duplicate, i) => {
+      sheet.getRow(i + 3).values = [duplicate.key, duplicate.source, duplicate.rowNum, duplicate.firstRowNum];
+    });
+  }
+
+  adjustColumnWidths(sheet);
+}
+
+// ===================================
+// FONCTIONS UTILITAIRES
+// ===================================
+
+function normalizeValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value).trim();
+}
+
+function sameHeader(a, b) {
+  return normalizeValue(a).toLowerCase() === normalizeValue(b).toLowerCase();
+}
+
+// ===================================
+// DESCRIPTEUR DU TRAITEMENT
+// ===================================
+
+const treatment = {
+  id: 'data-merge',
+  order: 3,
+  name: 'Fusion de Données',
+  description: 'Consolidation de plusieurs fichiers Excel en un seul',
+  files: [
+    { id: 'file1', label: 'Premier fichier', accept: INPUT_ACCEPT, requireData: true },
+    { id: 'file2', label: 'Deuxième fichier', accept: INPUT_ACCEPT, requireData: true },
+    { id: 'others', label: 'Fichiers supplémentaires', accept: INPUT_ACCEPT, multiple: true, required: false, requireData: true }
+  ],
+  params: [
+    { id: 'key_column', label: 'Colonne clé', type: 'text', placeholder: 'Ex: Codification (par défaut: première colonne)', required: false },
+    {
+      id: 'mode',
+      label: 'Mode de fusion',
+      type: 'select',
+      options: [
+        { value: 'union', label: 'Union (toutes les clés)' },
+        { value: 'intersection', label: 'Intersection (clés communes)' },
+        { value: 'left', label: 'Jointure gauche (clés du premier fichier)' }
+      ],
+      required: false,
+      default: 'union'
+    }
+  ],
+  handler: async ({ files, params }, context) => {
+    // Ordre de priorité: premier fichier, deuxième, puis les supplémentaires dans l'ordre d'envoi
+    const outputPath = await processDataMerge([files.file1, files.file2, ...files.others], {
+      keyColumn: params.key_column,
+      mode: params.mode
+    }, context.reportProgress);
+
+    return {
+      outputPath,
+      filename: `resultat_data_merge_${new Date().toISOString().slice(0, 10)}.xlsx`
+    };
+  }
+};
+
+module.exports = { processDataMerge, MERGE_MODES, treatment };
@@ -0,0 +1,256 @@
+// ===================================
+// 🧩 Registre des traitements
+// Chaque module de ce dossier exporte un descripteur `treatment`
+// ===================================
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError, combineErrors } = require('../utils/errors');
+const { parseColumnMapping } = require('../utils/columns');
+const { inspectUpload } = require('../utils/uploads');
+
+const PARAM_TYPES = ['text', 'date', 'number', 'select', 'mapping'];
+
+const treatments = new Map();
+
+/**
+ * Enregistre un traitement après contrôle de son descripteur
+ * @param {Object} treatment - Descripteur exporté par un module de processors/
+ */
+function registerTreatment(treatment) {
+  if (!treatment || !treatment.id || typeof treatment.handler !== 'function') {
+    throw new Error('Descripteur de traitement invalide: id et handler sont obligatoires');
+  }
+  if (treatments.has(treatment.id)) {
+    throw new Error(`Traitement déjà enregistré: ${treatment.id}`);
+  }
+
+  (treatment.params || []).forEach(param => {
+    if (!PARAM_TYPES.includes(param.type)) {
+      throw new Error(`Type de paramètre inconnu pour ${treatment.id}.${param.id}: ${param.type}`);
+    }
+  });
+
+  treatments.set(treatment.id, {
+    status: 'active',
+    files: [],
+    params: [],
+    ...treatment
+  });
+}
+
+function loadTreatments() {
+  fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== path.basename(__filename))
+    .sort()
+    .forEach(file => {
+      const { treatment } = require(path.join(__dirname, file));
+      if (treatment) {
+        registerTreatment(treatment);
+      }
+    });
+
+  console.log('🧩 Traitements enregistrés:', [...treatments.keys()]);
+}
+
+function getTreatment(id) {
+  return treatments.get(id) || null;
+}
+
+/**
+ * Description publique des traitements (sans handler ni fonctions de validation)
+ */
+function listTreatments() {
+  return [...treatments.values()]
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+    .map(treatment => ({
+      id: treatment.id,
+      name: treatment.name,
+      description: treatment.description,
+      status: treatment.status,
+      preview: typeof treatment.previewHandler === 'function',
+      inspect: typeof treatment.inspectHandler === 'function',
+      files: treatment.files.map(file => ({
+        id: file.id,
+        label: file.label,
+        accept: file.accept,
+        required: file.required !== false,
+        multiple: !!file.multiple
+      })),
+      params: treatment.params.map(({ validate, ...param }) => ({
+        ...param,
+        required: param.required !== false
+      }))
+    }));
+}
+
+/**
+ * Associe les fichiers uploadés aux emplacements déclarés et valide les paramètres
+ * @param {Object} treatment - Descripteur enregistré
+ * @param {Array} uploadedFiles - Fichiers multer (champ "file_<id>")
+ * @param {Object} rawParams - Paramètres envoyés par le client
+ * @returns {{files: Object, params: Object}} - Fichiers par emplacement ({path, name} ou tableau si multiple) et paramètres normalisés
+ */
+function validateTreatmentRequest(treatment, uploadedFiles, rawParams) {
+  const { files, errors } = matchTreatmentFiles(treatment, uploadedFiles);
+  const params = {};
+
+  treatment.params.forEach(param => {
+    const raw = rawParams[param.id];
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+
+    if (value === undefined || value === null || value === '') {
+      if (param.required !== false) {
+        errors.push(new ValidationError(`Paramètre manquant: ${param.id}`, 'PARAM_MISSING', { param: param.id, label: param.label }));
+      } else if (param.default !== undefined) {
+        params[param.id] = param.default;
+      }
+      return;
+    }
+
+    const { value: coerced, error } = coerceParam(param, value);
+    if (error) {
+      errors.push(invalidParamError(param, error));
+      return;
+    }
+
+    const customError = param.validate ? param.validate(coerced, rawParams) : null;
+    if (customError) {
+      errors.push(invalidParamError(param, customError));
+      return;
+    }
+
+    params[param.id] = coerced;
+  });
+
+  if (errors.length > 0) {
+    throw combineErrors(errors);
+  }
+
+  return { files, params };
+}
+
+// `validate` renvoie un motif (texte) ou une erreur portant déjà son code (ex: INVALID_DATE_FORMAT)
+function invalidParamError(param, reason) {
+  const context = { param: param.id, label: param.label };
+  if (reason instanceof Error) {
+    return new ValidationError(`Paramètre invalide: ${param.id} (${reason.message})`, reason.code, { ...context, ...reason.context });
+  }
+  return new ValidationError(`Paramètre invalide: ${param.id} (${reason})`, 'PARAM_INVALID', { ...context, reason });
+}
+
+/**
+ * Associe les fichiers uploadés aux emplacements déclarés
+ * @param {Object} treatment - Descripteur enregistré
+ * @param {Array} uploadedFiles - Fichiers multer (champ "file_<id>")
+ * @returns {{files: Object, errors: ValidationError[]}} - Fichiers par emplacement et emplacements manquants ou en trop
+ */
+function matchTreatmentFiles(treatment, uploadedFiles) {
+  const errors = [];
+  const files = {};
+
+  treatment.files.forEach(slot => {
+    const matching = uploadedFiles
+      .filter(file => file.fieldname === `file_${slot.id}`)
+      .map(file => ({ path: file.path, name: file.originalname }));
+
+    if (matching.length === 0) {
+      if (slot.required !== false) {
+        errors.push(new ValidationError(`Fichier manquant: ${slot.id}`, 'FILE_MISSING', { slot: slot.id, label: slot.label }));
+      }
+      if (slot.multiple) files[slot.id] = [];
+      return;
+    }
+
+    if (slot.multiple) {
+      files[slot.id] = matching;
+    } else if (matching.length > 1) {
+      errors.push(new ValidationError(`Un seul fichier attendu pour: ${slot.id}`, 'TOO_MANY_FILES', { slot: slot.id, label: slot.label }));
+    } else {
+      files[slot.id] = matching[0];
+    }
+  });
+
+  return { files, errors };
+}
+
+/**
+ * Contrôle le contenu des fichiers envoyés avant leur lecture par le traitement:
+ * signature, taille décompressée, puis structure attendue par l'emplacement
+ * (`sheets`: feuilles obligatoires, `requireData`: première feuille non vide)
+ * @param {Object} treatment - Descripteur enregistré
+ * @param {Array} uploadedFiles - Fichiers multer (champ "file_<id>")
+ */
+async function checkTreatmentFiles(treatment, uploadedFiles) {
+  const errors = [];
+
+  for (const file of uploadedFiles) {
+    const slot = treatment.files.find(item => file.fieldname === `file_${item.id}`);
+    // Contenu invalide (413/415): inutile d'aller plus loin
+    const { sheets } = await inspectUpload(file.path, file.originalname);
+    if (!slot) continue;
+
+    const context = { slot: slot.id, label: slot.label, file: file.originalname };
+    (slot.sheets || [])
+      .filter(name => !sheets.some(sheet => sheet.name === name))
+      .forEach(name => {
+        errors.push(new ValidationError(
+          `${slot.label}, "${file.originalname}": feuille "${name}" introuvable`,
+          'SHEET_MISSING',
+          { ...context, sheet: name }
+        ));
+      });
+    // Une ligne d'en-têtes et au moins une ligne de données
+    if (slot.requireData && (sheets.length === 0 || sheets[0].rows < 2)) {
+      const sheet = sheets[0] ? sheets[0].name : '';
+      errors.push(new ValidationError(
+        `${slot.label}, "${file.originalname}": aucune donnée dans la feuille "${sheet}"`,
+        'FILE_EMPTY',
+        { ...context, sheet }
+      ));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw combineErrors(errors);
+  }
+}
+
+function coerceParam(param, value) {
+  switch (param.type) {
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return { error: 'nombre attendu' };
+      if (param.integer && !Number.isInteger(number)) return { error: 'nombre entier attendu' };
+      if (param.min !== undefined && number < param.min) return { error: `minimum ${param.min}` };
+      if (param.max !== undefined && number > param.max) return { error: `maximum ${param.max}` };
+      return { value: number };
+    }
+    case 'mapping': {
+      try {
+        return { value: parseColumnMapping(value) };
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+    case 'select': {
+      const allowed = param.options.map(option => option.value);
+      if (!allowed.includes(value)) return { error: `valeurs possibles: ${allowed.join(', ')}` };
+      return { value };
+    }
+    default:
+      return { value: String(value) };
+  }
+}
+
+loadTreatments();
+
+module.exports = {
+  ValidationError,
+  registerTreatment,
+  getTreatment,
+  listTreatments,
+  matchTreatmentFiles,
+  validateTreatmentRequest,
+  checkTreatmentFiles
+};
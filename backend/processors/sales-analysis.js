@@ -0,0 +1,582 @@
+// ===================================
+// 📈 Sales Analysis Processor
+// Rapport de ventes par article, site et mois sur une période donnée
+// ===================================
+
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow, toPlainValue } = require('../utils/excel');
+const { INPUT_ACCEPT } = require('../inputs');
+const { ValidationError } = require('../utils/errors');
+const { normalizeText, normalizeHeader } = require('../utils/columns');
+const { toDate } = require('../utils/dates');
+
+const MONTH_NAMES = [
+  ['janvier', 'janv', 'jan', 'january'],
+  ['fevrier', 'fevr', 'fev', 'february', 'feb'],
+  ['mars', 'mar', 'march'],
+  ['avril', 'avr', 'april', 'apr'],
+  ['mai', 'may'],
+  ['juin', 'june', 'jun'],
+  ['juillet', 'juil', 'july', 'jul'],
+  ['aout', 'august', 'aug'],
+  ['septembre', 'sept', 'sep', 'september'],
+  ['octobre', 'oct', 'october'],
+  ['novembre', 'nov', 'november'],
+  ['decembre', 'dec', 'december']
+];
+
+const MONTH_LABELS = [
+  'Janvier', 'Février', 'Mars', 'Avril', 'Mai', 'Juin',
+  'Juillet', 'Août', 'Septembre', 'Octobre', 'Novembre', 'Décembre'
+];
+
+// Noms de colonnes reconnus dans le fichier des ventes (comparés sans accents ni casse)
+const COLUMN_ALIASES = {
+  article: ['article', 'code article', 'codification', 'reference', 'ref', 'produit', 'code produit'],
+  designation: ['designation', 'libelle', 'description', 'libelle article'],
+  site: ['site', 'magasin', 'agence', 'point de vente', 'etablissement'],
+  date: ['date', 'date de vente', 'date vente', 'date facture', 'date de facture'],
+  quantite: ['quantite', 'qte', 'qty', 'quantite vendue', 'nombre'],
+  montant: ['montant', 'montant ht', 'montant ttc', 'ca', 'chiffre d affaires', 'total', 'prix total']
+};
+
+const DEFAULT_TOP_N = 10;
+
+/**
+ * Analyse un fichier de ventes sur une période
+ * @param {string} salesPath - Chemin du fichier des ventes
+ * @param {string} periodStr - Période (ex: 'Q1 2024', 'mars 2024', 'S2 2023', '01/01/2024 - 15/02/2024')
+ * @param {Object} [options]
+ * @param {number} [options.topN=10] - Nombre d'articles dans le classement
+ * @param {Function} [onProgress] - Reçoit { stage, message, percent, rowsProcessed, rowsTotal }
+ * @returns {Promise<string>} - Chemin du rapport généré
+ */
+async function processSalesAnalysis(salesPath, periodStr, options = {}, onProgress = () => {}) {
+  console.log('═══════════════════════════════════════════════════');
+  console.log('🚀 DÉBUT DU TRAITEMENT SALES ANALYSIS');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('📁 Fichier ventes:', salesPath);
+  console.log('📅 Période brute:', periodStr);
+
+  const period = parsePeriod(periodStr);
+  const topN = parseTopN(options.topN);
+  console.log(`✅ Période: ${period.label} (${formatDay(period.start)} → ${formatDay(period.end)})`);
+
+  onProgress({ stage: 'load', message: 'Chargement du fichier des ventes', percent: 2 });
+  const salesWb = new ExcelJS.Workbook();
+  await salesWb.xlsx.readFile(salesPath);
+
+  const salesSheet = salesWb.worksheets[0];
+  if (!salesSheet) {
+    throw new ValidationError('Le fichier des ventes ne contient aucune feuille', 'FILE_EMPTY', { slot: 'sales' });
+  }
+
+  // Étape 1: Lecture et agrégation
+  console.log('📊 Étape 1/2: Agrégation des ventes...');
+  onProgress({ stage: 'aggregate', message: 'Étape 1/2: Agrégation des ventes', percent: 20, rowsTotal: salesSheet.rowCount - 1 });
+  const columns = detectColumns(salesSheet);
+  const aggregate = aggregateSales(salesSheet, columns, period);
+  console.log(`✅ ${aggregate.rowCount} lignes dans la période, ${aggregate.skippedCount} ignorées`);
+
+  // Étape 2: Rapport
+  console.log('📊 Étape 2/2: Génération du rapport...');
+  onProgress({ stage: 'report', message: 'Étape 2/2: Génération du rapport', percent: 60, rowsProcessed: aggregate.rowCount });
+  const reportWb = new ExcelJS.Workbook();
+  const metric = columns.montant ? 'montant' : 'quantite';
+
+  writeSummarySheet(reportWb.addWorksheet('Synthèse'), aggregate, period);
+  writeDetailSheet(reportWb.addWorksheet('Ventes par article'), aggregate, period);
+  writeEvolutionSheet(reportWb.addWorksheet('Évolution mensuelle'), aggregate, period);
+  writeTopSheet(reportWb.addWorksheet(`Top ${topN}`), aggregate, metric, topN);
+
+  const outputPath = path.join(path.dirname(salesPath), `sales_${Date.now()}.xlsx`);
+  await reportWb.xlsx.writeFile(outputPath);
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('🎉 ANALYSE TERMINÉE AVEC SUCCÈS');
+  console.log('═══════════════════════════════════════════════════');
+
+  return outputPath;
+}
+
+// ===================================
+// PÉRIODES
+// ===================================
+
+/**
+ * Interprète une période saisie librement
+ * Formats acceptés: trimestre (Q1 2024, T1 2024, 2024-Q1), semestre (S1 2024, H2 2024),
+ * mois (mars 2024, 03/2024, 2024-03), année (2024), jour (15/03/2024, 2024-03-15)
+ * et intervalles entre deux de ces formes (« 01/2024 - 03/2024 », « du 01/01/2024 au 15/02/2024 », « 2024-01..2024-06 »)
+ * @param {string} periodStr
+ * @returns {{start: Date, end: Date, label: string}} - Bornes incluses
+ */
+function parsePeriod(periodStr) {
+  const raw = String(periodStr || '').trim();
+  if (!raw) {
+    throw new ValidationError('Période vide. Exemples: Q1 2024, mars 2024, S2 2023, 01/01/2024 - 31/03/2024', 'PERIOD_INVALID', { value: raw });
+  }
+
+  const text = normalizeText(raw).replace(/^du\s+/, '');
+
+  const rangeParts = text.split(/\s*\.\.\s*|\s+au\s+|\s+a\s+|\s+-\s+/);
+  if (rangeParts.length === 2) {
+    const from = parseSinglePeriod(rangeParts[0]);
+    const to = parseSinglePeriod(rangeParts[1]);
+    if (!from || !to) {
+      throw new ValidationError(`Période invalide: ${raw}`, 'PERIOD_INVALID', { value: raw });
+    }
+    if (from.start > to.end) {
+      throw new ValidationError(`Période invalide: ${raw} (la date de début est postérieure à la date de fin)`, 'PERIOD_REVERSED', { value: raw });
+    }
+    return { start: from.start, end: to.end, label: raw };
+  }
+
+  const single = parseSinglePeriod(text);
+  if (!single) {
+    throw new ValidationError(`Période invalide: ${raw}. Exemples: Q1 2024, mars 2024, S2 2023, 01/01/2024 - 31/03/2024`, 'PERIOD_INVALID', { value: raw });
+  }
+  return { ...single, label: raw };
+}
+
+function parseSinglePeriod(text) {
+  let match;
+
+  // Trimestre: Q1 2024, T1 2024, 1T2024, 2024-Q1, 2024 T1
+  match = text.match(/^(?:[qt]\s*([1-4])|([1-4])\s*t)[\s/-]*(\d{4})$/) ||
+    text.match(/^(\d{4})[\s/-]*[qt]\s*([1-4])$/);
+  if (match) {
+    const [quarter, year] = match[3]
+      ? [Number(match[1] || match[2]), Number(match[3])]
+      : [Number(match[2]), Number(match[1])];
+    return monthRange(year, (quarter - 1) * 3, 3);
+  }
+
+  // Semestre: S1 2024, H2 2024, 2024-S1
+  match = text.match(/^[sh]\s*([12])[\s/-]*(\d{4})$/) || text.match(/^(\d{4})[\s/-]*[sh]\s*([12])$/);
+  if (match) {
+    const [semester, year] = match[1].length === 4
+      ? [Number(match[2]), Number(match[1])]
+      : [Number(match[1]), Number(match[2])];
+    return monthRange(year, (semester - 1) * 6, 6);
+  }
+
+  // Mois en toutes lettres: mars 2024, janv. 2024
+  match = text.match(/^([a-z]+)\.?\s*(\d{4})$/);
+  if (match) {
+    const monthIndex = MONTH_NAMES.findIndex(names => names.includes(match[1]));
+    if (monthIndex === -1) return null;
+    return monthRange(Number(match[2]), monthIndex, 1);
+  }
+
+  // Mois numérique: 03/2024, 3-2024, 2024-03
+  match = text.match(/^(\d{1,2})[/-](\d{4})$/);
+  if (match) return validMonth(Number(match[2]), Number(match[1]));
+  match = text.match(/^(\d{4})[/-](\d{1,2})$/);
+  if (match) return validMonth(Number(match[1]), Number(match[2]));
+
+  // Jour: 15/03/2024, 2024-03-15
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return validDay(Number(match[3]), Number(match[2]), Number(match[1]));
+  match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return validDay(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  // Année: 2024
+  match = text.match(/^(\d{4})$/);
+  if (match) return monthRange(Number(match[1]), 0, 12);
+
+  return null;
+}
+
+function monthRange(year, firstMonthIndex, monthCount) {
+  return {
+    start: new Date(year, firstMonthIndex, 1),
+    end: new Date(year, firstMonthIndex + monthCount, 0, 23, 59, 59, 999)
+  };
+}
+
+function validMonth(year, month) {
+  if (month < 1 || month > 12) return null;
+  return monthRange(year, month - 1, 1);
+}
+
+function validDay(year, month, day) {
+  const start = new Date(year, month - 1, day);
+  if (start.getMonth() !== month - 1 || start.getDate() !== day) return null;
+  return { start, end: new Date(year, month - 1, day, 23, 59, 59, 999) };
+}
+
+// ===================================
+// LECTURE DES VENTES
+// ===================================
+
+function detectColumns(sheet) {
+  const columns = {};
+
+  sheet.getRow(1).eachCell((cell, colNum) => {
+    const header = normalizeHeader(cell.value);
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      if (!columns[field] && aliases.includes(header)) {
+        columns[field] = colNum;
+      }
+    });
+  });
+
+  const missing = [];
+  if (!columns.article) missing.push('article');
+  if (!columns.date) missing.push('date');
+  if (!columns.quantite && !columns.montant) missing.push('quantité ou montant');
+
+  if (missing.length > 0) {
+    throw new ValidationError(`Colonnes introuvables dans le fichier des ventes: ${missing.join(', ')}`, 'COLUMNS_MISSING', { sheet: sheet.name, columns: missing });
+  }
+
+  console.log('📋 Colonnes détectées:', columns);
+  return columns;
+}
+
+function aggregateSales(sheet, columns, period) {
+  const byArticleSite = new Map();
+  const byMonth = new Map();
+  const bySite = new Map();
+  const byArticle = new Map();
+  const totals = { quantite: 0, montant: 0 };
+  let rowCount = 0;
+  let skippedCount = 0;
+
+  // Mois couverts par la période, même sans vente
+  const months = [];
+  for (let d = new Date(period.start.getFullYear(), period.start.getMonth(), 1); d <= period.end; d.setMonth(d.getMonth() + 1)) {
+    months.push(monthKey(d));
+    byMonth.set(monthKey(d), { quantite: 0, montant: 0 });
+  }
+
+  sheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const article = toPlainValue(row.getCell(columns.article).value);
+    const date = toDate(row.getCell(columns.date).value);
+
+    if (article === null || String(article).trim() === '' || !date) {
+      skippedCount++;
+      return;
+    }
+    if (date < period.start || date > period.end) return;
+
+    const site = columns.site ? toPlainValue(row.getCell(columns.site).value) : null;
+    const designation = columns.designation ? toPlainValue(row.getCell(columns.designation).value) : null;
+    const quantite = columns.quantite ? toNumber(row.getCell(columns.quantite).value) : 1;
+    const montant = columns.montant ? toNumber(row.getCell(columns.montant).value) : 0;
+    const month = monthKey(date);
+    const siteLabel = site === null || String(site).trim() === '' ? '(non renseigné)' : String(site).trim();
+    const articleLabel = String(article).trim();
+
+    const key = `${articleLabel}|${siteLabel}`;
+    if (!byArticleSite.has(key)) {
+      byArticleSite.set(key, {
+        article: articleLabel,
+        designation: designation || '',
+        site: siteLabel,
+        months: new Map(),
+        quantite: 0,
+        montant: 0
+      });
+    }
+    const entry = byArticleSite.get(key);
+    const monthEntry = entry.months.get(month) || { quantite: 0, montant: 0 };
+    monthEntry.quantite += quantite;
+    monthEntry.montant += montant;
+    entry.months.set(month, monthEntry);
+    entry.quantite += quantite;
+    entry.montant += montant;
+
+    addTo(byMonth, month, quantite, montant);
+    addTo(bySite, siteLabel, quantite, montant);
+    addTo(byArticle, articleLabel, quantite, montant, { designation: designation || '' });
+
+    totals.quantite += quantite;
+    totals.montant += montant;
+    rowCount++;
+  });
+
+  return {
+    months,
+    byArticleSite,
+    byMonth,
+    bySite,
+    byArticle,
+    totals,
+    rowCount,
+    skippedCount,
+    hasAmount: !!columns.montant
+  };
+}
+
+function addTo(map, key, quantite, montant, extra = {}) {
+  const entry = map.get(key) || { quantite: 0, montant: 0, ...extra };
+  entry.quantite += quantite;
+  entry.montant += montant;
+  map.set(key, entry);
+}
+
+// ===================================
+// ÉCRITURE DU RAPPORT
+// ===================================
+
+function writeSummarySheet(sheet, aggregate, period) {
+  writeTitleRow(sheet, `Analyse des ventes - ${period.label} (du ${formatDay(period.start)} au ${formatDay(period.end)})`, 3);
+
+  const figures = [
+    ['Lignes de vente analysées', aggregate.rowCount],
+    ['Lignes ignorées (article ou date manquant)', aggregate.skippedCount],
+    ['Articles distincts', aggregate.byArticle.size],
+    ['Sites', aggregate.bySite.size]
+  ];
+  figures.forEach(([label, value], i) => {
+    const row = sheet.getRow(i + 3);
+    row.getCell(1).value = label;
+    row.getCell(1).font = { bold: true };
+    row.getCell(2).value = value;
+  });
+
+  const tableStart = figures.length + 4;
+  writeHeaderRow(sheet, aggregate.hasAmount ? ['Site', 'Quantité', 'Montant'] : ['Site', 'Quantité'], tableStart);
+
+  const sites = [...aggregate.bySite.entries()].sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+  sites.forEach(([site, values], i) => {
+    const row = sheet.getRow(tableStart + 1 + i);
+    row.getCell(1).value = site;
+    row.getCell(2).value = values.quantite;
+    if (aggregate.hasAmount) setAmount(row.getCell(3), values.montant);
+  });
+
+  writeTotalRow(sheet.getRow(tableStart + 1 + sites.length), aggregate.totals, aggregate.hasAmount, 2);
+
+  adjustColumnWidths(sheet);
+}
+
+function writeDetailSheet(sheet, aggregate, period) {
+  const monthHeaders = aggregate.months.map(monthLabel);
+  const headers = ['Article', 'Désignation', 'Site', ...monthHeaders, 'Total quantité'];
+  if (aggregate.hasAmount) headers.push('Total montant');
+
+  writeTitleRow(sheet, `Quantités vendues par article, site et mois - ${period.label}`, headers.length);
+  writeHeaderRow(sheet, headers, 2);
+
+  const entries = [...aggregate.byArticleSite.values()]
+    .sort((a, b) => a.article.localeCompare(b.article) || a.site.localeCompare(b.site));
+
+  if (entries.length === 0) {
+    writeTitleRow(sheet, 'Aucune vente sur cette période', headers.length, 3);
+    adjustColumnWidths(sheet);
+    return;
+  }
+
+  entries.forEach((entry, i) => {
+    const row = sheet.getRow(i + 3);
+    row.getCell(1).value = entry.article;
+    row.getCell(2).value = entry.designation;
+    row.getCell(3).value = entry.site;
+    aggregate.months.forEach((month, m) => {
+      const values = entry.months.get(month);
+      row.getCell(4 + m).value = values ? values.quantite : 0;
+    });
+    row.getCell(4 + aggregate.months.length).value = entry.quantite;
+    if (aggregate.hasAmount) setAmount(row.getCell(5 + aggregate.months.length), entry.montant);
+  });
+
+  const totalRow = sheet.getRow(entries.length + 3);
+  totalRow.getCell(1).value = 'Total';
+  aggregate.months.forEach((month, m) => {
+    totalRow.getCell(4 + m).value = aggregate.byMonth.get(month).quantite;
+  });
+  totalRow.getCell(4 + aggregate.months.length).value = aggregate.totals.quantite;
+  if (aggregate.hasAmount) setAmount(totalRow.getCell(5 + aggregate.months.length), aggregate.totals.montant);
+  totalRow.font = { bold: true };
+
+  sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 2 }];
+  adjustColumnWidths(sheet);
+}
+
+function writeEvolutionSheet(sheet, aggregate, period) {
+  const headers = ['Mois', 'Quantité', 'Évolution quantité'];
+  if (aggregate.hasAmount) headers.push('Montant', 'Évolution montant');
+
+  writeTitleRow(sheet, `Évolution mois par mois - ${period.label}`, headers.length);
+  writeHeaderRow(sheet, headers, 2);
+
+  let previous = null;
+  aggregate.months.forEach((month, i) => {
+    const values = aggregate.byMonth.get(month);
+    const row = sheet.getRow(i + 3);
+    row.getCell(1).value = monthLabel(month);
+    row.getCell(2).value = values.quantite;
+    setEvolution(row.getCell(3), previous && previous.quantite, values.quantite);
+    if (aggregate.hasAmount) {
+      setAmount(row.getCell(4), values.montant);
+      setEvolution(row.getCell(5), previous && previous.montant, values.montant);
+    }
+    previous = values;
+  });
+
+  writeTotalRow(sheet.getRow(aggregate.months.length + 3), aggregate.totals, aggregate.hasAmount, 2, 4);
+
+  adjustColumnWidths(sheet);
+}
+
+function writeTopSheet(sheet, aggregate, metric, topN) {
+  const metricLabel = metric === 'montant' ? 'montant' : 'quantité';
+  const headers = ['Rang', 'Article', 'Désignation', 'Quantité'];
+  if (aggregate.hasAmount) headers.push('Montant');
+  headers.push('Part du total');
+
+  writeTitleRow(sheet, `Top ${topN} des articles par ${metricLabel}`, headers.length);
+  writeHeaderRow(sheet, headers, 2);
+
+  const ranking = [...aggregate.byArticle.entries()]
+    .sort((a, b) => b[1][metric] - a[1][metric])
+    .slice(0, topN);
+
+  if (ranking.length === 0) {
+    writeTitleRow(sheet, 'Aucune vente sur cette période', headers.length, 3);
+    adjustColumnWidths(sheet);
+    return;
+  }
+
+  const total = aggregate.totals[metric];
+  ranking.forEach(([article, values], i) => {
+    const row = sheet.getRow(i + 3);
+    let col = 1;
+    row.getCell(col++).value = i + 1;
+    row.getCell(col++).value = article;
+    row.getCell(col++).value = values.designation;
+    row.getCell(col++).value = values.quantite;
+    if (aggregate.hasAmount) setAmount(row.getCell(col++), values.montant);
+    const shareCell = row.getCell(col);
+    shareCell.value = total ? values[metric] / total : 0;
+    shareCell.numFmt = '0.0%';
+  });
+
+  adjustColumnWidths(sheet);
+}
+
+function writeTotalRow(row, totals, hasAmount, quantityCol, amountCol = quantityCol + 1) {
+  row.getCell(1).value = 'Total';
+  row.getCell(quantityCol).value = totals.quantite;
+  if (hasAmount) setAmount(row.getCell(amountCol), totals.montant);
+  row.font = { bold: true };
+}
+
+function setAmount(cell, value) {
+  cell.value = Math.round(value * 100) / 100;
+  cell.numFmt = '#,##0.00';
+}
+
+function setEvolution(cell, previousValue, currentValue) {
+  if (previousValue === null || previousValue === undefined) {
+    cell.value = '-';
+    cell.alignment = { horizontal: 'center' };
+    return;
+  }
+  if (previousValue === 0) {
+    cell.value = currentValue === 0 ? 0 : 'n/a';
+    cell.alignment = { horizontal: 'center' };
+    return;
+  }
+
+  cell.value = (currentValue - previousValue) / previousValue;
+  cell.numFmt = '+0.0%;-0.0%;0.0%';
+  cell.font = { color: { argb: cell.value < 0 ? 'FFC00000' : 'FF008000' } };
+}
+
+// ===================================
+// FONCTIONS UTILITAIRES
+// ===================================
+
+function parseTopN(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_TOP_N;
+  const topN = Number(value);
+  if (!Number.isInteger(topN) || topN < 1) {
+    throw new ValidationError(`Nombre d'articles du classement invalide: ${value}`, 'PARAM_INVALID', { param: 'top_n', value, min: 1 });
+  }
+  return topN;
+}
+
+function toNumber(value) {
+  const plain = toPlainValue(value);
+  if (typeof plain === 'number') return plain;
+  if (typeof plain === 'string') {
+    const parsed = Number(plain.replace(/\s/g, '').replace(',', '.'));
+    return Number.isFinite(parsed) ? parsed : 0;
+  }
+  return 0;
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthLabel(key) {
+  const [year, month] = key.split('-');
+  return `${MONTH_LABELS[Number(month) - 1]} ${year}`;
+}
+
+function formatDay(date) {
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${date.getFullYear()}`;
+}
+
+// ===================================
+// DESCRIPTEUR DU TRAITEMENT
+// ===================================
+
+const treatment = {
+  id: 'sales-analysis',
+  order: 2,
+  name: 'Analyse des Ventes',
+  description: 'Génération de rapports et analyses de ventes mensuelles',
+  files: [
+    { id: 'sales', label: 'Fichier des ventes', accept: INPUT_ACCEPT, requireData: true }
+  ],
+  params: [
+    {
+      id: 'period',
+      label: 'Période',
+      type: 'text',
+      placeholder: 'Ex: Q1 2024, mars 2024, S2 2023, 01/01/2024 - 15/02/2024',
+      validate: value => {
+        try {
+          parsePeriod(value);
+          return null;
+        } catch (error) {
+          return error;
+        }
+      }
+    },
+    {
+      id: 'top_n',
+      label: "Nombre d'articles du classement",
+      type: 'number',
+      placeholder: String(DEFAULT_TOP_N),
+      required: false,
+      integer: true,
+      min: 1,
+      max: 1000,
+      default: DEFAULT_TOP_N
+    }
+  ],
+  handler: async ({ files, params }, context) => {
+    const outputPath = await processSalesAnalysis(files.sales.path, params.period, {
+      topN: params.top_n
+    }, context.reportProgress);
+
+    return {
+      outputPath,
+      filename: `resultat_analyse_ventes_${params.period.replace(/[^\w-]+/g, '_')}.xlsx`
+    };
+  }
+};
+
+module.exports = { processSalesAnalysis, parsePeriod, treatment };
@@ -0,0 +1,85 @@
+// ===================================
+// ↩️ Stock Tracking Rollback
+// Annulation d'un import dans le fichier de suivi des stocks
+// ===================================
+
+const {
+  rollbackStockTracking,
+  runOnTracking,
+  isValidDate,
+  dateFormatError,
+  TRACKING_PARAMS,
+  treatment: stockTrackingTreatment
+} = require('./stock-tracking');
+const { INPUT_ACCEPT } = require('../inputs');
+
+const treatment = {
+  id: 'stock-tracking-rollback',
+  order: 4,
+  name: "Annulation d'Import",
+  description: "Retrait d'une date importée par erreur du fichier de suivi des stocks",
+  reportSheets: stockTrackingTreatment.reportSheets,
+  files: [
+    { id: 'tracking', label: "Fichier de suivi (sauf suivi conservé pour l'équipe)", accept: INPUT_ACCEPT, required: false, sheets: ['Liste de Stock'] }
+  ],
+  params: [
+    {
+      id: 'rollback_date',
+      label: 'Date à retirer',
+      type: 'date',
+      placeholder: '',
+      validate: value => (isValidDate(value) ? null : dateFormatError(value))
+    },
+    {
+      ...TRACKING_PARAMS.column_mapping,
+      placeholder: 'Ex: tracking.codification=A; tracking.magasin=Magasin'
+    },
+    {
+      ...TRACKING_PARAMS.horizons,
+      placeholder: 'Ex: mensuel, semestriel (par défaut: feuilles de suivi existantes)'
+    },
+    TRACKING_PARAMS.tolerance_days,
+    TRACKING_PARAMS.forecast_method,
+    TRACKING_PARAMS.forecast_horizon,
+    TRACKING_PARAMS.family_prefix_length,
+    TRACKING_PARAMS.team
+  ],
+  handler: async ({ files, params }, context) => runOnTracking(files, params, async trackingPath => {
+    const { outputPath, date, latestDate, removedRows, removedSerials } = await rollbackStockTracking(
+      trackingPath,
+      params.rollback_date,
+      {
+        columnMapping: params.column_mapping || {},
+        horizons: params.horizons,
+        toleranceDays: params.tolerance_days,
+        forecastMethod: params.forecast_method,
+        forecastHorizon: params.forecast_horizon,
+        familyPrefixLength: params.family_prefix_length
+      },
+      context.reportProgress
+    );
+
+    const rollbackSummary = {
+      date,
+      latest_date: latestDate,
+      removed_rows: removedRows,
+      removed_serials: removedSerials
+    };
+    return {
+      result: {
+        outputPath,
+        filename: `resultat_stock_tracking_annulation_${params.rollback_date.replace(/\//g, '-')}.xlsx`,
+        // Repris dans le journal d'audit
+        audit: { rollback: rollbackSummary }
+      },
+      version: {
+        source: 'rollback',
+        treatment_id: 'stock-tracking-rollback',
+        summary: `Annulation de l'import du ${date} (${removedRows} ligne(s) supprimée(s))`,
+        rollback: rollbackSummary
+      }
+    };
+  })
+};
+
+module.exports = { treatment };
@@ -3,512 +3,351 @@
 // Version Node.js avec ExcelJS - Optimisé pour mémoire limitée
 // ===================================
 
-const ExcelJS = require('exceljs');
-const path = require('path');
-
-/**
- * Traite le suivi des stocks
- * @param {string} trackingPath - Chemin du fichier de suivi
- * @param {string} exportPath - Chemin du fichier d'export
- * @param {string} exportDateStr - Date au format 'YYYY-MM-DD' ou 'DD/MM/YYYY'
- * @returns {Promise<string>} - Chemin du fichier traité
- */
-async function processStockTracking(trackingPath, exportPath, exportDateStr) {
-  console.log('═══════════════════════════════════════════════════');
-  console.log('🚀 DÉBUT DU TRAITEMENT STOCK TRACKING');
-  console.log('═══════════════════════════════════════════════════');
-  console.log('📁 Fichier tracking:', trackingPath);
-  console.log('📁 Fichier export:', exportPath);
-  console.log('📅 Date brute:', exportDateStr);
-
-  // Forcer le garbage collector si disponible
-  if (global.gc) {
-    global.gc();
-  }
-
-  // Parser la date (accepter les deux formats)
-  const exportDate = parseDate(exportDateStr);
-  const exportDateFormatted = formatDate(exportDate, 'DD/MM/YYYY');
-  console.log('✅ Date formatée:', exportDateFormatted);
-
-  // Charger les deux workbooks UNE SEULE FOIS
-  const trackingWb = new ExcelJS.Workbook();
-  const exportWb = new ExcelJS.Workbook();
-  
-  await trackingWb.xlsx.readFile(trackingPath);
-  await exportWb.xlsx.readFile(exportPath);
-  
-  console.log('📖 Workbooks chargés en mémoire');
-
-  try {
-    // Étape 1: Mise à jour du tracking principal
-    console.log('📊 Étape 1/3: Update tracking...');
-    await updateTracking(trackingWb, exportWb, exportDateFormatted);
-    console.log('✅ Update tracking terminé');
-
-    // Libérer la mémoire du workbook export
-    exportWb.worksheets.forEach(sheet => {
-      sheet.destroy && sheet.destroy();
-    });
-
-    // Forcer le garbage collector
-    if (global.gc) {
-      global.gc();
-    }
-
-    // Étape 2: Mise à jour suivi mensuel
-    console.log('📊 Étape 2/3: Update monthly tracking...');
-    await updateMonthlyTracking(trackingWb, exportDateFormatted);
-    console.log('✅ Update monthly tracking terminé');
-
-    if (global.gc) {
-      global.gc();
-    }
-
-    // Étape 3: Mise à jour suivi semestriel
-    console.log('📊 Étape 3/3: Update semestrial tracking...');
-    await updateSemestrialTracking(trackingWb, exportDateFormatted);
-    console.log('✅ Update semestrial tracking terminé');
-
-    // Sauvegarder UNE SEULE FOIS
-    console.log('💾 Sauvegarde du fichier...');
-    await trackingWb.xlsx.writeFile(trackingPath);
-    console.log('💾 Fichier sauvegardé');
-
-    console.log('═══════════════════════════════════════════════════');
-    console.log('🎉 TRAITEMENT TERMINÉ AVEC SUCCÈS');
-    console.log('═══════════════════════════════════════════════════');
-
-    return trackingPath;
-
-  } catch (error) {
-    console.error('❌ ERREUR:', error);
-    throw error;
-  }
-}
-
-// ===================================
-// ÉTAPE 1: UPDATE TRACKING - OPTIMISÉ
-// ===================================
-
-async function updateTracking(trackingWb, exportWb, exportDate) {
-  const stockSheet = trackingWb.getWorksheet('Liste de Stock');
-  const exportSheet = exportWb.worksheets[0];
-
-  if (!stockSheet) {
-    throw new Error('Feuille "Liste de Stock" introuvable');
-  }
-
-  // Vérifier si la date existe déjà
-  const headerRow = stockSheet.getRow(1);
-  let dateColIndex = null;
-  
-  headerRow.eachCell((cell, colNum) => {
-    if (cell.value === exportDate) {
-      dateColIndex = colNum;
+const { ValidationError } = require('../utils/errors');
+const { validateTeam, checkoutLatest, runOnTeamWorkbook } = require('../store/tracking-store');
+const { cleanupFiles } = require('../utils/files');
+const { INPUT_ACCEPT } = require('../inputs');
+// Un module par fonctionnalité dans stock-tracking/, ce fichier ne garde que la description du traitement
+const { isValidDate, dateFormatError, formatDate, parseDate } = require('./stock-tracking/dates');
+const { AGGREGATION_MODES } = require('./stock-tracking/aggregation');
+const { validateColumnMapping } = require('./stock-tracking/columns');
+const { HORIZONS, DEFAULT_HORIZONS, DEFAULT_TOLERANCE_DAYS, parseHorizons } = require('./stock-tracking/horizons');
+const { DEFAULT_FAMILY_PREFIX_LENGTH } = require('./stock-tracking/summaries');
+const { FORECAST_METHODS, DEFAULT_FORECAST_METHOD, DEFAULT_FORECAST_HORIZON, MAX_FORECAST_HORIZON } = require('./stock-tracking/forecast');
+const { detectExportDate } = require('./stock-tracking/export-dates');
+const { processStockTracking, processStockTrackingBatch } = require('./stock-tracking/batch');
+const { previewStockTracking } = require('./stock-tracking/preview');
+const { rollbackStockTracking } = require('./stock-tracking/rollback');
+const { diffTrackingWorkbooks } = require('./stock-tracking/diff');
+
+// Paramètres partagés avec le traitement d'annulation (stock-tracking-rollback)
+const TRACKING_PARAMS = {
+  column_mapping: {
+    id: 'column_mapping',
+    label: 'Correspondance des colonnes',
+    type: 'mapping',
+    placeholder: 'Ex: export.code_article=Article; export.emplacement=C; tracking.magasin=Magasin',
+    required: false,
+    validate: validateColumnMapping
+  },
+  horizons: {
+    id: 'horizons',
+    label: 'Horizons de comparaison',
+    type: 'text',
+    placeholder: `Ex: mensuel, trimestriel, semestriel, annuel (par défaut: ${DEFAULT_HORIZONS.join(', ')})`,
+    required: false,
+    validate: value => {
+      try {
+        parseHorizons(value);
+        return null;
+      } catch (error) {
+        return error;
+      }
     }
-  });
-
-  if (dateColIndex) {
-    throw new Error(`Les données pour la date ${exportDate} ont déjà été importées`);
+  },
+  tolerance_days: {
+    id: 'tolerance_days',
+    label: 'Tolérance sur les dates (jours)',
+    type: 'number',
+    integer: true,
+    min: 0,
+    max: 60,
+    required: false,
+    default: DEFAULT_TOLERANCE_DAYS
+  },
+  forecast_method: {
+    id: 'forecast_method',
+    label: 'Méthode de prévision',
+    type: 'select',
+    options: Object.entries(FORECAST_METHODS).map(([value, method]) => ({ value, label: method.label })),
+    required: false,
+    default: DEFAULT_FORECAST_METHOD
+  },
+  forecast_horizon: {
+    id: 'forecast_horizon',
+    label: 'Horizon des prévisions (mois)',
+    type: 'number',
+    integer: true,
+    min: 1,
+    max: MAX_FORECAST_HORIZON,
+    required: false,
+    default: DEFAULT_FORECAST_HORIZON
+  },
+  family_prefix_length: {
+    id: 'family_prefix_length',
+    label: 'Longueur du préfixe de famille',
+    type: 'number',
+    integer: true,
+    min: 1,
+    max: 20,
+    placeholder: 'Caractères de codification regroupés en famille (sauf feuille "Familles" du suivi)',
+    required: false,
+    default: DEFAULT_FAMILY_PREFIX_LENGTH
+  },
+  team: {
+    id: 'team',
+    label: 'Équipe (suivi conservé sur le serveur)',
+    type: 'text',
+    placeholder: "Ex: magasin-nord. Sans fichier de suivi, la dernière version de l'équipe est utilisée",
+    required: false,
+    validate: validateTeam
   }
-
-  // Extraire et regrouper les données d'export
-  const exportData = extractExportData(exportSheet);
-  console.log(`📦 ${exportData.size} articles uniques dans l'export`);
-
-  // Ajouter la nouvelle colonne de date
-  const newColIndex = headerRow.cellCount + 1;
-  const newColCell = headerRow.getCell(newColIndex);
-  newColCell.value = exportDate;
-  styleHeaderCell(newColCell);
-
-  // Mettre à jour les lignes existantes
-  let updatedRows = 0;
-  const existingKeys = new Set();
-
-  stockSheet.eachRow((row, rowNum) => {
-    if (rowNum === 1) return; // Skip header
-
-    const codif = row.getCell(1).value;
-    const magasin = row.getCell(3).value;
-    const key = `${codif}|${magasin}`;
-    
-    existingKeys.add(key);
-
-    if (exportData.has(key)) {
-      row.getCell(newColIndex).value = exportData.get(key).quantite;
-      updatedRows++;
-    } else {
-      row.getCell(newColIndex).value = 0;
-    }
-  });
-
-  console.log(`✏️ ${updatedRows} lignes mises à jour`);
-
-  // Ajouter les nouvelles lignes PAR LOTS (OPTIMISATION)
-  const newRowsToAdd = [];
-  exportData.forEach((data, key) => {
-    if (!existingKeys.has(key)) {
-      newRowsToAdd.push({ data, key, newColIndex });
-    }
-  });
-
-  console.log(`➕ Ajout de ${newRowsToAdd.length} nouvelles lignes par lots...`);
-
-  const BATCH_SIZE = 1000;
-  let totalAdded = 0;
-
-  for (let i = 0; i < newRowsToAdd.length; i += BATCH_SIZE) {
-    const batch = newRowsToAdd.slice(i, i + BATCH_SIZE);
-    
-    batch.forEach(item => {
-      const newRow = stockSheet.addRow([
-        item.data.codeArticle,
-        item.data.description,
-        item.data.emplacement,
-        item.data.descEmplacement
-      ]);
-      newRow.getCell(item.newColIndex).value = item.data.quantite;
-    });
-
-    totalAdded += batch.length;
-    console.log(`  ✓ ${totalAdded}/${newRowsToAdd.length} lignes ajoutées...`);
-
-    // Forcer le garbage collector tous les 5000 lignes
-    if (totalAdded % 5000 === 0 && global.gc) {
-      global.gc();
+};
+
+const missingTrackingError = () => new ValidationError(
+  'Fichier manquant: tracking (ou indiquez une équipe dont le suivi est conservé sur le serveur)',
+  'TRACKING_OR_TEAM_MISSING',
+  { slot: 'tracking' }
+);
+
+// Fichier de suivi envoyé, ou dernière version conservée pour l'équipe.
+// Avec une équipe, le résultat est enregistré comme nouvelle version.
+// `run` reçoit le chemin du fichier de suivi et renvoie { result, version }.
+async function runOnTracking(files, params, run) {
+  if (!params.team) {
+    if (!files.tracking) {
+      throw missingTrackingError();
     }
+    const { result } = await run(files.tracking.path);
+    return result;
   }
-
-  console.log(`➕ ${totalAdded} nouvelles lignes ajoutées au total`);
-
-  // Ajuster les largeurs de colonnes
-  console.log('📐 Ajustement des colonnes...');
-  adjustColumnWidths(stockSheet);
+  return runOnTeamWorkbook(params.team, files.tracking ? files.tracking.path : null, run);
 }
 
-// ===================================
-// ÉTAPE 2: UPDATE MONTHLY TRACKING
-// ===================================
-
-async function updateMonthlyTracking(workbook, exportDate) {
-  const stockSheet = workbook.getWorksheet('Liste de Stock');
-  let monthlySheet = findSheetByPrefix(workbook, 'suivi mensuel');
-
-  if (!monthlySheet) {
-    console.warn('⚠️ Feuille "Suivi Mensuel" introuvable, création...');
-    monthlySheet = workbook.addWorksheet('Suivi Mensuel');
-  } else {
-    // Recréer la feuille proprement
-    const index = workbook.worksheets.indexOf(monthlySheet);
-    workbook.removeWorksheet(monthlySheet.id);
-    monthlySheet = workbook.addWorksheet('Suivi Mensuel');
-  }
-
-  // Récupérer les headers
-  const headers = getHeaders(stockSheet);
-  const currentIndex = headers.indexOf(exportDate);
-
-  if (currentIndex < 1) {
-    addNoDataMessage(monthlySheet, 'Pas de données disponibles pour le mois', exportDate);
-    return;
-  }
-
-  const previousDate = headers[currentIndex - 1];
-
-  // Vérifier que c'est une date valide
-  if (!isValidDate(previousDate)) {
-    addNoDataMessage(monthlySheet, 'Pas de données disponibles pour le mois', exportDate);
-    return;
-  }
-
-  // Calculer les variations
-  const variations = calculateVariations(stockSheet, currentIndex + 1, currentIndex);
-
-  // Écrire les résultats
-  writeVariationsSheet(
-    monthlySheet,
-    variations,
-    `Variation entre le ${previousDate} et le ${exportDate}`,
-    ['Codification DSNA', 'Désignation', 'Magasin', 'Description', 'Variation', 'Quantité actuelle']
-  );
+// "fichier.xlsx=2024-07-15; 2024-08-15": date par nom de fichier, ou par position dans l'envoi
+function parseExportDates(value) {
+  return String(value || '')
+    .split(/[;,\n]+/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.lastIndexOf('=');
+      return separator === -1
+        ? { name: null, date: part }
+        : { name: part.slice(0, separator).trim(), date: part.slice(separator + 1).trim() };
+    });
 }
 
-// ===================================
-// ÉTAPE 3: UPDATE SEMESTRIAL TRACKING
-// ===================================
-
-async function updateSemestrialTracking(workbook, exportDate) {
-  const stockSheet = workbook.getWorksheet('Liste de Stock');
-  let semestrialSheet = findSheetByPrefix(workbook, 'suivi semestriel');
-
-  if (!semestrialSheet) {
-    console.warn('⚠️ Feuille "Suivi Semestriel" introuvable, création...');
-    semestrialSheet = workbook.addWorksheet('Suivi Semestriel');
-  } else {
-    // Recréer la feuille proprement
-    const index = workbook.worksheets.indexOf(semestrialSheet);
-    workbook.removeWorksheet(semestrialSheet.id);
-    semestrialSheet = workbook.addWorksheet('Suivi Semestriel');
-  }
-
-  const headers = getHeaders(stockSheet);
-  const currentIndex = headers.indexOf(exportDate);
-
-  if (currentIndex < 6) {
-    addNoDataMessage(semestrialSheet, 'Pas de données disponibles pour le semestre', exportDate);
-    return;
+// Fichiers d'export envoyés -> [{ path, name, date }] (date absente: détection automatique)
+function assignExportDates(exportFiles, params) {
+  const entries = parseExportDates(params.export_dates);
+
+  if (entries.length === 0 && params.export_date) {
+    if (exportFiles.length > 1) {
+      throw new ValidationError(
+        "La date d'export ne s'applique qu'à un seul fichier: renseignez les dates des exports pour un import groupé",
+        'EXPORT_DATE_AMBIGUOUS',
+        { files: exportFiles.length }
+      );
+    }
+    return [{ ...exportFiles[0], date: params.export_date }];
   }
 
-  const previousDate = headers[currentIndex - 6];
-
-  if (!isValidDate(previousDate)) {
-    addNoDataMessage(semestrialSheet, 'Pas de données disponibles pour le semestre', exportDate);
-    return;
+  const unknown = entries.filter(entry => entry.name && !exportFiles.some(file => file.name === entry.name));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Fichiers inconnus dans les dates des exports: ${unknown.map(entry => entry.name).join(', ')}`,
+      'UNKNOWN_EXPORT_FILES',
+      { files: unknown.map(entry => entry.name) }
+    );
   }
 
-  const variations = calculateVariations(stockSheet, currentIndex + 1, currentIndex - 5);
-
-  writeVariationsSheet(
-    semestrialSheet,
-    variations,
-    `Variation entre le ${previousDate} et le ${exportDate}`,
-    ['Codification DSNA', 'Désignation', 'Magasin', 'Description', 'Variation', 'Quantité actuelle']
-  );
-}
-
-// ===================================
-// FONCTIONS UTILITAIRES
-// ===================================
-
-function extractExportData(exportSheet) {
-  const data = new Map();
-  
-  exportSheet.eachRow((row, rowNum) => {
-    if (rowNum === 1) return; // Skip header
-
-    const codeArticle = getCellValue(row, 1);
-    const emplacement = getCellValue(row, 2);
-    const description = getCellValue(row, 3);
-    const descEmplacement = getCellValue(row, 4);
-
-    if (!codeArticle || !emplacement) return;
-
-    const key = `${codeArticle}|${emplacement}`;
-
-    if (!data.has(key)) {
-      data.set(key, {
-        codeArticle,
-        emplacement,
-        description: description || '',
-        descEmplacement: descEmplacement || '',
-        quantite: 0
-      });
-    }
-
-    data.get(key).quantite++;
+  // Les dates sans nom de fichier vont, dans l'ordre, aux fichiers non nommés
+  const positional = entries.filter(entry => !entry.name);
+  let nextPositional = 0;
+  return exportFiles.map(file => {
+    const named = entries.find(entry => entry.name === file.name);
+    const entry = named || positional[nextPositional++];
+    return { ...file, date: entry ? entry.date : undefined };
   });
-
-  return data;
 }
 
-function calculateVariations(stockSheet, currentColIndex, previousColIndex) {
-  const variations = [];
-
-  stockSheet.eachRow((row, rowNum) => {
-    if (rowNum === 1) return; // Skip header
-
-    const currentQty = getCellValue(row, currentColIndex) || 0;
-    const previousQty = getCellValue(row, previousColIndex) || 0;
-    const variation = currentQty - previousQty;
-
-    if (variation !== 0) {
-      variations.push({
-        codif: getCellValue(row, 1),
-        designation: getCellValue(row, 2),
-        magasin: getCellValue(row, 3),
-        description: getCellValue(row, 4),
-        variation,
-        qtyActuelle: currentQty
-      });
-    }
-  });
-
-  return variations;
-}
-
-function writeVariationsSheet(sheet, variations, title, headers) {
-  // Titre
-  sheet.mergeCells('A1:F1');
-  const titleCell = sheet.getCell('A1');
-  titleCell.value = title;
-  titleCell.alignment = { horizontal: 'center' };
-  titleCell.fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FFD3D3D3' }
+// Paramètres de la requête -> options de processStockTracking / previewStockTracking
+function toProcessOptions(params) {
+  return {
+    columnMapping: params.column_mapping || {},
+    aggregation: params.aggregation,
+    horizons: params.horizons,
+    toleranceDays: params.tolerance_days,
+    replace: params.import_mode === 'replace',
+    headerFormat: params.header_format,
+    forecastMethod: params.forecast_method,
+    forecastHorizon: params.forecast_horizon,
+    familyPrefixLength: params.family_prefix_length
   };
+}
 
-  // Headers
-  const headerRow = sheet.getRow(2);
-  headers.forEach((header, i) => {
-    const cell = headerRow.getCell(i + 1);
-    cell.value = header;
-    styleHeaderCell(cell);
-  });
-
-  // Données
-  if (variations.length > 0) {
-    variations.forEach((item, i) => {
-      const row = sheet.getRow(i + 3);
-      row.getCell(1).value = item.codif;
-      row.getCell(2).value = item.designation;
-      row.getCell(3).value = item.magasin;
-      row.getCell(4).value = item.description;
-      row.getCell(5).value = item.variation;
-      row.getCell(6).value = item.qtyActuelle;
-
-      // Coloration selon quantité
-      const qtyCell = row.getCell(6);
-      if (item.qtyActuelle <= 5) {
-        qtyCell.fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFFFCCCC' }
-        };
-      } else if (item.qtyActuelle <= 10) {
-        qtyCell.fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFFFDAB9' }
-        };
-      }
-    });
-  } else {
-    sheet.mergeCells('A3:F3');
-    const cell = sheet.getCell('A3');
-    cell.value = 'Aucune variation pour cette période';
-    cell.alignment = { horizontal: 'center' };
-    cell.fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFD3D3D3' }
-    };
+async function checkoutLatestOrFail(team) {
+  if (!team) {
+    throw missingTrackingError();
   }
-
-  adjustColumnWidths(sheet);
+  return checkoutLatest(team);
 }
 
-function addNoDataMessage(sheet, message, dateContext) {
-  sheet.mergeCells('A1:F1');
-  const cell = sheet.getCell('A1');
-  cell.value = message;
-  cell.alignment = { horizontal: 'center' };
-  cell.fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FFD3D3D3' }
+// Fichiers envoyés -> options dépendant des fichiers optionnels
+function toFileOptions(files) {
+  return {
+    thresholdsPath: files.thresholds ? files.thresholds.path : undefined
   };
 }
 
-function styleHeaderCell(cell) {
-  cell.fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FF003366' }
-  };
-  cell.font = {
-    color: { argb: 'FFFFFFFF' },
-    bold: true
-  };
-  cell.alignment = { horizontal: 'center' };
-  cell.border = {
-    top: { style: 'thin', color: { argb: 'FFFFFFFF' } },
-    left: { style: 'thin', color: { argb: 'FFFFFFFF' } },
-    bottom: { style: 'thin', color: { argb: 'FFFFFFFF' } },
-    right: { style: 'thin', color: { argb: 'FFFFFFFF' } }
-  };
-}
-
-function clearWorksheet(sheet) {
-  // Supprimer la feuille et la recréer (plus propre)
-  const workbook = sheet.workbook;
-  const sheetName = sheet.name;
-  const index = workbook.worksheets.indexOf(sheet);
-  
-  workbook.removeWorksheet(sheet.id);
-  return workbook.addWorksheet(sheetName, { views: [{}] }, index);
-}
-
-function adjustColumnWidths(sheet) {
-  sheet.columns.forEach(column => {
-    let maxLength = 10;
-    column.eachCell({ includeEmpty: false }, cell => {
-      const length = cell.value ? cell.value.toString().length : 10;
-      if (length > maxLength) {
-        maxLength = length;
+const treatment = {
+  id: 'stock-tracking',
+  order: 1,
+  name: 'Suivi des Stocks',
+  description: 'Mise à jour automatique du suivi des stocks (mensuel, semestriel ou autres horizons)',
+  // Feuilles reprises dans les exports CSV, JSON et PDF
+  reportSheets: [...Object.values(HORIZONS).map(horizon => horizon.sheetName), 'Synthèse par', 'Alertes', 'Prévisions'],
+  files: [
+    { id: 'tracking', label: "Fichier de suivi (sauf suivi conservé pour l'équipe)", accept: INPUT_ACCEPT, required: false, sheets: ['Liste de Stock'] },
+    { id: 'export', label: "Fichier(s) d'export", accept: INPUT_ACCEPT, multiple: true, requireData: true },
+    { id: 'thresholds', label: 'Fichier de seuils (sinon feuille "Seuils" du suivi)', accept: INPUT_ACCEPT, required: false }
+  ],
+  params: [
+    {
+      id: 'export_date',
+      label: "Date d'export",
+      type: 'date',
+      placeholder: '',
+      required: false,
+      validate: value => (isValidDate(value) ? null : dateFormatError(value))
+    },
+    {
+      id: 'export_dates',
+      label: 'Dates des exports (import groupé)',
+      type: 'text',
+      placeholder: 'Ex: export_juillet.xlsx=2024-07-15; export_aout.xlsx=2024-08-15 (par défaut: date du nom de fichier ou du contenu)',
+      required: false,
+      validate: value => {
+        const invalid = parseExportDates(value).filter(entry => !isValidDate(entry.date));
+        return invalid.length > 0 ? dateFormatError(invalid.map(entry => entry.date).join(', ')) : null;
       }
-    });
-    column.width = Math.min(maxLength + 2, 50);
-  });
-}
-
-function getHeaders(sheet) {
-  const headers = [];
-  const headerRow = sheet.getRow(1);
-  headerRow.eachCell(cell => {
-    headers.push(cell.value);
-  });
-  return headers;
-}
-
-function findSheetByPrefix(workbook, prefix) {
-  const lowerPrefix = prefix.toLowerCase();
-  return workbook.worksheets.find(sheet => 
-    sheet.name.toLowerCase().startsWith(lowerPrefix)
-  );
-}
-
-function getCellValue(row, colIndex) {
-  const cell = row.getCell(colIndex);
-  return cell.value;
-}
-
-function parseDate(dateStr) {
-  // Essayer format ISO (YYYY-MM-DD)
-  let match = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (match) {
-    return new Date(match[1], match[2] - 1, match[3]);
-  }
-
-  // Essayer format FR (DD/MM/YYYY)
-  match = dateStr.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
-  if (match) {
-    return new Date(match[3], match[2] - 1, match[1]);
-  }
-
-  throw new Error(`Format de date invalide: ${dateStr}. Utilisez DD/MM/YYYY ou YYYY-MM-DD`);
-}
-
-function formatDate(date, format) {
-  const day = String(date.getDate()).padStart(2, '0');
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const year = date.getFullYear();
-
-  if (format === 'DD/MM/YYYY') {
-    return `${day}/${month}/${year}`;
-  }
-  return `${year}-${month}-${day}`;
-}
+    },
+    TRACKING_PARAMS.column_mapping,
+    {
+      id: 'aggregation',
+      label: 'Calcul des quantités',
+      type: 'select',
+      options: Object.entries(AGGREGATION_MODES).map(([value, mode]) => ({ value, label: mode.label })),
+      required: false,
+      default: 'count'
+    },
+    {
+      id: 'import_mode',
+      label: "Mode d'import",
+      type: 'select',
+      options: [
+        { value: 'append', label: 'Ajouter une nouvelle date' },
+        { value: 'replace', label: 'Remplacer une date déjà importée' }
+      ],
+      required: false,
+      default: 'append'
+    },
+    {
+      id: 'header_format',
+      label: "Format de l'en-tête des dates importées",
+      type: 'select',
+      options: [
+        { value: 'text', label: 'Texte JJ/MM/AAAA' },
+        { value: 'date', label: 'Date Excel (format jj/mm/aaaa), en-têtes existants inchangés' }
+      ],
+      required: false,
+      default: 'text'
+    },
+    TRACKING_PARAMS.horizons,
+    TRACKING_PARAMS.tolerance_days,
+    TRACKING_PARAMS.forecast_method,
+    TRACKING_PARAMS.forecast_horizon,
+    TRACKING_PARAMS.family_prefix_length,
+    TRACKING_PARAMS.team
+  ],
+  handler: async ({ files, params }, context) => runOnTracking(files, params, async trackingPath => {
+    const { outputPath, imports } = await processStockTrackingBatch(
+      trackingPath,
+      assignExportDates(files.export, params),
+      { ...toProcessOptions(params), ...toFileOptions(files) },
+      context.reportProgress
+    );
+
+    const latestDate = imports[imports.length - 1].date;
+    const importSummary = imports.map(item => ({
+      name: item.name,
+      date: item.date,
+      replaced: item.replaced,
+      updated_rows: item.updatedRows,
+      new_rows: item.newRows,
+      zeroed_rows: item.zeroedRows
+    }));
+    return {
+      result: {
+        outputPath,
+        filename: `resultat_stock_tracking_${latestDate.replace(/\//g, '-')}.xlsx`,
+        // Repris dans le journal d'audit
+        audit: { imports: importSummary }
+      },
+      version: {
+        source: 'import',
+        treatment_id: 'stock-tracking',
+        summary: `Import du ${imports.map(item => item.date).join(', ')}`,
+        imports: importSummary
+      }
+    };
+  }),
+  // Dates proposées à partir des exports choisis, pour préremplir le formulaire
+  inspectHandler: async ({ files }) => {
+    const detected = [];
+    for (const exportFile of files.export) {
+      const result = await detectExportDate(exportFile.path, exportFile.name);
+      if (result) detected.push({ name: exportFile.name, ...result });
+    }
+    if (detected.length === 0) return {};
 
-function isValidDate(dateStr) {
-  try {
-    parseDate(dateStr);
-    return true;
-  } catch {
-    return false;
+    const toIso = date => formatDate(parseDate(date), 'YYYY-MM-DD');
+    if (files.export.length === 1) {
+      return { export_date: { value: toIso(detected[0].date), source: detected[0].source } };
+    }
+    return {
+      export_dates: {
+        value: detected.map(item => `${item.name}=${toIso(item.date)}`).join('; '),
+        source: [...new Set(detected.map(item => item.source))].join(', ')
+      }
+    };
+  },
+  previewHandler: async ({ files, params }, context) => {
+    if (files.export.length > 1) {
+      throw new ValidationError("La prévisualisation porte sur un seul fichier d'export", 'PREVIEW_SINGLE_EXPORT');
+    }
+    const [exportFile] = assignExportDates(files.export, params);
+
+    // Sans fichier envoyé: copie de la dernière version de l'équipe, jetée après lecture
+    const checkout = files.tracking ? null : await checkoutLatestOrFail(params.team);
+    try {
+      return {
+        preview: await previewStockTracking(
+          checkout ? checkout.path : files.tracking.path,
+          exportFile.path,
+          exportFile.date,
+          { ...toProcessOptions(params), exportName: exportFile.name },
+          context.reportProgress
+        )
+      };
+    } finally {
+      if (checkout) await cleanupFiles([checkout.path]);
+    }
   }
-}
-
-module.exports = { processStockTracking };
+};
+
+module.exports = {
+  processStockTracking,
+  processStockTrackingBatch,
+  previewStockTracking,
+  rollbackStockTracking,
+  diffTrackingWorkbooks,
+  runOnTracking,
+  isValidDate,
+  dateFormatError,
+  AGGREGATION_MODES,
+  HORIZONS,
+  TRACKING_PARAMS,
+  treatment
+};
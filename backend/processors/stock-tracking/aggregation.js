@@ -0,0 +1,122 @@
+// ===================================
+// 🧮 Suivi de stock: calcul des quantités de l'export
+// ===================================
+
+const { toPlainValue } = require('../../utils/excel');
+const { ValidationError } = require('../../utils/errors');
+const { getCellValue } = require('./sheets');
+
+// Calcul de la quantité par couple article/emplacement.
+// `column` désigne la colonne d'export devenue obligatoire pour ce mode.
+const AGGREGATION_MODES = {
+  count: { label: "Nombre de lignes de l'export", column: null },
+  sum: { label: 'Somme de la colonne quantité', column: 'quantite' },
+  distinct: { label: 'Nombre de numéros de série distincts', column: 'numero_serie' }
+};
+
+function resolveAggregation(mode) {
+  const aggregation = mode || 'count';
+  if (!AGGREGATION_MODES[aggregation]) {
+    throw new ValidationError(
+      `Mode d'agrégation invalide: ${aggregation}. Valeurs possibles: ${Object.keys(AGGREGATION_MODES).join(', ')}`,
+      'PARAM_INVALID',
+      { param: 'aggregation', value: aggregation, allowed: Object.keys(AGGREGATION_MODES) }
+    );
+  }
+  return aggregation;
+}
+
+function extractExportData(exportSheet, exportColumns, aggregation = 'count') {
+  const data = new Map();
+  const invalidQuantities = [];
+  let rowsWithoutSerial = 0;
+
+  exportSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const codeArticle = getCellValue(row, exportColumns.code_article);
+    const emplacement = getCellValue(row, exportColumns.emplacement);
+    const description = getCellValue(row, exportColumns.description);
+    const descEmplacement = getCellValue(row, exportColumns.description_emplacement);
+
+    if (!codeArticle || !emplacement) return;
+
+    const key = `${codeArticle}|${emplacement}`;
+
+    if (!data.has(key)) {
+      data.set(key, {
+        codeArticle,
+        emplacement,
+        description: description || '',
+        descEmplacement: descEmplacement || '',
+        quantite: 0,
+        serials: new Set()
+      });
+    }
+
+    const item = data.get(key);
+    const serial = toPlainValue(getCellValue(row, exportColumns.numero_serie));
+    const hasSerial = serial !== null && String(serial).trim() !== '';
+
+    // Numéros de série conservés quel que soit le mode, pour la feuille "Mouvements"
+    if (hasSerial) {
+      item.serials.add(String(serial).trim());
+    }
+
+    if (aggregation === 'sum') {
+      const quantity = parseQuantity(getCellValue(row, exportColumns.quantite));
+      if (quantity === null) {
+        invalidQuantities.push(rowNum);
+      } else {
+        item.quantite += quantity;
+      }
+    } else if (aggregation === 'distinct') {
+      if (!hasSerial) {
+        rowsWithoutSerial++;
+        return;
+      }
+      item.quantite = item.serials.size;
+    } else {
+      item.quantite++;
+    }
+  });
+
+  if (invalidQuantities.length > 0) {
+    const shown = invalidQuantities.slice(0, 10).join(', ');
+    const more = invalidQuantities.length > 10 ? ` (et ${invalidQuantities.length - 10} autres)` : '';
+    throw new ValidationError(
+      `Quantité non numérique dans l'export, lignes ${shown}${more}`,
+      'QUANTITY_NOT_NUMERIC',
+      { rows: invalidQuantities.slice(0, 10), more: Math.max(invalidQuantities.length - 10, 0) }
+    );
+  }
+
+  if (rowsWithoutSerial > 0) {
+    console.warn(`⚠️ ${rowsWithoutSerial} lignes sans numéro de série ignorées`);
+  }
+
+  // Un article dont toutes les lignes sont sans numéro de série n'est pas compté
+  if (aggregation === 'distinct') {
+    data.forEach((item, key) => {
+      if (item.serials.size === 0) data.delete(key);
+    });
+  }
+
+  return data;
+}
+
+// Cellule vide = 0; accepte la virgule décimale des exports français
+function parseQuantity(value) {
+  const plain = toPlainValue(value);
+  if (plain === null || plain === undefined || String(plain).trim() === '') return 0;
+  if (typeof plain === 'number') return plain;
+
+  const number = Number(String(plain).replace(/\s/g, '').replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+module.exports = {
+  AGGREGATION_MODES,
+  resolveAggregation,
+  extractExportData
+};
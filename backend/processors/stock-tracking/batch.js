@@ -0,0 +1,259 @@
+// ===================================
+// 📊 Suivi de stock: import d'un ou plusieurs exports
+// ===================================
+
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow } = require('../../utils/excel');
+const { ValidationError } = require('../../utils/errors');
+const { addNativeCharts } = require('../../utils/charts');
+const { findSheetByPrefix } = require('./sheets');
+const { isValidDate } = require('./dates');
+const { HEADER_FORMATS, getHeaders } = require('./headers');
+const { resolveAggregation } = require('./aggregation');
+const { resolveStockColumns } = require('./columns');
+const { loadThresholds, updateAlertsSheet } = require('./thresholds');
+const { parseHorizons, DEFAULT_HORIZONS, DEFAULT_TOLERANCE_DAYS, HORIZONS, updateHorizonTracking } = require('./horizons');
+const { resolveFamilyPrefixLength, loadFamilies, updateSummarySheets } = require('./summaries');
+const { resolveForecast, updateForecastSheet } = require('./forecast');
+const { updateMovementsSheet } = require('./serials');
+const { updateDashboardSheet, DASHBOARD_SHEET } = require('./dashboard');
+const { prepareReplace } = require('./rollback');
+const { updateTracking } = require('./update');
+const { resolveExportDates, DATE_SOURCES } = require('./export-dates');
+
+/**
+ * Traite le suivi des stocks
+ * @param {string} trackingPath - Chemin du fichier de suivi
+ * @param {string} exportPath - Chemin du fichier d'export
+ * @param {string} exportDateStr - Date au format 'YYYY-MM-DD' ou 'DD/MM/YYYY'
+ * @param {Object} [options]
+ * @param {Object} [options.columnMapping] - { export: { champ: colonne }, tracking: { champ: colonne } }
+ * @param {string} [options.aggregation='count'] - 'count' (lignes), 'sum' (colonne quantité) ou 'distinct' (numéros de série)
+ * @param {string[]} [options.horizons=['mensuel', 'semestriel']] - Horizons de comparaison (clés de HORIZONS)
+ * @param {number} [options.toleranceDays=15] - Écart accepté entre la date cible d'un horizon et le relevé retenu
+ * @param {boolean} [options.replace=false] - Réimporter par-dessus une date déjà présente
+ * @param {string} [options.headerFormat='text'] - En-tête des dates importées en texte 'DD/MM/YYYY' ('text') ou en date Excel ('date')
+ * @param {string} [options.thresholdsPath] - Classeur de seuils (sinon feuille "Seuils" du fichier de suivi)
+ * @param {string} [options.forecastMethod='moving_average'] - Méthode de prévision (clé de FORECAST_METHODS)
+ * @param {number} [options.forecastHorizon=3] - Horizon en mois au-delà duquel une rupture n'est plus signalée
+ * @param {number} [options.familyPrefixLength=3] - Caractères de codification formant la famille (hors feuille "Familles")
+ * @param {Function} [onProgress] - Reçoit { stage, message, percent, rowsProcessed, rowsTotal }
+ * @returns {Promise<string>} - Chemin du fichier traité
+ */
+async function processStockTracking(trackingPath, exportPath, exportDateStr, options = {}, onProgress = () => {}) {
+  const { outputPath } = await processStockTrackingBatch(
+    trackingPath,
+    [{ path: exportPath, name: path.basename(exportPath), date: exportDateStr }],
+    options,
+    onProgress
+  );
+  return outputPath;
+}
+
+/**
+ * Importe plusieurs exports dans l'ordre chronologique, en une seule passe sur le fichier de suivi
+ * @param {string} trackingPath - Chemin du fichier de suivi
+ * @param {Array<{path: string, name: string, date?: string}>} exports - Exports; sans date, elle est
+ *   cherchée dans le nom du fichier puis dans son contenu
+ * @param {Object} [options] - Mêmes options que processStockTracking
+ * @param {Function} [onProgress] - Reçoit { stage, message, percent, rowsProcessed, rowsTotal }
+ * @returns {Promise<{outputPath: string, imports: Array}>} - Fichier traité et résumé par date
+ */
+async function processStockTrackingBatch(trackingPath, exports, options = {}, onProgress = () => {}) {
+  console.log('═══════════════════════════════════════════════════');
+  console.log('🚀 DÉBUT DU TRAITEMENT STOCK TRACKING');
+  console.log('═══════════════════════════════════════════════════');
+  console.log('📁 Fichier tracking:', trackingPath);
+  console.log('📁 Fichiers export:', exports.map(e => `${e.name} (${e.date || 'date à détecter'})`));
+
+  if (exports.length === 0) {
+    throw new ValidationError("Au moins un fichier d'export est nécessaire", 'FILE_MISSING', { slot: 'export' });
+  }
+
+  const aggregation = resolveAggregation(options.aggregation);
+  console.log('🧮 Agrégation:', aggregation);
+
+  const headerFormat = options.headerFormat || 'text';
+  if (!HEADER_FORMATS.includes(headerFormat)) {
+    throw new ValidationError(
+      `Format d'en-tête invalide: ${headerFormat}. Valeurs possibles: ${HEADER_FORMATS.join(', ')}`,
+      'PARAM_INVALID',
+      { param: 'header_format', value: headerFormat, allowed: HEADER_FORMATS }
+    );
+  }
+
+  const horizons = parseHorizons(options.horizons || DEFAULT_HORIZONS);
+  const toleranceDays = options.toleranceDays ?? DEFAULT_TOLERANCE_DAYS;
+  console.log('🔭 Horizons:', horizons, `(tolérance ${toleranceDays} jours)`);
+
+  const forecast = resolveForecast(options);
+  const familyPrefixLength = resolveFamilyPrefixLength(options);
+
+  // Forcer le garbage collector si disponible
+  if (global.gc) {
+    global.gc();
+  }
+
+  // Dates des exports, triées chronologiquement
+  onProgress({ stage: 'load', message: 'Lecture des dates des exports', percent: 2 });
+  const datedExports = await resolveExportDates(exports);
+  datedExports.forEach(e => console.log(`✅ ${e.name}: ${e.date} (${e.dateSource})`));
+
+  const totalSteps = datedExports.length + horizons.length + 5;
+
+  // Le fichier de suivi n'est chargé et sauvegardé qu'UNE SEULE FOIS
+  onProgress({ stage: 'load', message: 'Chargement du fichier de suivi', percent: 5 });
+  const trackingWb = new ExcelJS.Workbook();
+  await trackingWb.xlsx.readFile(trackingPath);
+  console.log('📖 Fichier de suivi chargé en mémoire');
+
+  const thresholds = await loadThresholds(trackingWb, options.thresholdsPath, options.columnMapping);
+  const families = loadFamilies(trackingWb, options.columnMapping);
+
+  try {
+    const imports = [];
+    let trackingColumns = null;
+
+    // Une étape par export: mise à jour de la liste de stock
+    for (const [i, exportFile] of datedExports.entries()) {
+      const step = `Étape ${i + 1}/${totalSteps}`;
+      const span = 45 / datedExports.length;
+      const base = 10 + span * i;
+
+      console.log(`📊 ${step}: Update tracking ${exportFile.date}...`);
+      onProgress({ stage: 'update-tracking', message: `${step}: Import du ${exportFile.date}`, percent: base });
+
+      const exportWb = new ExcelJS.Workbook();
+      await exportWb.xlsx.readFile(exportFile.path);
+
+      const columns = resolveStockColumns(trackingWb, exportWb, options.columnMapping, aggregation);
+      trackingColumns = columns.tracking;
+      const insertAt = options.replace ? prepareReplace(trackingWb, exportFile.date, columns.tracking) : null;
+
+      const stats = await updateTracking(trackingWb, exportWb, exportFile.date, columns, { aggregation, insertAt, headerFormat }, (progress) => onProgress({
+        ...progress,
+        message: `${step}: ${progress.message}`,
+        percent: base + (span * (progress.percent - 10)) / 45
+      }));
+      imports.push({ ...exportFile, replaced: insertAt !== null, ...stats });
+      console.log('✅ Update tracking terminé');
+
+      // Libérer la mémoire du workbook export
+      exportWb.worksheets.forEach(sheet => {
+        sheet.destroy && sheet.destroy();
+      });
+
+      // Forcer le garbage collector
+      if (global.gc) {
+        global.gc();
+      }
+    }
+
+    // Les feuilles de suivi portent sur le relevé le plus récent, même si l'import comble une date ancienne
+    const latestDate = [...getHeaders(trackingWb.getWorksheet('Liste de Stock'))].reverse().find(isValidDate);
+
+    // Étapes suivantes: une feuille de suivi par horizon
+    for (const [i, horizonKey] of horizons.entries()) {
+      const horizon = HORIZONS[horizonKey];
+      const step = `Étape ${datedExports.length + i + 1}/${totalSteps}`;
+      console.log(`📊 ${step}: Update ${horizon.sheetName}...`);
+      onProgress({
+        stage: `horizon-${horizonKey}`,
+        message: `${step}: ${horizon.sheetName}`,
+        percent: 60 + (20 * i) / horizons.length
+      });
+      updateHorizonTracking(trackingWb, latestDate, horizon, trackingColumns, toleranceDays, thresholds);
+      console.log(`✅ Update ${horizon.sheetName} terminé`);
+
+      if (global.gc) {
+        global.gc();
+      }
+    }
+
+    // Synthèses par magasin et par famille, sur les mêmes horizons
+    console.log(`📊 Étape ${totalSteps - 4}/${totalSteps}: Update summaries...`);
+    onProgress({ stage: 'summaries', message: `Étape ${totalSteps - 4}/${totalSteps}: Synthèses par magasin et par famille`, percent: 80 });
+    updateSummarySheets(trackingWb, latestDate, horizons, trackingColumns, toleranceDays, { families, familyPrefixLength });
+    console.log('✅ Update summaries terminé');
+
+    // Alertes de seuil
+    console.log(`📊 Étape ${totalSteps - 3}/${totalSteps}: Update alerts...`);
+    onProgress({ stage: 'alerts', message: `Étape ${totalSteps - 3}/${totalSteps}: Alertes de seuil`, percent: 81 });
+    updateAlertsSheet(trackingWb, latestDate, trackingColumns, thresholds);
+    console.log('✅ Update alerts terminé');
+
+    // Prévisions de consommation et dates de rupture
+    console.log(`📊 Étape ${totalSteps - 2}/${totalSteps}: Update forecast...`);
+    onProgress({ stage: 'forecast', message: `Étape ${totalSteps - 2}/${totalSteps}: Prévisions de consommation`, percent: 82 });
+    updateForecastSheet(trackingWb, latestDate, trackingColumns, forecast);
+    console.log('✅ Update forecast terminé');
+
+    // Mouvements des numéros de série
+    console.log(`📊 Étape ${totalSteps - 1}/${totalSteps}: Update serial movements...`);
+    onProgress({ stage: 'movements', message: `Étape ${totalSteps - 1}/${totalSteps}: Mouvements des numéros de série`, percent: 83 });
+    updateMovementsSheet(trackingWb, latestDate, trackingColumns, toleranceDays);
+    console.log('✅ Update serial movements terminé');
+
+    // Dernière étape: Tableau de bord
+    console.log(`📊 Étape ${totalSteps}/${totalSteps}: Update dashboard...`);
+    onProgress({ stage: 'dashboard', message: `Étape ${totalSteps}/${totalSteps}: Tableau de bord`, percent: 85 });
+    const charts = updateDashboardSheet(trackingWb, latestDate, trackingColumns, toleranceDays, thresholds);
+    console.log('✅ Update dashboard terminé');
+
+    // Résumé par date, seulement pour un import groupé
+    if (imports.length > 1) {
+      writeImportSummarySheet(trackingWb, imports);
+    }
+
+    // Sauvegarder UNE SEULE FOIS
+    console.log('💾 Sauvegarde du fichier...');
+    onProgress({ stage: 'save', message: 'Sauvegarde du fichier', percent: 90 });
+    await trackingWb.xlsx.writeFile(trackingPath);
+    await addNativeCharts(trackingPath, DASHBOARD_SHEET, charts);
+    console.log('💾 Fichier sauvegardé');
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('🎉 TRAITEMENT TERMINÉ AVEC SUCCÈS');
+    console.log('═══════════════════════════════════════════════════');
+
+    return { outputPath: trackingPath, imports };
+
+  } catch (error) {
+    console.error('❌ ERREUR:', error);
+    throw error;
+  }
+}
+
+function writeImportSummarySheet(workbook, imports) {
+  const existing = findSheetByPrefix(workbook, 'résumé des imports');
+  if (existing) {
+    workbook.removeWorksheet(existing.id);
+  }
+  const sheet = workbook.addWorksheet('Résumé des imports');
+
+  const headers = ['Date', 'Fichier', 'Origine de la date', 'Articles dans l\'export', 'Lignes mises à jour', 'Nouvelles lignes', 'Lignes passant à 0', 'Remplacement'];
+  writeTitleRow(sheet, `Import groupé de ${imports.length} exports`, headers.length);
+
+  writeHeaderRow(sheet, headers, 2);
+
+  imports.forEach((item, i) => {
+    sheet.getRow(i + 3).values = [
+      item.date,
+      item.name,
+      DATE_SOURCES[item.dateSource],
+      item.exportArticles,
+      item.updatedRows,
+      item.newRows,
+      item.zeroedRows,
+      item.replaced ? 'Oui' : 'Non'
+    ];
+  });
+
+  adjustColumnWidths(sheet);
+}
+
+module.exports = {
+  processStockTracking,
+  processStockTrackingBatch
+};
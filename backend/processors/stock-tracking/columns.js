@@ -0,0 +1,129 @@
+// ===================================
+// 🧭 Suivi de stock: colonnes de l'export et du fichier de suivi, correspondance
+// ===================================
+
+const { resolveColumns } = require('../../utils/columns');
+const { ValidationError } = require('../../utils/errors');
+const { AGGREGATION_MODES } = require('./aggregation');
+const { THRESHOLD_COLUMNS } = require('./thresholds');
+const { FAMILY_COLUMNS } = require('./summaries');
+
+// Colonnes attendues, repérées par nom d'en-tête (comparaison sans casse ni accents)
+const EXPORT_COLUMNS = {
+  code_article: {
+    label: 'Code article',
+    aliases: ['Code article', 'Article', 'Codification', 'Codification DSNA', 'Code', 'Référence', 'Item'],
+    required: true
+  },
+  emplacement: {
+    label: 'Emplacement',
+    aliases: ['Emplacement', 'Code emplacement', 'Magasin', 'Code magasin', 'Location'],
+    required: true
+  },
+  description: {
+    label: 'Description article',
+    aliases: ['Description', 'Description article', 'Désignation', 'Libellé', 'Libellé article'],
+    required: false
+  },
+  description_emplacement: {
+    label: 'Description emplacement',
+    aliases: ['Description emplacement', 'Desc emplacement', 'Libellé emplacement', 'Description magasin'],
+    required: false
+  },
+  quantite: {
+    label: 'Quantité',
+    aliases: ['Quantité', 'Qté', 'Qte', 'Quantity', 'Qty'],
+    required: false
+  },
+  numero_serie: {
+    label: 'Numéro de série',
+    aliases: ['Numéro de série', 'N° de série', 'No de série', 'Numéro série', 'Serial', 'Serial number', 'SN'],
+    required: false
+  }
+};
+
+const TRACKING_COLUMNS = {
+  codification: {
+    label: 'Codification',
+    aliases: ['Codification DSNA', 'Codification', 'Codif', 'Code article', 'Article'],
+    required: true
+  },
+  designation: {
+    label: 'Désignation',
+    aliases: ['Désignation', 'Designation article', 'Libellé'],
+    required: false
+  },
+  magasin: {
+    label: 'Magasin',
+    aliases: ['Magasin', 'Emplacement', 'Code magasin'],
+    required: true
+  },
+  description: {
+    label: 'Description magasin',
+    aliases: ['Description', 'Description magasin', 'Description emplacement', 'Libellé magasin'],
+    required: false
+  }
+};
+
+/**
+ * Repère les colonnes du fichier de suivi et de l'export
+ * @param {ExcelJS.Workbook} trackingWb
+ * @param {ExcelJS.Workbook} exportWb
+ * @param {Object} [columnMapping] - { export: { champ: colonne }, tracking: { champ: colonne } }
+ * @param {string} [aggregation='count'] - Rend obligatoire la colonne d'export utilisée par le mode
+ * @returns {{tracking: Object, export: Object}} - Numéros de colonne par champ
+ */
+function resolveStockColumns(trackingWb, exportWb, columnMapping = {}, aggregation = 'count') {
+  const stockSheet = trackingWb.getWorksheet('Liste de Stock');
+  const exportSheet = exportWb.worksheets[0];
+
+  if (!stockSheet) {
+    throw new ValidationError('Feuille "Liste de Stock" introuvable', 'SHEET_MISSING', { sheet: 'Liste de Stock' });
+  }
+  if (!exportSheet) {
+    throw new ValidationError("Le fichier d'export ne contient aucune feuille", 'FILE_EMPTY', { slot: 'export' });
+  }
+
+  const exportFields = { ...EXPORT_COLUMNS };
+  const aggregationColumn = AGGREGATION_MODES[aggregation].column;
+  if (aggregationColumn) {
+    exportFields[aggregationColumn] = { ...exportFields[aggregationColumn], required: true };
+  }
+
+  const columns = {
+    tracking: resolveColumns(stockSheet, TRACKING_COLUMNS, columnMapping.tracking, 'la feuille "Liste de Stock"'),
+    export: resolveColumns(exportSheet, exportFields, columnMapping.export, "le fichier d'export")
+  };
+  console.log('🧭 Colonnes détectées:', columns);
+
+  return columns;
+}
+
+const MAPPING_SCOPES = {
+  export: EXPORT_COLUMNS,
+  tracking: TRACKING_COLUMNS,
+  thresholds: THRESHOLD_COLUMNS,
+  families: FAMILY_COLUMNS
+};
+
+function validateColumnMapping(mapping) {
+  const errors = [];
+  Object.entries(mapping).forEach(([scope, fields]) => {
+    if (!MAPPING_SCOPES[scope]) {
+      errors.push(`fichier inconnu « ${scope} » (${Object.keys(MAPPING_SCOPES).join(', ')})`);
+      return;
+    }
+    Object.keys(fields || {}).forEach(field => {
+      if (!MAPPING_SCOPES[scope][field]) {
+        errors.push(`champ inconnu « ${scope}.${field} » (${Object.keys(MAPPING_SCOPES[scope]).join(', ')})`);
+      }
+    });
+  });
+  return errors.length > 0 ? errors.join('; ') : null;
+}
+
+module.exports = {
+  TRACKING_COLUMNS,
+  resolveStockColumns,
+  validateColumnMapping
+};
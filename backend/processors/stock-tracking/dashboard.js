@@ -0,0 +1,235 @@
+// ===================================
+// 📈 Suivi de stock: tableau de bord
+// ===================================
+
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow } = require('../../utils/excel');
+const { findSheetByPrefix, addNoDataMessage, getCellValue } = require('./sheets');
+const { isValidDate } = require('./dates');
+const { getHeaders, findDateIndex } = require('./headers');
+const { THRESHOLD_LEVELS, getThresholdLevel, findThreshold } = require('./thresholds');
+const { findPreviousIndex, calculateVariations } = require('./horizons');
+
+const DASHBOARD_SHEET = 'Tableau de bord';
+const DASHBOARD_HISTORY = 12; // relevés affichés dans l'historique
+const DASHBOARD_TOP_MOVEMENTS = 10;
+const DASHBOARD_WIDTH = 5; // colonnes des tableaux, les graphiques sont à droite
+const CHART_SIZE = { width: 480, height: 240 };
+
+/**
+ * Génère la feuille "Tableau de bord": chiffres clés, stock par magasin,
+ * historique et principaux mouvements
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} exportDate - Relevé de référence 'DD/MM/YYYY'
+ * @param {Object} trackingColumns
+ * @param {number} toleranceDays - Pour retrouver le relevé d'un mois plus tôt
+ * @param {Object} thresholds
+ * @returns {ChartSpec[]} - Graphiques à ajouter une fois le classeur enregistré (utils/charts)
+ */
+function updateDashboardSheet(workbook, exportDate, trackingColumns, toleranceDays, thresholds) {
+  const stockSheet = workbook.getWorksheet('Liste de Stock');
+
+  const existing = findSheetByPrefix(workbook, DASHBOARD_SHEET);
+  if (existing) {
+    workbook.removeWorksheet(existing.id);
+  }
+  const sheet = workbook.addWorksheet(DASHBOARD_SHEET);
+
+  const headers = getHeaders(stockSheet);
+  const currentIndex = findDateIndex(headers, exportDate);
+  if (currentIndex < 0) {
+    addNoDataMessage(sheet, 'Pas de relevé pour le tableau de bord');
+    return [];
+  }
+
+  // Variation "du mois": relevé d'un mois plus tôt, à défaut le relevé précédent
+  const previousIndex = findPreviousIndex(headers, currentIndex, toleranceDays);
+  const previousDate = previousIndex === null ? null : headers[previousIndex];
+
+  const history = headers
+    .map((header, index) => ({ date: header, index }))
+    .filter(({ date, index }) => index <= currentIndex && isValidDate(date))
+    .slice(-DASHBOARD_HISTORY);
+
+  const stats = collectDashboardStats(stockSheet, trackingColumns, thresholds, currentIndex, previousIndex, history);
+  console.log(`📈 Tableau de bord: ${stats.magasins.length} magasins, ${stats.articles} articles`);
+
+  writeTitleRow(sheet, `Tableau de bord au ${exportDate}`, DASHBOARD_WIDTH);
+  let rowNum = 3;
+
+  // Chiffres clés
+  rowNum = writeDashboardTable(sheet, rowNum, 'Chiffres clés', ['Indicateur', 'Valeur'], [
+    ['Articles suivis (codification/magasin)', stats.articles],
+    ['Quantité totale en stock', stats.total],
+    [
+      previousDate ? `Variation nette du ${previousDate} au ${exportDate}` : 'Variation nette',
+      previousDate ? stats.total - stats.previousTotal : 'Pas de relevé précédent'
+    ],
+    [`Articles au niveau "${THRESHOLD_LEVELS.critical.label}"`, stats.levels.critical],
+    [`Articles au niveau "${THRESHOLD_LEVELS.alert.label}"`, stats.levels.alert]
+  ]);
+
+  // Stock par magasin, avec barres de données natives sur la quantité
+  const magasinStart = rowNum + 2;
+  rowNum = writeDashboardTable(
+    sheet,
+    rowNum,
+    'Stock par magasin',
+    ['Magasin', 'Description', 'Articles en stock', 'Quantité totale', 'Variation nette'],
+    [
+      ...stats.magasins.map(m => [m.magasin, m.description, m.articles, m.total, previousDate ? m.total - m.previousTotal : null]),
+      ['Total', null, stats.inStock, stats.total, previousDate ? stats.total - stats.previousTotal : null]
+    ]
+  );
+  if (stats.magasins.length > 0) {
+    sheet.getRow(rowNum - 1).font = { bold: true };
+    sheet.addConditionalFormatting({
+      ref: `D${magasinStart}:D${magasinStart + stats.magasins.length - 1}`,
+      rules: [{ type: 'dataBar', cfvo: [{ type: 'min' }, { type: 'max' }], color: { argb: 'FF5B9BD5' } }]
+    });
+  }
+
+  // Historique des relevés
+  const historyStart = rowNum + 2;
+  rowNum = writeDashboardTable(
+    sheet,
+    rowNum,
+    `Historique (${stats.history.length} derniers relevés)`,
+    ['Date', 'Quantité totale', 'Variation nette'],
+    stats.history.map((point, i) => [
+      point.date,
+      point.total,
+      i > 0 ? point.total - stats.history[i - 1].total : null
+    ])
+  );
+
+  // Principaux mouvements
+  writeDashboardTable(
+    sheet,
+    rowNum,
+    previousDate
+      ? `Top ${DASHBOARD_TOP_MOVEMENTS} des mouvements du ${previousDate} au ${exportDate}`
+      : `Top ${DASHBOARD_TOP_MOVEMENTS} des mouvements`,
+    ['Codification DSNA', 'Désignation', 'Magasin', 'Variation', 'Quantité actuelle'],
+    stats.movements.map(item => [item.codif, item.designation, item.magasin, item.variation, item.qtyActuelle])
+  );
+
+  adjustColumnWidths(sheet);
+
+  // Graphiques à droite des tableaux, l'un sous l'autre, sur les données des tableaux
+  const chartCol = DASHBOARD_WIDTH + 2;
+  const variations = stats.history.slice(1);
+  return [
+    {
+      type: 'line',
+      title: 'Quantité totale par relevé',
+      seriesName: 'Quantité totale',
+      firstRow: historyStart,
+      categoryColumn: 1,
+      valueColumn: 2,
+      categories: stats.history.map(point => point.date),
+      values: stats.history.map(point => point.total)
+    },
+    {
+      type: 'bar',
+      title: 'Variation nette entre relevés',
+      seriesName: 'Variation nette',
+      firstRow: historyStart + 1,
+      categoryColumn: 1,
+      valueColumn: 3,
+      categories: variations.map(point => point.date),
+      values: variations.map((point, i) => point.total - stats.history[i].total)
+    },
+    {
+      type: 'bar',
+      title: 'Quantité totale par magasin',
+      seriesName: 'Quantité totale',
+      firstRow: magasinStart,
+      categoryColumn: 1,
+      valueColumn: 4,
+      categories: stats.magasins.map(m => m.magasin),
+      values: stats.magasins.map(m => m.total)
+    }
+  ].map((chart, i) => ({ ...chart, position: { col: chartCol, row: 3 + i * 15 }, size: CHART_SIZE }));
+}
+
+function collectDashboardStats(stockSheet, trackingColumns, thresholds, currentIndex, previousIndex, history) {
+  const stats = {
+    articles: 0,
+    inStock: 0,
+    total: 0,
+    previousTotal: 0,
+    levels: { critical: 0, alert: 0 },
+    magasins: [],
+    history: history.map(point => ({ ...point, total: 0 })),
+    movements: []
+  };
+  const byMagasin = new Map();
+
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const codif = getCellValue(row, trackingColumns.codification);
+    const magasin = getCellValue(row, trackingColumns.magasin);
+    const quantity = Number(getCellValue(row, currentIndex + 1)) || 0;
+    const previousQty = previousIndex >= 0 ? Number(getCellValue(row, previousIndex + 1)) || 0 : 0;
+
+    stats.articles++;
+    stats.total += quantity;
+    stats.previousTotal += previousQty;
+    if (quantity > 0) stats.inStock++;
+
+    const level = getThresholdLevel(findThreshold(thresholds, codif, magasin), quantity);
+    if (level) stats.levels[level]++;
+
+    const key = String(magasin ?? '');
+    if (!byMagasin.has(key)) {
+      byMagasin.set(key, {
+        magasin,
+        description: getCellValue(row, trackingColumns.description),
+        articles: 0,
+        total: 0,
+        previousTotal: 0
+      });
+    }
+    const entry = byMagasin.get(key);
+    if (quantity > 0) entry.articles++;
+    entry.total += quantity;
+    entry.previousTotal += previousQty;
+
+    stats.history.forEach(point => {
+      point.total += Number(getCellValue(row, point.index + 1)) || 0;
+    });
+  });
+
+  stats.magasins = [...byMagasin.values()].sort((a, b) => String(a.magasin).localeCompare(String(b.magasin), 'fr', { numeric: true }));
+
+  if (previousIndex >= 0) {
+    stats.movements = calculateVariations(stockSheet, currentIndex + 1, previousIndex + 1, trackingColumns)
+      .sort((a, b) => Math.abs(b.variation) - Math.abs(a.variation))
+      .slice(0, DASHBOARD_TOP_MOVEMENTS);
+  }
+
+  return stats;
+}
+
+// Bloc titre + en-têtes + lignes; renvoie la ligne où commencer le bloc suivant
+function writeDashboardTable(sheet, startRow, title, headers, rows) {
+  writeTitleRow(sheet, title, DASHBOARD_WIDTH, startRow);
+
+  writeHeaderRow(sheet, headers, startRow + 1);
+
+  if (rows.length === 0) {
+    sheet.getCell(startRow + 2, 1).value = 'Aucune donnée';
+    return startRow + 4;
+  }
+
+  rows.forEach((values, i) => {
+    sheet.getRow(startRow + 2 + i).values = values;
+  });
+  return startRow + rows.length + 3;
+}
+
+module.exports = {
+  DASHBOARD_SHEET,
+  updateDashboardSheet
+};
@@ -0,0 +1,78 @@
+// ===================================
+// 📅 Suivi de stock: dates des relevés ('DD/MM/YYYY' ou 'YYYY-MM-DD')
+// ===================================
+
+const { buildDate } = require('../../utils/dates');
+const { ValidationError } = require('../../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date impossible (31/02/2024, 2024-13-45): rejetée comme un format invalide
+function parseDate(dateStr) {
+  if (typeof dateStr !== 'string') {
+    throw dateFormatError(dateStr);
+  }
+
+  // Essayer format ISO (YYYY-MM-DD)
+  let match = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  let date = null;
+  if (match) {
+    date = buildDate(match[1], match[2], match[3]);
+  }
+
+  // Essayer format FR (DD/MM/YYYY)
+  match = dateStr.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (match) {
+    date = buildDate(match[3], match[2], match[1]);
+  }
+
+  if (!date) {
+    throw dateFormatError(dateStr);
+  }
+  return date;
+}
+
+function dateFormatError(value) {
+  return new ValidationError(
+    `Format de date invalide: ${value}. Utilisez DD/MM/YYYY ou YYYY-MM-DD`,
+    'INVALID_DATE_FORMAT',
+    { value }
+  );
+}
+
+function formatDate(date, format) {
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const year = date.getFullYear();
+
+  if (format === 'DD/MM/YYYY') {
+    return `${day}/${month}/${year}`;
+  }
+  return `${year}-${month}-${day}`;
+}
+
+function isValidDate(dateStr) {
+  try {
+    parseDate(dateStr);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Même jour N mois plus tôt, ramené au dernier jour du mois si besoin (31/03 -> 29/02)
+function subtractMonths(date, months) {
+  const target = new Date(date.getFullYear(), date.getMonth() - months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+}
+
+module.exports = {
+  DAY_MS,
+  parseDate,
+  dateFormatError,
+  formatDate,
+  isValidDate,
+  subtractMonths
+};
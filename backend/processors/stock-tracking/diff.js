@@ -0,0 +1,93 @@
+// ===================================
+// 🆚 Suivi de stock: comparaison de deux versions du suivi
+// ===================================
+
+const ExcelJS = require('exceljs');
+const { toPlainValue } = require('../../utils/excel');
+const { resolveColumns } = require('../../utils/columns');
+const { ValidationError } = require('../../utils/errors');
+const { getCellValue, getStockRowKey } = require('./sheets');
+const { isValidDate } = require('./dates');
+const { getHeaders } = require('./headers');
+const { TRACKING_COLUMNS } = require('./columns');
+
+const DIFF_MAX_CHANGES = 500;
+
+/**
+ * Compare la feuille "Liste de Stock" de deux classeurs de suivi
+ * @param {string|null} fromPath - Version de référence (null: première version, tout est ajouté)
+ * @param {string} toPath - Version comparée
+ * @param {Object} [columnMapping] - { tracking: { champ: colonne } }
+ * @returns {Promise<Object>} - Dates et lignes ajoutées/retirées, quantités modifiées sur les dates communes
+ */
+async function diffTrackingWorkbooks(fromPath, toPath, columnMapping = {}) {
+  const from = fromPath ? await readStockHistory(fromPath, columnMapping) : { dates: [], rows: new Map() };
+  const to = await readStockHistory(toPath, columnMapping);
+
+  const commonDates = from.dates.filter(date => to.dates.includes(date));
+  const rowsAdded = [];
+  const changes = [];
+
+  to.rows.forEach((toRow, key) => {
+    const fromRow = from.rows.get(key);
+    if (!fromRow) {
+      rowsAdded.push({ codification: toRow.codif, magasin: toRow.magasin });
+      return;
+    }
+
+    commonDates.forEach(date => {
+      const before = fromRow.quantities.get(date) ?? 0;
+      const after = toRow.quantities.get(date) ?? 0;
+      if (before !== after) {
+        changes.push({ codification: toRow.codif, magasin: toRow.magasin, date, from: before, to: after });
+      }
+    });
+  });
+
+  const rowsRemoved = [...from.rows.entries()]
+    .filter(([key]) => !to.rows.has(key))
+    .map(([, row]) => ({ codification: row.codif, magasin: row.magasin }));
+
+  return {
+    dates_added: to.dates.filter(date => !from.dates.includes(date)),
+    dates_removed: from.dates.filter(date => !to.dates.includes(date)),
+    rows_added: rowsAdded,
+    rows_removed: rowsRemoved,
+    changes_total: changes.length,
+    changes: changes.slice(0, DIFF_MAX_CHANGES)
+  };
+}
+
+async function readStockHistory(trackingPath, columnMapping) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(trackingPath);
+
+  const stockSheet = workbook.getWorksheet('Liste de Stock');
+  if (!stockSheet) {
+    throw new ValidationError('Feuille "Liste de Stock" introuvable', 'SHEET_MISSING', { sheet: 'Liste de Stock' });
+  }
+
+  const trackingColumns = resolveColumns(stockSheet, TRACKING_COLUMNS, columnMapping.tracking, 'la feuille "Liste de Stock"');
+  const headers = getHeaders(stockSheet);
+  const dateColumns = headers
+    .map((header, index) => ({ date: header, col: index + 1 }))
+    .filter(({ date }) => isValidDate(date));
+
+  const rows = new Map();
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const quantities = new Map(dateColumns.map(({ date, col }) => [date, Number(getCellValue(row, col)) || 0]));
+    rows.set(getStockRowKey(row, trackingColumns), {
+      codif: toPlainValue(getCellValue(row, trackingColumns.codification)),
+      magasin: toPlainValue(getCellValue(row, trackingColumns.magasin)),
+      quantities
+    });
+  });
+
+  return { dates: dateColumns.map(({ date }) => date), rows };
+}
+
+module.exports = {
+  diffTrackingWorkbooks
+};
@@ -0,0 +1,125 @@
+// ===================================
+// 🔎 Suivi de stock: date des exports (saisie, nom de fichier, contenu, métadonnées)
+// ===================================
+
+const ExcelJS = require('exceljs');
+const { normalizeHeader } = require('../../utils/columns');
+const { toDate, findDateInFileName } = require('../../utils/dates');
+const { ValidationError } = require('../../utils/errors');
+const { formatDate, parseDate } = require('./dates');
+
+// En-têtes d'une colonne de date dans le contenu de l'export
+const EXPORT_DATE_ALIASES = ['Date', "Date d'export", "Date d'extraction", 'Date inventaire', 'Date du stock', 'Date relevé'];
+
+// Origine de la date d'un export, libellés du résumé d'import groupé
+const DATE_SOURCES = {
+  input: 'saisie',
+  filename: 'nom de fichier',
+  content: 'contenu',
+  metadata: 'date de création du classeur'
+};
+
+/**
+ * Propose une date pour un export: nom de fichier, colonne de date du contenu,
+ * puis date de création enregistrée dans le classeur
+ * @param {string} exportPath - Chemin du fichier d'export
+ * @param {string} fileName - Nom d'origine du fichier
+ * @returns {Promise<{date: string, source: string}|null>} - Date 'DD/MM/YYYY' et clé de DATE_SOURCES
+ */
+async function detectExportDate(exportPath, fileName) {
+  const fromName = findDateInFileName(fileName);
+  if (fromName) {
+    return { date: formatDate(fromName, 'DD/MM/YYYY'), source: 'filename' };
+  }
+
+  const readStart = new Date();
+  const exportWb = new ExcelJS.Workbook();
+  await exportWb.xlsx.readFile(exportPath);
+
+  const fromContent = findDateInExport(exportWb.worksheets[0]);
+  if (fromContent) {
+    return { date: formatDate(fromContent, 'DD/MM/YYYY'), source: 'content' };
+  }
+
+  // Sans métadonnées, ExcelJS initialise `created` à l'instant de lecture: on l'ignore
+  const created = exportWb.created;
+  if (created instanceof Date && !Number.isNaN(created.getTime()) && created < readStart) {
+    return { date: formatDate(created, 'DD/MM/YYYY'), source: 'metadata' };
+  }
+
+  return null;
+}
+
+/**
+ * Complète et contrôle les dates des exports, puis les trie chronologiquement
+ * @returns {Promise<Array>} - Exports avec date 'DD/MM/YYYY' et dateSource
+ */
+async function resolveExportDates(exports) {
+  const dated = [];
+  const missing = [];
+
+  for (const exportFile of exports) {
+    if (exportFile.date) {
+      dated.push({ ...exportFile, date: formatDate(parseDate(exportFile.date), 'DD/MM/YYYY'), dateSource: 'input' });
+      continue;
+    }
+
+    const detected = await detectExportDate(exportFile.path, exportFile.name);
+    if (detected) {
+      dated.push({ ...exportFile, date: detected.date, dateSource: detected.source });
+    } else {
+      missing.push(exportFile.name);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new ValidationError(
+      `Date introuvable pour: ${missing.join(', ')}. Indiquez-la dans le paramètre des dates d'export.`,
+      'EXPORT_DATE_UNDETECTED',
+      { files: missing }
+    );
+  }
+
+  const seen = new Map();
+  dated.forEach(exportFile => {
+    if (seen.has(exportFile.date)) {
+      throw new ValidationError(
+        `Deux exports portent la même date (${exportFile.date}): ${seen.get(exportFile.date)} et ${exportFile.name}`,
+        'DUPLICATE_EXPORT_DATE',
+        { date: exportFile.date, files: [seen.get(exportFile.date), exportFile.name] }
+      );
+    }
+    seen.set(exportFile.date, exportFile.name);
+  });
+
+  return dated.sort((a, b) => parseDate(a.date) - parseDate(b.date));
+}
+
+// Date la plus fréquente d'une colonne "Date" de l'export
+function findDateInExport(sheet) {
+  if (!sheet) return null;
+
+  const aliases = EXPORT_DATE_ALIASES.map(normalizeHeader);
+  let dateColumn = null;
+  sheet.getRow(1).eachCell((cell, colNum) => {
+    if (!dateColumn && aliases.includes(normalizeHeader(cell.value))) dateColumn = colNum;
+  });
+  if (!dateColumn) return null;
+
+  const counts = new Map();
+  sheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+    const date = toDate(row.getCell(dateColumn).value);
+    if (date) counts.set(date.getTime(), (counts.get(date.getTime()) || 0) + 1);
+  });
+  if (counts.size === 0) return null;
+
+  const [time] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  return new Date(time);
+}
+
+module.exports = {
+  DATE_SOURCES,
+  detectExportDate,
+  resolveExportDates
+};
@@ -0,0 +1,219 @@
+// ===================================
+// 🔮 Suivi de stock: prévisions de consommation
+// ===================================
+
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow } = require('../../utils/excel');
+const { ValidationError } = require('../../utils/errors');
+const { findSheetByPrefix, addNoDataMessage, getCellValue } = require('./sheets');
+const { parseDate, subtractMonths, isValidDate, DAY_MS, formatDate } = require('./dates');
+const { getHeaders, findDateIndex } = require('./headers');
+
+// Prévisions de consommation: rythme de baisse estimé sur l'historique récent
+const FORECAST_METHODS = {
+  moving_average: { label: 'Moyenne mobile de la consommation' },
+  trend: { label: 'Tendance linéaire du stock' }
+};
+const DEFAULT_FORECAST_METHOD = 'moving_average';
+const DEFAULT_FORECAST_HORIZON = 3; // mois: rupture estimée avant ce délai = article à risque
+const MAX_FORECAST_HORIZON = 12;
+const FORECAST_WINDOW_MONTHS = 6; // historique pris en compte
+
+const FORECAST_STATUSES = {
+  rupture: { label: 'En rupture', color: 'FFFFCCCC' },
+  risk: { label: "Rupture avant l'horizon", color: 'FFFFDAB9' },
+  ok: { label: 'OK', color: null },
+  stable: { label: 'Pas de consommation', color: null }
+};
+
+const MONTH_DAYS = 365.25 / 12;
+
+function resolveForecast(options) {
+  const method = options.forecastMethod || DEFAULT_FORECAST_METHOD;
+  if (!FORECAST_METHODS[method]) {
+    throw new ValidationError(
+      `Méthode de prévision invalide: ${method}. Valeurs possibles: ${Object.keys(FORECAST_METHODS).join(', ')}`,
+      'PARAM_INVALID',
+      { param: 'forecast_method', value: method, allowed: Object.keys(FORECAST_METHODS) }
+    );
+  }
+
+  const horizonMonths = options.forecastHorizon ?? DEFAULT_FORECAST_HORIZON;
+  if (!Number.isInteger(horizonMonths) || horizonMonths < 1 || horizonMonths > MAX_FORECAST_HORIZON) {
+    throw new ValidationError(
+      `Horizon de prévision invalide: ${horizonMonths} (entier de 1 à ${MAX_FORECAST_HORIZON} mois)`,
+      'PARAM_INVALID',
+      { param: 'forecast_horizon', value: horizonMonths, min: 1, max: MAX_FORECAST_HORIZON }
+    );
+  }
+
+  return { method, horizonMonths };
+}
+
+/**
+ * Génère la feuille "Prévisions" à partir de l'historique de la liste de stock
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} exportDate - Relevé de référence 'DD/MM/YYYY'
+ * @param {Object} trackingColumns
+ * @param {Object} forecast - { method, horizonMonths } (voir resolveForecast)
+ */
+function updateForecastSheet(workbook, exportDate, trackingColumns, { method, horizonMonths }) {
+  const stockSheet = workbook.getWorksheet('Liste de Stock');
+  const existing = findSheetByPrefix(workbook, 'prévisions');
+  if (existing) {
+    workbook.removeWorksheet(existing.id);
+  }
+  const forecastSheet = workbook.addWorksheet('Prévisions');
+
+  const headers = getHeaders(stockSheet);
+  const currentIndex = findDateIndex(headers, exportDate);
+  if (currentIndex < 0) {
+    addNoDataMessage(forecastSheet, 'Pas de relevé pour calculer les prévisions');
+    return;
+  }
+
+  // Relevés des FORECAST_WINDOW_MONTHS derniers mois, en mois écoulés depuis le relevé courant (<= 0)
+  const currentDate = parseDate(exportDate);
+  const windowStart = subtractMonths(currentDate, FORECAST_WINDOW_MONTHS);
+  const history = headers
+    .map((header, index) => ({ header, index }))
+    .filter(({ header, index }) => index <= currentIndex && isValidDate(header) && parseDate(header) >= windowStart)
+    .map(({ header, index }) => ({ index, months: (parseDate(header) - currentDate) / DAY_MS / MONTH_DAYS }));
+
+  if (history.length < 2) {
+    addNoDataMessage(forecastSheet, 'Historique insuffisant pour les prévisions (au moins deux relevés sur 6 mois)');
+    return;
+  }
+
+  const forecasts = [];
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const quantities = history.map(point => Number(getCellValue(row, point.index + 1)) || 0);
+    if (quantities.every(qty => qty === 0)) return; // Article absent sur toute la période
+
+    const quantity = quantities[quantities.length - 1];
+    const consumption = averageConsumption(history, quantities);
+    const rate = method === 'trend' ? Math.max(0, -trendSlope(history, quantities)) : consumption;
+    const monthsLeft = rate > 0 ? quantity / rate : null;
+
+    let status = 'ok';
+    if (quantity <= 0) status = 'rupture';
+    else if (monthsLeft === null) status = 'stable';
+    else if (monthsLeft <= horizonMonths) status = 'risk';
+
+    forecasts.push({
+      codif: getCellValue(row, trackingColumns.codification),
+      designation: getCellValue(row, trackingColumns.designation),
+      magasin: getCellValue(row, trackingColumns.magasin),
+      description: getCellValue(row, trackingColumns.description),
+      quantity,
+      consumption,
+      projections: Array.from({ length: horizonMonths }, (_, i) => Math.max(0, quantity - rate * (i + 1))),
+      monthsLeft: quantity <= 0 ? 0 : monthsLeft,
+      status
+    });
+  });
+
+  // Ruptures les plus proches en tête, articles sans consommation à la fin
+  forecasts.sort((a, b) => (a.monthsLeft ?? Infinity) - (b.monthsLeft ?? Infinity) || b.consumption - a.consumption);
+
+  const atRisk = forecasts.filter(item => item.status === 'rupture' || item.status === 'risk').length;
+  console.log(`🔮 ${atRisk} articles en rupture ou à risque sous ${horizonMonths} mois (${FORECAST_METHODS[method].label})`);
+
+  const firstDate = headers[history[0].index];
+  writeForecastSheet(
+    forecastSheet,
+    forecasts,
+    `Prévisions au ${exportDate} sur ${horizonMonths} mois (${FORECAST_METHODS[method].label.toLowerCase()}, relevés depuis le ${firstDate})`,
+    currentDate
+  );
+}
+
+// Somme des baisses entre relevés successifs, rapportée à la durée couverte (réassorts ignorés)
+function averageConsumption(history, quantities) {
+  let consumed = 0;
+  for (let i = 1; i < quantities.length; i++) {
+    consumed += Math.max(0, quantities[i - 1] - quantities[i]);
+  }
+  const elapsed = history[history.length - 1].months - history[0].months;
+  return elapsed > 0 ? consumed / elapsed : 0;
+}
+
+// Pente (unités par mois) de la droite des moindres carrés passant par les relevés
+function trendSlope(history, quantities) {
+  const n = history.length;
+  const meanX = history.reduce((sum, point) => sum + point.months, 0) / n;
+  const meanY = quantities.reduce((sum, qty) => sum + qty, 0) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  history.forEach((point, i) => {
+    covariance += (point.months - meanX) * (quantities[i] - meanY);
+    variance += (point.months - meanX) ** 2;
+  });
+  return variance > 0 ? covariance / variance : 0;
+}
+
+function writeForecastSheet(sheet, forecasts, title, currentDate) {
+  const horizonMonths = forecasts.length > 0 ? forecasts[0].projections.length : 0;
+  const monthHeaders = Array.from({ length: horizonMonths }, (_, i) => {
+    const month = new Date(currentDate.getFullYear(), currentDate.getMonth() + i + 1, 1);
+    return `Prévision ${String(month.getMonth() + 1).padStart(2, '0')}/${month.getFullYear()}`;
+  });
+  const headers = [
+    'Codification DSNA', 'Désignation', 'Magasin', 'Description', 'Quantité actuelle',
+    'Consommation mensuelle moyenne', ...monthHeaders, 'Rupture estimée', 'Statut'
+  ];
+
+  writeTitleRow(sheet, title, headers.length);
+
+  writeHeaderRow(sheet, headers, 2);
+
+  if (forecasts.length === 0) {
+    writeTitleRow(sheet, 'Aucun article en stock sur la période', headers.length, 3);
+    adjustColumnWidths(sheet);
+    return;
+  }
+
+  forecasts.forEach((item, i) => {
+    const row = sheet.getRow(i + 3);
+    const stockOut = item.monthsLeft === null
+      ? null
+      : formatDate(new Date(currentDate.getTime() + Math.round(item.monthsLeft * MONTH_DAYS) * DAY_MS), 'DD/MM/YYYY');
+
+    row.values = [
+      item.codif,
+      item.designation,
+      item.magasin,
+      item.description,
+      item.quantity,
+      roundForecast(item.consumption),
+      ...item.projections.map(roundForecast),
+      stockOut,
+      FORECAST_STATUSES[item.status].label
+    ];
+
+    // Mise en évidence des articles en rupture ou à risque sur l'horizon
+    const color = FORECAST_STATUSES[item.status].color;
+    if (color) {
+      for (let col = 1; col <= headers.length; col++) {
+        row.getCell(col).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
+      }
+    }
+  });
+
+  adjustColumnWidths(sheet);
+}
+
+function roundForecast(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  FORECAST_METHODS,
+  DEFAULT_FORECAST_METHOD,
+  DEFAULT_FORECAST_HORIZON,
+  MAX_FORECAST_HORIZON,
+  resolveForecast,
+  updateForecastSheet
+};
@@ -0,0 +1,55 @@
+// ===================================
+// 🗓️ Suivi de stock: en-têtes de date de la liste de stock (texte ou date Excel)
+// ===================================
+
+const { toPlainValue } = require('../../utils/excel');
+const { toDate } = require('../../utils/dates');
+const { formatDate, parseDate, isValidDate } = require('./dates');
+
+// En-têtes de date: texte 'DD/MM/YYYY' (historique) ou vraie date Excel
+const HEADER_FORMATS = ['text', 'date'];
+
+/**
+ * En-têtes de la ligne 1, indexés par colonne (index 0 = colonne A).
+ * Les dates sont ramenées à 'DD/MM/YYYY' quelle que soit leur forme dans le fichier.
+ */
+function getHeaders(sheet) {
+  const headers = [];
+  const headerRow = sheet.getRow(1);
+  headerRow.eachCell((cell, colNum) => {
+    headers[colNum - 1] = normalizeHeaderDate(cell.value) || toPlainValue(cell.value);
+  });
+  return Array.from(headers, header => header ?? null);
+}
+
+// Index (0-based) de la colonne d'une date, -1 si absente.
+// Sans date (suivi vidé par une annulation), un trou de la ligne d'en-têtes ne doit pas correspondre.
+function findDateIndex(headers, date) {
+  return isValidDate(date) ? headers.indexOf(date) : -1;
+}
+
+// En-tête de date sous toutes ses formes (texte, date Excel, numéro de série, formule) -> 'DD/MM/YYYY'
+function normalizeHeaderDate(value) {
+  const date = toDate(value);
+  return date ? formatDate(date, 'DD/MM/YYYY') : null;
+}
+
+// Écrit une date d'en-tête en texte 'DD/MM/YYYY' ou en vraie date Excel
+function writeHeaderDate(cell, date, headerFormat = 'text') {
+  if (headerFormat === 'date') {
+    const parsed = parseDate(date);
+    // ExcelJS convertit les dates en UTC: minuit UTC pour conserver le jour
+    cell.value = new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+    cell.numFmt = 'dd/mm/yyyy';
+  } else {
+    cell.value = date;
+  }
+}
+
+module.exports = {
+  HEADER_FORMATS,
+  getHeaders,
+  findDateIndex,
+  normalizeHeaderDate,
+  writeHeaderDate
+};
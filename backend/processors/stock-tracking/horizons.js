@@ -0,0 +1,203 @@
+// ===================================
+// 🔭 Suivi de stock: feuilles de suivi par horizon (mensuel, semestriel...)
+// ===================================
+
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow } = require('../../utils/excel');
+const { ValidationError } = require('../../utils/errors');
+const { findSheetByPrefix, addNoDataMessage, getCellValue } = require('./sheets');
+const { subtractMonths, parseDate, isValidDate, DAY_MS } = require('./dates');
+const { getHeaders, findDateIndex } = require('./headers');
+const { getThresholdLevel, findThreshold, THRESHOLD_LEVELS } = require('./thresholds');
+
+// Horizons de comparaison: une feuille "Suivi …" par horizon, comparée au relevé
+// le plus proche de N mois avant la date d'import
+const HORIZONS = {
+  mensuel: { sheetName: 'Suivi Mensuel', months: 1, period: 'le mois' },
+  trimestriel: { sheetName: 'Suivi Trimestriel', months: 3, period: 'le trimestre' },
+  semestriel: { sheetName: 'Suivi Semestriel', months: 6, period: 'le semestre' },
+  annuel: { sheetName: 'Suivi Annuel', months: 12, period: "l'année" }
+};
+
+const DEFAULT_HORIZONS = ['mensuel', 'semestriel'];
+
+const DEFAULT_TOLERANCE_DAYS = 15;
+
+/**
+ * Liste d'horizons: tableau ou texte séparé par des virgules ("mensuel, annuel")
+ * @returns {string[]} - Clés de HORIZONS, sans doublon, dans l'ordre croissant de durée
+ */
+function parseHorizons(value) {
+  const keys = (Array.isArray(value) ? value : String(value).split(/[,;\s]+/))
+    .map(key => String(key).trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = keys.filter(key => !HORIZONS[key]);
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Horizon inconnu: ${unknown.join(', ')}. Valeurs possibles: ${Object.keys(HORIZONS).join(', ')}`,
+      'PARAM_INVALID',
+      { param: 'horizons', value: unknown.join(', '), allowed: Object.keys(HORIZONS) }
+    );
+  }
+  if (keys.length === 0) {
+    throw new ValidationError('Au moins un horizon de comparaison est nécessaire', 'PARAM_MISSING', { param: 'horizons' });
+  }
+
+  return Object.keys(HORIZONS).filter(key => keys.includes(key));
+}
+
+// Horizons dont la feuille "Suivi …" est déjà présente dans le classeur
+function existingHorizons(workbook) {
+  const keys = Object.keys(HORIZONS).filter(key => findSheetByPrefix(workbook, HORIZONS[key].sheetName));
+  return keys.length > 0 ? keys : DEFAULT_HORIZONS;
+}
+
+function updateHorizonTracking(workbook, exportDate, horizon, trackingColumns, toleranceDays, thresholds) {
+  const stockSheet = workbook.getWorksheet('Liste de Stock');
+  let horizonSheet = findSheetByPrefix(workbook, horizon.sheetName);
+
+  if (!horizonSheet) {
+    console.warn(`⚠️ Feuille "${horizon.sheetName}" introuvable, création...`);
+  } else {
+    // Recréer la feuille proprement
+    workbook.removeWorksheet(horizonSheet.id);
+  }
+  horizonSheet = workbook.addWorksheet(horizon.sheetName);
+
+  const headers = getHeaders(stockSheet);
+  const currentIndex = findDateIndex(headers, exportDate);
+  const previousIndex = findComparisonIndex(headers, currentIndex, horizon.months, toleranceDays);
+
+  if (previousIndex === null) {
+    addNoDataMessage(horizonSheet, `Pas de données disponibles pour ${horizon.period}`);
+    return;
+  }
+
+  const previousDate = headers[previousIndex];
+  const variations = calculateVariations(stockSheet, currentIndex + 1, previousIndex + 1, trackingColumns);
+
+  writeVariationsSheet(
+    horizonSheet,
+    variations,
+    `Variation entre le ${previousDate} et le ${exportDate}`,
+    ['Codification DSNA', 'Désignation', 'Magasin', 'Description', 'Variation', 'Quantité actuelle'],
+    thresholds
+  );
+}
+
+/**
+ * Cherche le relevé le plus proche de N mois avant la colonne courante
+ * @param {Array} headers - En-têtes de la feuille "Liste de Stock"
+ * @param {number} currentIndex - Index (0-based) de la colonne importée
+ * @param {number} months - Horizon en mois
+ * @param {number} toleranceDays - Écart maximal accepté avec la date cible
+ * @returns {number|null} - Index (0-based) du relevé de comparaison
+ */
+function findComparisonIndex(headers, currentIndex, months, toleranceDays) {
+  if (currentIndex < 1) return null;
+
+  const target = subtractMonths(parseDate(headers[currentIndex]), months);
+  let bestIndex = null;
+  let bestGap = Infinity;
+
+  headers.slice(0, currentIndex).forEach((header, index) => {
+    if (!isValidDate(header)) return;
+
+    const gap = Math.abs(parseDate(header) - target) / DAY_MS;
+    if (gap <= toleranceDays && gap < bestGap) {
+      bestIndex = index;
+      bestGap = gap;
+    }
+  });
+
+  return bestIndex;
+}
+
+/**
+ * Relevé "du mois" (le plus proche d'un mois plus tôt), à défaut le dernier relevé précédent
+ * @returns {number|null} - Index (0-based) du relevé précédent
+ */
+function findPreviousIndex(headers, currentIndex, toleranceDays) {
+  if (currentIndex < 1) return null;
+
+  const index = findComparisonIndex(headers, currentIndex, 1, toleranceDays)
+    ?? headers.slice(0, currentIndex).map(isValidDate).lastIndexOf(true);
+  return index >= 0 ? index : null;
+}
+
+function calculateVariations(stockSheet, currentColIndex, previousColIndex, trackingColumns) {
+  const variations = [];
+
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const currentQty = getCellValue(row, currentColIndex) || 0;
+    const previousQty = getCellValue(row, previousColIndex) || 0;
+    const variation = currentQty - previousQty;
+
+    if (variation !== 0) {
+      variations.push({
+        codif: getCellValue(row, trackingColumns.codification),
+        designation: getCellValue(row, trackingColumns.designation),
+        magasin: getCellValue(row, trackingColumns.magasin),
+        description: getCellValue(row, trackingColumns.description),
+        variation,
+        qtyActuelle: currentQty
+      });
+    }
+  });
+
+  return variations;
+}
+
+function writeVariationsSheet(sheet, variations, title, headers, thresholds) {
+  writeTitleRow(sheet, title, headers.length);
+  writeHeaderRow(sheet, headers, 2);
+
+  // Données
+  if (variations.length > 0) {
+    variations.forEach((item, i) => {
+      const row = sheet.getRow(i + 3);
+      row.getCell(1).value = item.codif;
+      row.getCell(2).value = item.designation;
+      row.getCell(3).value = item.magasin;
+      row.getCell(4).value = item.description;
+      row.getCell(5).value = item.variation;
+      row.getCell(6).value = item.qtyActuelle;
+
+      // Coloration selon les seuils de l'article
+      const level = getThresholdLevel(findThreshold(thresholds, item.codif, item.magasin), item.qtyActuelle);
+      if (level) {
+        row.getCell(6).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: THRESHOLD_LEVELS[level].color }
+        };
+      }
+    });
+  } else {
+    sheet.mergeCells('A3:F3');
+    const cell = sheet.getCell('A3');
+    cell.value = 'Aucune variation pour cette période';
+    cell.alignment = { horizontal: 'center' };
+    cell.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFD3D3D3' }
+    };
+  }
+
+  adjustColumnWidths(sheet);
+}
+
+module.exports = {
+  HORIZONS,
+  DEFAULT_HORIZONS,
+  DEFAULT_TOLERANCE_DAYS,
+  parseHorizons,
+  existingHorizons,
+  updateHorizonTracking,
+  findComparisonIndex,
+  findPreviousIndex,
+  calculateVariations
+};
@@ -0,0 +1,120 @@
+// ===================================
+// 🔍 Suivi de stock: prévisualisation d'un import (dry-run)
+// ===================================
+
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { getStockRowKey, getCellValue } = require('./sheets');
+const { getHeaders } = require('./headers');
+const { resolveAggregation } = require('./aggregation');
+const { resolveStockColumns } = require('./columns');
+const { prepareReplace } = require('./rollback');
+const { locateDateColumn, prepareTrackingUpdate } = require('./update');
+const { resolveExportDates } = require('./export-dates');
+
+const PREVIEW_TOP_VARIATIONS = 20;
+
+/**
+ * Calcule l'effet d'un import sans modifier le fichier de suivi
+ * @param {string} trackingPath - Chemin du fichier de suivi
+ * @param {string} exportPath - Chemin du fichier d'export
+ * @param {string} [exportDateStr] - Date au format 'YYYY-MM-DD' ou 'DD/MM/YYYY' (sinon détectée)
+ * @param {Object} [options] - Mêmes options que processStockTracking
+ * @param {string} [options.exportName] - Nom d'origine de l'export, pour y chercher la date
+ * @param {Function} [onProgress] - Reçoit { stage, message, percent, rowsProcessed, rowsTotal }
+ * @returns {Promise<Object>} - Résumé de l'import (compteurs et principales variations)
+ */
+async function previewStockTracking(trackingPath, exportPath, exportDateStr, options = {}, onProgress = () => {}) {
+  console.log('🔍 Prévisualisation stock tracking:', exportDateStr);
+
+  const [{ date: exportDateFormatted }] = await resolveExportDates([
+    { path: exportPath, name: options.exportName || path.basename(exportPath), date: exportDateStr }
+  ]);
+  const aggregation = resolveAggregation(options.aggregation);
+
+  onProgress({ stage: 'load', message: 'Chargement des fichiers', percent: 5 });
+  const trackingWb = new ExcelJS.Workbook();
+  const exportWb = new ExcelJS.Workbook();
+  await trackingWb.xlsx.readFile(trackingPath);
+  await exportWb.xlsx.readFile(exportPath);
+
+  onProgress({ stage: 'preview', message: "Analyse de l'import", percent: 50 });
+  const columns = resolveStockColumns(trackingWb, exportWb, options.columnMapping, aggregation);
+  const insertAt = options.replace ? prepareReplace(trackingWb, exportDateFormatted, columns.tracking) : null;
+  const { stockSheet, exportData } = prepareTrackingUpdate(trackingWb, exportWb, exportDateFormatted, columns, aggregation);
+
+  // Comparaison avec le relevé que l'import prendra comme précédent
+  const { previousColumn } = locateDateColumn(stockSheet, exportDateFormatted, insertAt);
+  const previousDate = previousColumn ? getHeaders(stockSheet)[previousColumn - 1] : null;
+
+  let updatedRows = 0;
+  let zeroedRows = 0;
+  const existingKeys = new Set();
+  const variations = [];
+
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const key = getStockRowKey(row, columns.tracking);
+    existingKeys.add(key);
+
+    const previousQty = Number(getCellValue(row, previousColumn)) || 0;
+    const currentQty = exportData.has(key) ? exportData.get(key).quantite : 0;
+
+    if (exportData.has(key)) {
+      updatedRows++;
+    } else if (previousQty > 0) {
+      zeroedRows++;
+    }
+
+    if (currentQty !== previousQty) {
+      variations.push({
+        codif: getCellValue(row, columns.tracking.codification),
+        designation: getCellValue(row, columns.tracking.designation),
+        magasin: getCellValue(row, columns.tracking.magasin),
+        description: getCellValue(row, columns.tracking.description),
+        previous: previousQty,
+        current: currentQty,
+        variation: currentQty - previousQty,
+        is_new: false
+      });
+    }
+  });
+
+  let newRows = 0;
+  exportData.forEach((data, key) => {
+    if (existingKeys.has(key)) return;
+    newRows++;
+    variations.push({
+      codif: data.codeArticle,
+      designation: data.description,
+      magasin: data.emplacement,
+      description: data.descEmplacement,
+      previous: 0,
+      current: data.quantite,
+      variation: data.quantite,
+      is_new: true
+    });
+  });
+
+  variations.sort((a, b) => Math.abs(b.variation) - Math.abs(a.variation));
+
+  console.log(`🔍 ${updatedRows} mises à jour, ${newRows} nouvelles lignes, ${zeroedRows} passages à 0`);
+
+  return {
+    export_date: exportDateFormatted,
+    previous_date: previousDate,
+    aggregation,
+    export_articles: exportData.size,
+    existing_rows: existingKeys.size,
+    updated_rows: updatedRows,
+    new_rows: newRows,
+    zeroed_rows: zeroedRows,
+    changed_rows: variations.length,
+    top_variations: variations.slice(0, PREVIEW_TOP_VARIATIONS)
+  };
+}
+
+module.exports = {
+  previewStockTracking
+};
@@ -0,0 +1,213 @@
+// ===================================
+// ↩️ Suivi de stock: annulation et remplacement d'un import
+// ===================================
+
+const ExcelJS = require('exceljs');
+const { resolveColumns } = require('../../utils/columns');
+const { ValidationError } = require('../../utils/errors');
+const { addNativeCharts } = require('../../utils/charts');
+const { getStockRowKey, getCellValue, addHiddenSheet } = require('./sheets');
+const { formatDate, parseDate, isValidDate } = require('./dates');
+const { getHeaders, findDateIndex, normalizeHeaderDate } = require('./headers');
+const { TRACKING_COLUMNS } = require('./columns');
+const { loadThresholds, updateAlertsSheet } = require('./thresholds');
+const { parseHorizons, existingHorizons, DEFAULT_TOLERANCE_DAYS, HORIZONS, updateHorizonTracking } = require('./horizons');
+const { resolveFamilyPrefixLength, loadFamilies, updateSummarySheets } = require('./summaries');
+const { resolveForecast, updateForecastSheet } = require('./forecast');
+const { updateMovementsSheet, SERIAL_SHEET } = require('./serials');
+const { updateDashboardSheet, DASHBOARD_SHEET } = require('./dashboard');
+
+/**
+ * Retire une date importée du fichier de suivi et régénère les feuilles de suivi
+ * @param {string} trackingPath - Chemin du fichier de suivi
+ * @param {string} dateStr - Date à retirer, au format 'YYYY-MM-DD' ou 'DD/MM/YYYY'
+ * @param {Object} [options]
+ * @param {Object} [options.columnMapping] - { tracking: { champ: colonne } }
+ * @param {string[]} [options.horizons] - Par défaut: horizons dont la feuille existe déjà
+ * @param {number} [options.toleranceDays=15]
+ * @param {string} [options.forecastMethod='moving_average']
+ * @param {number} [options.forecastHorizon=3]
+ * @param {number} [options.familyPrefixLength=3]
+ * @param {Function} [onProgress] - Reçoit { stage, message, percent, rowsProcessed, rowsTotal }
+ * @returns {Promise<{outputPath: string, date: string, latestDate: string|null, removedRows: number, removedSerials: number}>}
+ */
+async function rollbackStockTracking(trackingPath, dateStr, options = {}, onProgress = () => {}) {
+  console.log('═══════════════════════════════════════════════════');
+  console.log("↩️ ANNULATION D'IMPORT STOCK TRACKING");
+  console.log('═══════════════════════════════════════════════════');
+  console.log('📁 Fichier tracking:', trackingPath);
+  console.log('📅 Date à retirer:', dateStr);
+
+  const date = formatDate(parseDate(dateStr), 'DD/MM/YYYY');
+  const forecast = resolveForecast(options);
+  const familyPrefixLength = resolveFamilyPrefixLength(options);
+
+  onProgress({ stage: 'load', message: 'Chargement du fichier de suivi', percent: 5 });
+  const trackingWb = new ExcelJS.Workbook();
+  await trackingWb.xlsx.readFile(trackingPath);
+
+  const stockSheet = trackingWb.getWorksheet('Liste de Stock');
+  if (!stockSheet) {
+    throw new ValidationError('Feuille "Liste de Stock" introuvable', 'SHEET_MISSING', { sheet: 'Liste de Stock' });
+  }
+
+  const columnMapping = options.columnMapping || {};
+  const trackingColumns = resolveColumns(stockSheet, TRACKING_COLUMNS, columnMapping.tracking, 'la feuille "Liste de Stock"');
+  const thresholds = await loadThresholds(trackingWb, null, columnMapping);
+  const families = loadFamilies(trackingWb, columnMapping);
+
+  onProgress({ stage: 'rollback', message: `Retrait de la date du ${date}`, percent: 20 });
+  const removed = removeDateColumn(trackingWb, date, trackingColumns);
+  if (!removed) {
+    throw new ValidationError(`Aucune donnée importée pour la date ${date}`, 'DATE_NOT_IMPORTED', { date });
+  }
+
+  // Les feuilles de suivi reflètent désormais le dernier relevé restant.
+  // Plus aucun relevé: chaque feuille ne porte que son message "pas de données"
+  const latestDate = [...getHeaders(stockSheet)].reverse().find(isValidDate) || null;
+  const horizons = parseHorizons(options.horizons || existingHorizons(trackingWb));
+  const toleranceDays = options.toleranceDays ?? DEFAULT_TOLERANCE_DAYS;
+
+  for (const [i, horizonKey] of horizons.entries()) {
+    const horizon = HORIZONS[horizonKey];
+    onProgress({
+      stage: `horizon-${horizonKey}`,
+      message: `Régénération: ${horizon.sheetName}`,
+      percent: 40 + (40 * i) / horizons.length
+    });
+    updateHorizonTracking(trackingWb, latestDate, horizon, trackingColumns, toleranceDays, thresholds);
+  }
+  updateSummarySheets(trackingWb, latestDate, horizons, trackingColumns, toleranceDays, { families, familyPrefixLength });
+  updateAlertsSheet(trackingWb, latestDate, trackingColumns, thresholds);
+  updateForecastSheet(trackingWb, latestDate, trackingColumns, forecast);
+  updateMovementsSheet(trackingWb, latestDate, trackingColumns, toleranceDays);
+  const charts = updateDashboardSheet(trackingWb, latestDate, trackingColumns, toleranceDays, thresholds);
+
+  onProgress({ stage: 'save', message: 'Sauvegarde du fichier', percent: 90 });
+  await trackingWb.xlsx.writeFile(trackingPath);
+  await addNativeCharts(trackingPath, DASHBOARD_SHEET, charts);
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log(`🎉 DATE DU ${date} RETIRÉE (dernier relevé: ${latestDate || 'aucun'})`);
+  console.log('═══════════════════════════════════════════════════');
+
+  return {
+    outputPath: trackingPath,
+    date,
+    latestDate,
+    removedRows: removed.removedRows,
+    removedSerials: removed.removedSerials
+  };
+}
+
+// Mode remplacement: retire la date existante et renvoie la colonne où réimporter
+function prepareReplace(trackingWb, exportDate, trackingColumns) {
+  const removed = removeDateColumn(trackingWb, exportDate, trackingColumns);
+  if (!removed) {
+    console.log(`♻️ Remplacement demandé mais aucune donnée au ${exportDate}: import classique`);
+    return null;
+  }
+  return removed.column;
+}
+
+/**
+ * Supprime la colonne d'une date, les lignes créées par cet import et les numéros de série associés
+ * @returns {{column: number, removedRows: number, removedSerials: number}|null} - null si la date est absente
+ */
+function removeDateColumn(workbook, date, trackingColumns) {
+  const stockSheet = workbook.getWorksheet('Liste de Stock');
+  const headers = getHeaders(stockSheet);
+  const column = findDateIndex(headers, date) + 1;
+
+  if (column < 1) return null;
+
+  const dateColumns = headers
+    .map((header, index) => (isValidDate(header) ? index + 1 : null))
+    .filter(colNum => colNum && colNum !== column);
+
+  // Ligne créée par cet import: supprimée si elle n'a aucune quantité dans les autres relevés,
+  // sinon elle est rattachée au premier relevé restant où l'article apparaît.
+  // Suivi antérieur à l'historique des créations: seules les lignes vides dans tous les autres relevés sont supprimées.
+  const createdKeys = removeCreatedRows(workbook, date);
+  const orphanRows = [];
+  const reassigned = [];
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return;
+    if (!createdKeys) {
+      if (dateColumns.every(colNum => isEmptyValue(getCellValue(row, colNum)))) orphanRows.push(rowNum);
+      return;
+    }
+    if (!createdKeys.has(getStockRowKey(row, trackingColumns))) return;
+
+    const firstColumn = dateColumns.find(colNum => Number(getCellValue(row, colNum)) !== 0);
+    if (firstColumn) {
+      const codif = getCellValue(row, trackingColumns.codification);
+      reassigned.push([headers[firstColumn - 1], codif, getCellValue(row, trackingColumns.magasin)]);
+    } else {
+      orphanRows.push(rowNum);
+    }
+  });
+  recordCreatedRows(workbook, reassigned);
+
+  // Du bas vers le haut pour ne pas décaler les lignes restant à supprimer
+  orphanRows.reverse().forEach(rowNum => stockSheet.spliceRows(rowNum, 1));
+  stockSheet.spliceColumns(column, 1);
+
+  const removedSerials = removeSerialSnapshot(workbook, date);
+
+  console.log(`↩️ Colonne du ${date} retirée, ${orphanRows.length} lignes supprimées, ${removedSerials} numéros de série retirés`);
+  return { column, removedRows: orphanRows.length, removedSerials };
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function removeSerialSnapshot(workbook, date) {
+  const serialSheet = workbook.getWorksheet(SERIAL_SHEET);
+  if (!serialSheet) return 0;
+
+  const rows = [];
+  serialSheet.eachRow((row, rowNum) => {
+    if (rowNum > 1 && normalizeHeaderDate(row.getCell(1).value) === date) rows.push(rowNum);
+  });
+  rows.reverse().forEach(rowNum => serialSheet.spliceRows(rowNum, 1));
+
+  return rows.length;
+}
+
+// Feuille masquée: une ligne par ligne de la liste de stock, avec la date de l'import qui l'a créée.
+// Un suivi antérieur à cette feuille n'a pas d'historique (voir removeDateColumn).
+const CREATED_ROWS_SHEET = 'Lignes créées';
+const CREATED_ROWS_HEADERS = ['Date', 'Codification', 'Magasin'];
+
+function recordCreatedRows(workbook, rows) {
+  if (rows.length === 0) return;
+
+  const createdSheet = workbook.getWorksheet(CREATED_ROWS_SHEET) || addHiddenSheet(workbook, CREATED_ROWS_SHEET, CREATED_ROWS_HEADERS);
+  createdSheet.addRows(rows);
+}
+
+// Retire l'historique d'une date et renvoie les clés des lignes créées ce jour-là (null sans historique)
+function removeCreatedRows(workbook, date) {
+  const createdSheet = workbook.getWorksheet(CREATED_ROWS_SHEET);
+  if (!createdSheet) return null;
+
+  const keys = new Set();
+
+  const rows = [];
+  createdSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1 || normalizeHeaderDate(row.getCell(1).value) !== date) return;
+    keys.add(`${row.getCell(2).value}|${row.getCell(3).value}`);
+    rows.push(rowNum);
+  });
+  rows.reverse().forEach(rowNum => createdSheet.spliceRows(rowNum, 1));
+
+  return keys;
+}
+
+module.exports = {
+  rollbackStockTracking,
+  prepareReplace,
+  recordCreatedRows
+};
@@ -0,0 +1,169 @@
+// ===================================
+// 🏷️ Suivi de stock: numéros de série et feuille "Mouvements"
+// ===================================
+
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow } = require('../../utils/excel');
+const { addHiddenSheet, findSheetByPrefix, addNoDataMessage, getCellValue } = require('./sheets');
+const { normalizeHeaderDate, getHeaders, findDateIndex } = require('./headers');
+const { findPreviousIndex } = require('./horizons');
+
+// Feuille masquée: une ligne par numéro de série et par date d'import
+const SERIAL_SHEET = 'Numéros de série';
+const SERIAL_HEADERS = ['Date', 'Numéro de série', 'Codification', 'Magasin'];
+
+const MOVEMENT_TYPES = {
+  appeared: { label: 'Apparition', color: 'FFCCFFCC' },
+  disappeared: { label: 'Disparition', color: 'FFFFCCCC' },
+  moved: { label: 'Changement de magasin', color: 'FFCCE5FF' }
+};
+
+function recordSerialSnapshot(workbook, exportDate, exportData) {
+  let serialSheet = workbook.getWorksheet(SERIAL_SHEET);
+
+  if (!serialSheet) {
+    serialSheet = addHiddenSheet(workbook, SERIAL_SHEET, SERIAL_HEADERS);
+  }
+
+  let recorded = 0;
+  exportData.forEach(item => {
+    item.serials.forEach(serial => {
+      serialSheet.addRow([exportDate, serial, item.codeArticle, item.emplacement]);
+      recorded++;
+    });
+  });
+
+  console.log(`🏷️ ${recorded} numéros de série enregistrés pour le ${exportDate}`);
+}
+
+function readSerialSnapshot(serialSheet, date) {
+  const snapshot = new Map();
+  if (!serialSheet) return snapshot;
+
+  serialSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1 || normalizeHeaderDate(row.getCell(1).value) !== date) return;
+
+    const serial = String(row.getCell(2).value);
+    // Un numéro présent à deux emplacements: le premier relevé fait foi
+    if (!snapshot.has(serial)) {
+      snapshot.set(serial, { codif: row.getCell(3).value, magasin: row.getCell(4).value });
+    }
+  });
+
+  return snapshot;
+}
+
+function updateMovementsSheet(workbook, exportDate, trackingColumns, toleranceDays) {
+  const serialSheet = workbook.getWorksheet(SERIAL_SHEET);
+  let movementsSheet = findSheetByPrefix(workbook, 'mouvements');
+
+  // Fichier de suivi sans numéros de série: pas de feuille à créer
+  if (!serialSheet && !movementsSheet) return;
+
+  if (movementsSheet) {
+    workbook.removeWorksheet(movementsSheet.id);
+  }
+  movementsSheet = workbook.addWorksheet('Mouvements');
+
+  const stockSheet = workbook.getWorksheet('Liste de Stock');
+  const headers = getHeaders(stockSheet);
+  // Même relevé précédent que le tableau de bord: par date, pas par position de colonne
+  const previousIndex = findPreviousIndex(headers, findDateIndex(headers, exportDate), toleranceDays);
+  const previousDate = previousIndex === null ? null : headers[previousIndex];
+
+  if (!previousDate) {
+    addNoDataMessage(movementsSheet, 'Pas de relevé précédent pour les numéros de série');
+    return;
+  }
+
+  const current = readSerialSnapshot(serialSheet, exportDate);
+  const previous = readSerialSnapshot(serialSheet, previousDate);
+
+  if (current.size === 0) {
+    addNoDataMessage(movementsSheet, `Pas de numéro de série dans l'export du ${exportDate}`);
+    return;
+  }
+  if (previous.size === 0) {
+    addNoDataMessage(movementsSheet, `Pas de numéros de série enregistrés pour le ${previousDate}`);
+    return;
+  }
+
+  const movements = [];
+  current.forEach((location, serial) => {
+    const before = previous.get(serial);
+    if (!before) {
+      movements.push({ serial, type: 'appeared', codif: location.codif, from: null, to: location.magasin });
+    } else if (String(before.magasin) !== String(location.magasin)) {
+      movements.push({ serial, type: 'moved', codif: location.codif, from: before.magasin, to: location.magasin });
+    }
+  });
+  previous.forEach((location, serial) => {
+    if (!current.has(serial)) {
+      movements.push({ serial, type: 'disappeared', codif: location.codif, from: location.magasin, to: null });
+    }
+  });
+
+  const typeOrder = Object.keys(MOVEMENT_TYPES);
+  movements.sort((a, b) =>
+    typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.serial.localeCompare(b.serial, 'fr', { numeric: true })
+  );
+
+  console.log(`🏷️ ${movements.length} mouvements de numéros de série`);
+
+  writeMovementsSheet(
+    movementsSheet,
+    movements,
+    getDesignations(stockSheet, trackingColumns),
+    `Mouvements des numéros de série entre le ${previousDate} et le ${exportDate}`
+  );
+}
+
+function writeMovementsSheet(sheet, movements, designations, title) {
+  const headers = ['Numéro de série', 'Codification DSNA', 'Désignation', 'Mouvement', 'Magasin précédent', 'Magasin actuel'];
+
+  writeTitleRow(sheet, title, headers.length);
+
+  writeHeaderRow(sheet, headers, 2);
+
+  if (movements.length === 0) {
+    writeTitleRow(sheet, 'Aucun mouvement pour cette période', headers.length, 3);
+  } else {
+    movements.forEach((movement, i) => {
+      const row = sheet.getRow(i + 3);
+      row.getCell(1).value = movement.serial;
+      row.getCell(2).value = movement.codif;
+      row.getCell(3).value = designations.get(String(movement.codif)) || null;
+      row.getCell(4).value = MOVEMENT_TYPES[movement.type].label;
+      row.getCell(5).value = movement.from;
+      row.getCell(6).value = movement.to;
+
+      row.getCell(4).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: MOVEMENT_TYPES[movement.type].color }
+      };
+    });
+  }
+
+  adjustColumnWidths(sheet);
+}
+
+function getDesignations(stockSheet, trackingColumns) {
+  const designations = new Map();
+  if (!trackingColumns.designation) return designations;
+
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+    const codif = String(getCellValue(row, trackingColumns.codification));
+    if (!designations.has(codif)) {
+      designations.set(codif, getCellValue(row, trackingColumns.designation));
+    }
+  });
+
+  return designations;
+}
+
+module.exports = {
+  SERIAL_SHEET,
+  recordSerialSnapshot,
+  updateMovementsSheet
+};
@@ -0,0 +1,57 @@
+// ===================================
+// 🧾 Suivi de stock: accès aux feuilles et aux cellules
+// ===================================
+
+const { writeHeaderRow } = require('../../utils/excel');
+
+function findSheetByPrefix(workbook, prefix) {
+  const lowerPrefix = prefix.toLowerCase();
+  return workbook.worksheets.find(sheet => 
+    sheet.name.toLowerCase().startsWith(lowerPrefix)
+  );
+}
+
+// Feuille de travail masquée, avec sa ligne d'en-tête
+function addHiddenSheet(workbook, name, headers) {
+  const sheet = workbook.addWorksheet(name, { state: 'hidden' });
+  writeHeaderRow(sheet, headers);
+  return sheet;
+}
+
+function getStockRowKey(row, trackingColumns) {
+  const codif = row.getCell(trackingColumns.codification).value;
+  const magasin = row.getCell(trackingColumns.magasin).value;
+  return `${codif}|${magasin}`;
+}
+
+// Colonnes optionnelles absentes du fichier: pas de valeur
+function setMappedValue(values, colIndex, value) {
+  if (colIndex) values[colIndex - 1] = value;
+}
+
+function getCellValue(row, colIndex) {
+  if (!colIndex) return null;
+  const cell = row.getCell(colIndex);
+  return cell.value;
+}
+
+function addNoDataMessage(sheet, message) {
+  sheet.mergeCells('A1:F1');
+  const cell = sheet.getCell('A1');
+  cell.value = message;
+  cell.alignment = { horizontal: 'center' };
+  cell.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFD3D3D3' }
+  };
+}
+
+module.exports = {
+  findSheetByPrefix,
+  addHiddenSheet,
+  getStockRowKey,
+  setMappedValue,
+  getCellValue,
+  addNoDataMessage
+};
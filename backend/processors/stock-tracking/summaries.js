@@ -0,0 +1,234 @@
+// ===================================
+// 🧮 Suivi de stock: synthèses par magasin et par famille
+// ===================================
+
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow, toPlainValue } = require('../../utils/excel');
+const { resolveColumns } = require('../../utils/columns');
+const { ValidationError } = require('../../utils/errors');
+const { getCellValue, findSheetByPrefix, addNoDataMessage } = require('./sheets');
+const { getHeaders, findDateIndex } = require('./headers');
+const { HORIZONS, findComparisonIndex } = require('./horizons');
+
+// Familles d'articles: feuille "Familles" du fichier de suivi (préfixe de codification -> famille).
+// Sans correspondance, la famille est le début de la codification.
+const FAMILY_COLUMNS = {
+  prefixe: {
+    label: 'Préfixe',
+    aliases: ['Préfixe', 'Préfixe codification', 'Code famille', 'Prefix'],
+    required: true
+  },
+  famille: {
+    label: 'Famille',
+    aliases: ['Famille', 'Libellé famille', 'Catégorie', 'Family'],
+    required: true
+  }
+};
+
+const DEFAULT_FAMILY_PREFIX_LENGTH = 3;
+
+const SUMMARY_SHEETS = {
+  magasin: { sheetName: 'Synthèse par magasin', groupLabel: 'Magasin', detailLabel: 'Famille' },
+  famille: { sheetName: 'Synthèse par famille', groupLabel: 'Famille', detailLabel: 'Magasin' }
+};
+
+function resolveFamilyPrefixLength(options) {
+  const length = options.familyPrefixLength ?? DEFAULT_FAMILY_PREFIX_LENGTH;
+  if (!Number.isInteger(length) || length < 1) {
+    throw new ValidationError(
+      `Longueur de préfixe de famille invalide: ${length} (entier positif attendu)`,
+      'PARAM_INVALID',
+      { param: 'family_prefix_length', value: length, min: 1 }
+    );
+  }
+  return length;
+}
+
+const SUBTOTAL_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEFEFEF' } };
+const TOTAL_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD3D3D3' } };
+
+/**
+ * Familles déclarées dans la feuille "Familles" du fichier de suivi
+ * @param {ExcelJS.Workbook} trackingWb
+ * @param {Object} [columnMapping] - { families: { champ: colonne } }
+ * @returns {Array<{prefix: string, label: string}>} - Du préfixe le plus long au plus court
+ */
+function loadFamilies(trackingWb, columnMapping = {}) {
+  const sheet = trackingWb.getWorksheet('Familles');
+  if (!sheet) return [];
+
+  const columns = resolveColumns(sheet, FAMILY_COLUMNS, columnMapping.families, 'la feuille "Familles"');
+  const families = [];
+
+  sheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const prefix = toPlainValue(getCellValue(row, columns.prefixe));
+    const label = toPlainValue(getCellValue(row, columns.famille));
+    if (prefix === null || prefix === undefined || String(prefix).trim() === '') return;
+
+    families.push({ prefix: String(prefix).trim(), label: String(label ?? prefix).trim() });
+  });
+
+  console.log(`🏷️ ${families.length} familles chargées (feuille "Familles")`);
+  return families.sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+function getFamily(codif, families, prefixLength) {
+  const code = String(toPlainValue(codif) ?? '').trim();
+  const family = families.find(item => code.startsWith(item.prefix));
+  if (family) return family.label;
+  return code.slice(0, prefixLength) || '(sans codification)';
+}
+
+/**
+ * Génère les feuilles "Synthèse par magasin" et "Synthèse par famille":
+ * un bloc par horizon, avec sous-totaux par groupe et total général
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} exportDate - Relevé de référence 'DD/MM/YYYY'
+ * @param {string[]} horizons - Clés de HORIZONS
+ * @param {Object} trackingColumns
+ * @param {number} toleranceDays
+ * @param {Object} grouping - { families, familyPrefixLength }
+ */
+function updateSummarySheets(workbook, exportDate, horizons, trackingColumns, toleranceDays, { families, familyPrefixLength }) {
+  const stockSheet = workbook.getWorksheet('Liste de Stock');
+  const headers = getHeaders(stockSheet);
+  const currentIndex = findDateIndex(headers, exportDate);
+
+  Object.values(SUMMARY_SHEETS).forEach(summary => {
+    const existing = findSheetByPrefix(workbook, summary.sheetName);
+    if (existing) {
+      workbook.removeWorksheet(existing.id);
+    }
+  });
+  const sheets = {
+    magasin: workbook.addWorksheet(SUMMARY_SHEETS.magasin.sheetName),
+    famille: workbook.addWorksheet(SUMMARY_SHEETS.famille.sheetName)
+  };
+
+  if (currentIndex < 0) {
+    Object.values(sheets).forEach(sheet => addNoDataMessage(sheet, 'Pas de relevé pour les synthèses'));
+    return;
+  }
+
+  const nextRows = { magasin: 1, famille: 1 };
+  horizons.forEach(horizonKey => {
+    const horizon = HORIZONS[horizonKey];
+    const previousIndex = findComparisonIndex(headers, currentIndex, horizon.months, toleranceDays);
+
+    if (previousIndex === null) {
+      Object.entries(sheets).forEach(([key, sheet]) => {
+        writeTitleRow(sheet, `${horizon.sheetName}: pas de données disponibles pour ${horizon.period}`, 6, nextRows[key]);
+        nextRows[key] += 2;
+      });
+      return;
+    }
+
+    const groups = groupQuantities(stockSheet, trackingColumns, currentIndex + 1, previousIndex + 1, families, familyPrefixLength);
+    const title = `${horizon.sheetName}: variation entre le ${headers[previousIndex]} et le ${exportDate}`;
+    const quantityHeaders = [`Quantité au ${headers[previousIndex]}`, `Quantité au ${exportDate}`];
+
+    Object.entries(sheets).forEach(([key, sheet]) => {
+      nextRows[key] = writeSummaryBlock(sheet, nextRows[key], title, SUMMARY_SHEETS[key], quantityHeaders, groups[key]);
+    });
+  });
+
+  Object.values(sheets).forEach(adjustColumnWidths);
+  console.log(`🧮 Synthèses par magasin et par famille (${horizons.join(', ')})`);
+}
+
+// Quantités cumulées par magasin > famille et par famille > magasin
+function groupQuantities(stockSheet, trackingColumns, currentColIndex, previousColIndex, families, familyPrefixLength) {
+  const byMagasin = new Map();
+  const byFamille = new Map();
+
+  const add = (map, groupKey, groupLabel, detailKey, current, previous) => {
+    if (!map.has(groupKey)) map.set(groupKey, { label: groupLabel, details: new Map() });
+    const details = map.get(groupKey).details;
+    if (!details.has(detailKey)) details.set(detailKey, { label: detailKey, articles: 0, current: 0, previous: 0 });
+    const detail = details.get(detailKey);
+    detail.articles++;
+    detail.current += current;
+    detail.previous += previous;
+  };
+
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const current = Number(getCellValue(row, currentColIndex)) || 0;
+    const previous = Number(getCellValue(row, previousColIndex)) || 0;
+    if (current === 0 && previous === 0) return;
+
+    const magasin = String(toPlainValue(getCellValue(row, trackingColumns.magasin)) ?? '');
+    const description = toPlainValue(getCellValue(row, trackingColumns.description));
+    const famille = getFamily(getCellValue(row, trackingColumns.codification), families, familyPrefixLength);
+
+    add(byMagasin, magasin, description ? `${magasin} (${description})` : magasin, famille, current, previous);
+    add(byFamille, famille, famille, magasin, current, previous);
+  });
+
+  const sortGroups = map => [...map.values()]
+    .map(group => ({ label: group.label, details: [...group.details.values()].sort(compareLabels) }))
+    .sort(compareLabels);
+
+  return { magasin: sortGroups(byMagasin), famille: sortGroups(byFamille) };
+}
+
+function compareLabels(a, b) {
+  return String(a.label).localeCompare(String(b.label), 'fr', { numeric: true });
+}
+
+// Bloc d'un horizon; renvoie la ligne où commencer le bloc suivant
+function writeSummaryBlock(sheet, startRow, title, summary, quantityHeaders, groups) {
+  const headers = [summary.groupLabel, summary.detailLabel, 'Articles', ...quantityHeaders, 'Variation'];
+  writeTitleRow(sheet, title, headers.length, startRow);
+
+  writeHeaderRow(sheet, headers, startRow + 1);
+
+  let rowNum = startRow + 2;
+  if (groups.length === 0) {
+    sheet.getCell(rowNum, 1).value = 'Aucun article en stock sur la période';
+    return rowNum + 2;
+  }
+
+  const total = { articles: 0, current: 0, previous: 0 };
+  const writeLine = (values, fill) => {
+    const row = sheet.getRow(rowNum++);
+    row.values = values;
+    if (fill) {
+      row.font = { bold: true };
+      for (let col = 1; col <= headers.length; col++) {
+        row.getCell(col).fill = fill;
+      }
+    }
+  };
+
+  groups.forEach(group => {
+    const subtotal = { articles: 0, current: 0, previous: 0 };
+    group.details.forEach(detail => {
+      writeLine([group.label, detail.label, detail.articles, detail.previous, detail.current, detail.current - detail.previous]);
+      subtotal.articles += detail.articles;
+      subtotal.current += detail.current;
+      subtotal.previous += detail.previous;
+    });
+
+    writeLine(
+      [`Sous-total ${group.label}`, null, subtotal.articles, subtotal.previous, subtotal.current, subtotal.current - subtotal.previous],
+      SUBTOTAL_FILL
+    );
+    total.articles += subtotal.articles;
+    total.current += subtotal.current;
+    total.previous += subtotal.previous;
+  });
+
+  writeLine(['Total général', null, total.articles, total.previous, total.current, total.current - total.previous], TOTAL_FILL);
+  return rowNum + 1;
+}
+
+module.exports = {
+  FAMILY_COLUMNS,
+  DEFAULT_FAMILY_PREFIX_LENGTH,
+  resolveFamilyPrefixLength,
+  loadFamilies,
+  updateSummarySheets
+};
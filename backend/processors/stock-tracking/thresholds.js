@@ -0,0 +1,246 @@
+// ===================================
+// 🚦 Suivi de stock: seuils et feuille "Alertes"
+// ===================================
+
+const ExcelJS = require('exceljs');
+const { adjustColumnWidths, writeTitleRow, writeHeaderRow, toPlainValue } = require('../../utils/excel');
+const { resolveColumns } = require('../../utils/columns');
+const { ValidationError } = require('../../utils/errors');
+const { getCellValue, findSheetByPrefix, addNoDataMessage } = require('./sheets');
+const { isValidDate } = require('./dates');
+const { getHeaders, findDateIndex } = require('./headers');
+
+// Seuils par codification et/ou magasin (fichier de seuils ou feuille "Seuils").
+// Une ligne sans codification ni magasin sert de seuil par défaut.
+const THRESHOLD_COLUMNS = {
+  codification: {
+    label: 'Codification',
+    aliases: ['Codification DSNA', 'Codification', 'Codif', 'Code article', 'Article'],
+    required: false
+  },
+  magasin: {
+    label: 'Magasin',
+    aliases: ['Magasin', 'Emplacement', 'Code magasin'],
+    required: false
+  },
+  minimum: {
+    label: 'Minimum',
+    aliases: ['Minimum', 'Seuil minimum', 'Stock minimum', 'Min'],
+    required: true
+  },
+  alerte: {
+    label: 'Alerte',
+    aliases: ['Alerte', "Seuil d'alerte", 'Seuil alerte', 'Alert'],
+    required: false
+  }
+};
+
+// Seuils appliqués aux articles non couverts: les anciens paliers fixes (≤5 rouge, ≤10 pêche)
+const DEFAULT_THRESHOLD = { minimum: 5, alerte: 10 };
+
+const THRESHOLD_LEVELS = {
+  critical: { label: 'Critique', color: 'FFFFCCCC' },
+  alert: { label: 'Alerte', color: 'FFFFDAB9' }
+};
+
+/**
+ * Charge les seuils depuis un classeur dédié, ou à défaut la feuille "Seuils" du fichier de suivi
+ * @param {ExcelJS.Workbook} trackingWb
+ * @param {string} [thresholdsPath] - Classeur de seuils (feuille "Seuils" ou première feuille)
+ * @param {Object} [columnMapping] - { thresholds: { champ: colonne } }
+ * @returns {Promise<Object>} - Seuils indexés par codification|magasin, codification et magasin
+ */
+async function loadThresholds(trackingWb, thresholdsPath, columnMapping = {}) {
+  let sheet = null;
+  let source = 'défaut';
+
+  if (thresholdsPath) {
+    const thresholdsWb = new ExcelJS.Workbook();
+    await thresholdsWb.xlsx.readFile(thresholdsPath);
+    sheet = thresholdsWb.getWorksheet('Seuils') || thresholdsWb.worksheets[0];
+    source = 'fichier de seuils';
+  } else if (trackingWb.getWorksheet('Seuils')) {
+    sheet = trackingWb.getWorksheet('Seuils');
+    source = 'feuille "Seuils"';
+  }
+
+  const thresholds = {
+    source,
+    byKey: new Map(),
+    byCodif: new Map(),
+    byMagasin: new Map(),
+    fallback: DEFAULT_THRESHOLD
+  };
+
+  if (!sheet) {
+    console.log(`🚦 Seuils: valeurs par défaut (minimum ${DEFAULT_THRESHOLD.minimum}, alerte ${DEFAULT_THRESHOLD.alerte})`);
+    return thresholds;
+  }
+
+  const columns = resolveColumns(sheet, THRESHOLD_COLUMNS, columnMapping.thresholds, `les seuils (${source})`);
+  const invalidRows = [];
+  let count = 0;
+
+  sheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const codif = toPlainValue(getCellValue(row, columns.codification));
+    const magasin = toPlainValue(getCellValue(row, columns.magasin));
+    const minimum = parseThresholdValue(getCellValue(row, columns.minimum));
+    const alerte = parseThresholdValue(getCellValue(row, columns.alerte));
+
+    if (minimum === undefined && alerte === undefined && !codif && !magasin) return; // Ligne vide
+    if (minimum === null || minimum === undefined || alerte === null) {
+      invalidRows.push(rowNum);
+      return;
+    }
+
+    // Sans niveau d'alerte, l'alerte se déclenche au minimum
+    const threshold = { minimum, alerte: Math.max(alerte ?? minimum, minimum) };
+    count++;
+
+    if (codif && magasin) thresholds.byKey.set(`${codif}|${magasin}`, threshold);
+    else if (codif) thresholds.byCodif.set(String(codif), threshold);
+    else if (magasin) thresholds.byMagasin.set(String(magasin), threshold);
+    else thresholds.fallback = threshold;
+  });
+
+  if (invalidRows.length > 0) {
+    throw new ValidationError(
+      `Seuils invalides (${source}), lignes ${invalidRows.slice(0, 10).join(', ')}: minimum et alerte doivent être des nombres`,
+      'THRESHOLDS_INVALID',
+      { source, rows: invalidRows.slice(0, 10) }
+    );
+  }
+
+  console.log(`🚦 ${count} seuils chargés (${source})`);
+  return thresholds;
+}
+
+// undefined: cellule vide, null: valeur non numérique
+function parseThresholdValue(value) {
+  const plain = toPlainValue(value);
+  if (plain === null || plain === undefined || String(plain).trim() === '') return undefined;
+  const number = typeof plain === 'number' ? plain : Number(String(plain).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+// Du plus précis au plus général: codification + magasin, codification, magasin, défaut
+function findThreshold(thresholds, codif, magasin) {
+  if (!thresholds) return DEFAULT_THRESHOLD;
+  return thresholds.byKey.get(`${codif}|${magasin}`)
+    || thresholds.byCodif.get(String(codif))
+    || thresholds.byMagasin.get(String(magasin))
+    || thresholds.fallback;
+}
+
+function getThresholdLevel(threshold, quantity) {
+  const qty = Number(quantity) || 0;
+  if (qty <= threshold.minimum) return 'critical';
+  if (qty <= threshold.alerte) return 'alert';
+  return null;
+}
+
+function updateAlertsSheet(workbook, exportDate, trackingColumns, thresholds) {
+  const stockSheet = workbook.getWorksheet('Liste de Stock');
+  const existing = findSheetByPrefix(workbook, 'alertes');
+  if (existing) {
+    workbook.removeWorksheet(existing.id);
+  }
+  const alertsSheet = workbook.addWorksheet('Alertes');
+
+  const headers = getHeaders(stockSheet);
+  const currentIndex = findDateIndex(headers, exportDate);
+  if (currentIndex < 0) {
+    addNoDataMessage(alertsSheet, 'Pas de relevé pour calculer les alertes');
+    return;
+  }
+
+  // Tendance: comparaison avec le relevé précédent
+  const previousIndex = headers.slice(0, currentIndex).map(isValidDate).lastIndexOf(true);
+  const previousDate = previousIndex >= 0 ? headers[previousIndex] : null;
+
+  const alerts = [];
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const codif = getCellValue(row, trackingColumns.codification);
+    const magasin = getCellValue(row, trackingColumns.magasin);
+    const quantity = Number(getCellValue(row, currentIndex + 1)) || 0;
+    const threshold = findThreshold(thresholds, codif, magasin);
+    const level = getThresholdLevel(threshold, quantity);
+    if (!level) return;
+
+    const variation = previousDate ? quantity - (Number(getCellValue(row, previousIndex + 1)) || 0) : null;
+    alerts.push({
+      codif,
+      designation: getCellValue(row, trackingColumns.designation),
+      magasin,
+      description: getCellValue(row, trackingColumns.description),
+      quantity,
+      threshold,
+      level,
+      variation
+    });
+  });
+
+  const levelOrder = Object.keys(THRESHOLD_LEVELS);
+  alerts.sort((a, b) => levelOrder.indexOf(a.level) - levelOrder.indexOf(b.level) || a.quantity - b.quantity);
+
+  console.log(`🚦 ${alerts.length} articles sous leur seuil (${thresholds.source})`);
+  writeAlertsSheet(alertsSheet, alerts, exportDate, previousDate, thresholds.source);
+}
+
+function writeAlertsSheet(sheet, alerts, exportDate, previousDate, source) {
+  const headers = ['Codification DSNA', 'Désignation', 'Magasin', 'Description', 'Quantité actuelle', 'Minimum', 'Alerte', 'Niveau', 'Variation', 'Tendance'];
+
+  writeTitleRow(sheet, `Articles sous leur seuil au ${exportDate} (seuils: ${source})`, headers.length);
+
+  writeHeaderRow(sheet, headers, 2);
+
+  if (alerts.length === 0) {
+    writeTitleRow(sheet, 'Aucun article sous son seuil', headers.length, 3);
+    adjustColumnWidths(sheet);
+    return;
+  }
+
+  alerts.forEach((alert, i) => {
+    const row = sheet.getRow(i + 3);
+    row.values = [
+      alert.codif,
+      alert.designation,
+      alert.magasin,
+      alert.description,
+      alert.quantity,
+      alert.threshold.minimum,
+      alert.threshold.alerte,
+      THRESHOLD_LEVELS[alert.level].label,
+      alert.variation,
+      describeTrend(alert.variation, previousDate)
+    ];
+
+    row.getCell(8).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: THRESHOLD_LEVELS[alert.level].color }
+    };
+  });
+
+  adjustColumnWidths(sheet);
+}
+
+function describeTrend(variation, previousDate) {
+  if (variation === null) return 'Pas de relevé précédent';
+  if (variation < 0) return `En baisse depuis le ${previousDate}`;
+  if (variation > 0) return `En hausse depuis le ${previousDate}`;
+  return `Stable depuis le ${previousDate}`;
+}
+
+module.exports = {
+  THRESHOLD_COLUMNS,
+  THRESHOLD_LEVELS,
+  loadThresholds,
+  findThreshold,
+  getThresholdLevel,
+  updateAlertsSheet
+};
@@ -0,0 +1,185 @@
+// ===================================
+// ✏️ Suivi de stock: ajout d'une date dans la liste de stock
+// ===================================
+
+const { styleHeaderCell, adjustColumnWidths } = require('../../utils/excel');
+const { ConflictError } = require('../../utils/errors');
+const { getStockRowKey, getCellValue, setMappedValue } = require('./sheets');
+const { parseDate, isValidDate } = require('./dates');
+const { writeHeaderDate, normalizeHeaderDate, getHeaders } = require('./headers');
+const { AGGREGATION_MODES, extractExportData } = require('./aggregation');
+const { recordSerialSnapshot } = require('./serials');
+const { recordCreatedRows } = require('./rollback');
+
+async function updateTracking(trackingWb, exportWb, exportDate, columns, { aggregation, insertAt = null, headerFormat = 'text' }, onProgress = () => {}) {
+  const { stockSheet, exportData } = prepareTrackingUpdate(trackingWb, exportWb, exportDate, columns, aggregation);
+  const headerRow = stockSheet.getRow(1);
+
+  // Ajouter la nouvelle colonne de date à sa place chronologique, ou à la place de la date remplacée.
+  // Relevé précédent, pour compter les lignes passant à 0
+  const { column: newColIndex, previousColumn: previousColIndex, insert } = locateDateColumn(stockSheet, exportDate, insertAt);
+  if (insert) {
+    stockSheet.spliceColumns(newColIndex, 0, []);
+  }
+  // Le format choisi ne s'applique qu'à la date importée: les en-têtes existants restent tels quels
+  const newColCell = headerRow.getCell(newColIndex);
+  writeHeaderDate(newColCell, exportDate, headerFormat);
+  styleHeaderCell(newColCell);
+
+  // Le mode de calcul reste consultable dans le classeur, en commentaire de l'en-tête
+  newColCell.note = `Quantités: ${AGGREGATION_MODES[aggregation].label}`;
+
+  // Relevés postérieurs à la nouvelle colonne (date ancienne importée ou remplacée)
+  const laterColumns = [];
+  headerRow.eachCell((cell, colNum) => {
+    if (colNum > newColIndex && normalizeHeaderDate(cell.value)) laterColumns.push(colNum);
+  });
+
+  // Mettre à jour les lignes existantes
+  let updatedRows = 0;
+  let zeroedRows = 0;
+  const existingKeys = new Set();
+
+  stockSheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return; // Skip header
+
+    const key = getStockRowKey(row, columns.tracking);
+    existingKeys.add(key);
+
+    if (exportData.has(key)) {
+      row.getCell(newColIndex).value = exportData.get(key).quantite;
+      updatedRows++;
+    } else {
+      if (Number(getCellValue(row, previousColIndex)) > 0) zeroedRows++;
+      row.getCell(newColIndex).value = 0;
+    }
+  });
+
+  console.log(`✏️ ${updatedRows} lignes mises à jour`);
+  onProgress({
+    stage: 'update-tracking',
+    message: `${updatedRows} lignes mises à jour`,
+    percent: 35,
+    rowsProcessed: stockSheet.rowCount - 1,
+    rowsTotal: stockSheet.rowCount - 1
+  });
+
+  // Ajouter les nouvelles lignes PAR LOTS (OPTIMISATION)
+  const newRowsToAdd = [];
+  exportData.forEach((data, key) => {
+    if (!existingKeys.has(key)) {
+      newRowsToAdd.push({ data, key, newColIndex });
+    }
+  });
+
+  console.log(`➕ Ajout de ${newRowsToAdd.length} nouvelles lignes par lots...`);
+
+  const BATCH_SIZE = 1000;
+  let totalAdded = 0;
+
+  for (let i = 0; i < newRowsToAdd.length; i += BATCH_SIZE) {
+    const batch = newRowsToAdd.slice(i, i + BATCH_SIZE);
+    
+    batch.forEach(item => {
+      const values = [];
+      setMappedValue(values, columns.tracking.codification, item.data.codeArticle);
+      setMappedValue(values, columns.tracking.designation, item.data.description);
+      setMappedValue(values, columns.tracking.magasin, item.data.emplacement);
+      setMappedValue(values, columns.tracking.description, item.data.descEmplacement);
+
+      const newRow = stockSheet.addRow(values);
+      newRow.getCell(item.newColIndex).value = item.data.quantite;
+      // Absent des relevés suivants, comme toute ligne absente d'un export
+      laterColumns.forEach(colNum => {
+        newRow.getCell(colNum).value = 0;
+      });
+    });
+
+    totalAdded += batch.length;
+    console.log(`  ✓ ${totalAdded}/${newRowsToAdd.length} lignes ajoutées...`);
+    onProgress({
+      stage: 'add-rows',
+      message: `${totalAdded}/${newRowsToAdd.length} nouvelles lignes ajoutées`,
+      percent: 35 + (20 * totalAdded) / newRowsToAdd.length,
+      rowsProcessed: totalAdded,
+      rowsTotal: newRowsToAdd.length
+    });
+
+    // Forcer le garbage collector tous les 5000 lignes
+    if (totalAdded % 5000 === 0 && global.gc) {
+      global.gc();
+    }
+  }
+
+  console.log(`➕ ${totalAdded} nouvelles lignes ajoutées au total`);
+
+  // Seules ces lignes seront supprimées si l'import est annulé ou remplacé
+  recordCreatedRows(trackingWb, newRowsToAdd.map(item => [exportDate, item.data.codeArticle, item.data.emplacement]));
+
+  // Historique des numéros de série, base de la feuille "Mouvements"
+  if (columns.export.numero_serie) {
+    recordSerialSnapshot(trackingWb, exportDate, exportData);
+  }
+
+  // Ajuster les largeurs de colonnes
+  console.log('📐 Ajustement des colonnes...');
+  adjustColumnWidths(stockSheet);
+
+  return {
+    exportArticles: exportData.size,
+    updatedRows,
+    newRows: totalAdded,
+    zeroedRows
+  };
+}
+
+/**
+ * Colonne de la nouvelle date et relevé qui la précède, partagés par l'import et la prévisualisation.
+ * Les relevés restent dans l'ordre chronologique: une date plus ancienne s'insère avant le premier relevé plus récent.
+ * @param {ExcelJS.Worksheet} stockSheet - Feuille "Liste de Stock", avant insertion
+ * @param {string} exportDate - Date importée ('DD/MM/YYYY')
+ * @param {number|null} [insertAt] - Colonne de la date remplacée
+ * @returns {{column: number, previousColumn: number|null, insert: boolean}} - insert: colonnes suivantes à décaler
+ */
+function locateDateColumn(stockSheet, exportDate, insertAt = null) {
+  const headers = getHeaders(stockSheet);
+  const date = parseDate(exportDate);
+  const laterIndex = headers.findIndex(header => isValidDate(header) && parseDate(header) > date);
+  const column = insertAt || (laterIndex === -1 ? headers.length + 1 : laterIndex + 1);
+  const previousIndex = headers.slice(0, column - 1).map(isValidDate).lastIndexOf(true);
+  return {
+    column,
+    previousColumn: previousIndex === -1 ? null : previousIndex + 1,
+    insert: column <= headers.length
+  };
+}
+
+/**
+ * Contrôles communs à l'import et à la prévisualisation
+ * @returns {{stockSheet: ExcelJS.Worksheet, exportData: Map}}
+ */
+function prepareTrackingUpdate(trackingWb, exportWb, exportDate, columns, aggregation) {
+  const stockSheet = trackingWb.getWorksheet('Liste de Stock');
+  const exportSheet = exportWb.worksheets[0];
+
+  // Vérifier si la date existe déjà, quel que soit le format de l'en-tête
+  if (getHeaders(stockSheet).includes(exportDate)) {
+    throw new ConflictError(
+      `Les données pour la date ${exportDate} ont déjà été importées (utilisez le mode remplacement ou annulez l'import)`,
+      'DATE_ALREADY_IMPORTED',
+      { date: exportDate }
+    );
+  }
+
+  // Extraire et regrouper les données d'export
+  const exportData = extractExportData(exportSheet, columns.export, aggregation);
+  console.log(`📦 ${exportData.size} articles uniques dans l'export`);
+
+  return { stockSheet, exportData };
+}
+
+module.exports = {
+  updateTracking,
+  locateDateColumn,
+  prepareTrackingUpdate
+};
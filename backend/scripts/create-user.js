@@ -0,0 +1,57 @@
+// ===================================
+// 👤 Création ou mise à jour d'un compte local
+// Usage: npm run create-user -- <identifiant> <mot de passe> <rôle[,rôle]> ["Nom affiché"] [équipe[,équipe]]
+// ===================================
+
+const { hashPassword } = require('../auth/passwords');
+const { ROLES, validateRoles } = require('../auth/roles');
+const { USERS_FILE, readUsers, writeUsers } = require('../auth/providers/local');
+const { validateTeam } = require('../store/tracking-store');
+
+async function main() {
+  const [username, password, rolesArg = '', name, teamsArg = ''] = process.argv.slice(2);
+  if (!username || !password) {
+    console.error('Usage: npm run create-user -- <identifiant> <mot de passe> <rôle[,rôle]> ["Nom affiché"] [équipe[,équipe]]');
+    console.error(`Rôles: ${Object.keys(ROLES).join(', ')}`);
+    process.exit(1);
+  }
+
+  const roles = rolesArg.split(',').map(role => role.trim()).filter(Boolean);
+  const rolesError = validateRoles(roles);
+  if (rolesError) {
+    console.error(`❌ ${rolesError}`);
+    process.exit(1);
+  }
+
+  // Équipes dont l'utilisateur peut lire et mettre à jour le suivi conservé
+  const teams = teamsArg.split(',').map(team => team.trim()).filter(Boolean);
+  const invalidTeam = teams.find(team => validateTeam(team));
+  if (invalidTeam) {
+    console.error(`❌ Équipe invalide: ${invalidTeam} (${validateTeam(invalidTeam)})`);
+    process.exit(1);
+  }
+
+  const users = await readUsers();
+  const existing = users.find(user => user.username.toLowerCase() === username.toLowerCase());
+  const user = {
+    username,
+    name: name || (existing && existing.name) || username,
+    roles,
+    teams,
+    password_hash: await hashPassword(password)
+  };
+
+  if (existing) {
+    users[users.indexOf(existing)] = user;
+  } else {
+    users.push(user);
+  }
+  await writeUsers(users);
+
+  console.log(`✅ Compte ${username} ${existing ? 'mis à jour' : 'créé'} (${roles.join(', ') || 'aucun rôle'}; équipes: ${teams.join(', ') || 'aucune'}) dans ${USERS_FILE}`);
+}
+
+main().catch(error => {
+  console.error('❌ Erreur:', error.message);
+  process.exit(1);
+});
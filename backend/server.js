@@ -2,10 +2,34 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
 
-// Import des processeurs
-const { processStockTracking } = require('./processors/stock-tracking');
+// Registre des processeurs
+const { getTreatment, listTreatments, matchTreatmentFiles, validateTreatmentRequest, checkTreatmentFiles } = require('./processors');
+const { enqueueJob, getJob, isJobFinished, subscribeToJob, describeJob } = require('./jobs/queue');
+const { cleanupFiles } = require('./utils/files');
+const { AppError, ValidationError, NotFoundError, ConflictError, PayloadTooLargeError, UnsupportedFileError, describeError, sendError } = require('./utils/errors');
+const { formatMegabytes } = require('./utils/uploads');
+const { INPUT_EXTENSIONS, normalizeUploads } = require('./inputs');
+const { OUTPUT_FORMATS, resolveOutputFormat, listOutputFormats, convertOutput } = require('./outputs');
+const { listTeams, listVersions, getVersion } = require('./store/tracking-store');
+const { diffTrackingWorkbooks } = require('./processors/stock-tracking');
+const {
+  AUTH_ENABLED,
+  PROVIDER_NAME,
+  login,
+  requireAuth,
+  issueLinkToken,
+  requireTreatment,
+  requireAdmin,
+  requireTeam,
+  describeUser,
+  assertCanRun,
+  assertCanAccessTeam,
+  canRunTreatment,
+  canAccessTeam,
+  canAccessJob
+} = require('./auth');
+const { AUDIT_STATUSES, appendAuditEntry, queryAudit } = require('./store/audit-log');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -18,25 +42,78 @@ app.use(cors({
     'http://localhost:5173',
     'http://localhost:3000'
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition']
 }));
 
 app.use(express.json());
 
 // Configuration Multer pour upload de fichiers
+// L'extension n'est qu'un premier filtre: le contenu est contrôlé par checkTreatmentFiles
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // 50MB
 const upload = multer({
   dest: 'uploads/',
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
+  limits: { fileSize: MAX_UPLOAD_BYTES },
   fileFilter: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    if (ext === '.xlsx' || ext === '.xls') {
+    if (INPUT_EXTENSIONS.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Seuls les fichiers Excel (.xlsx, .xls) sont acceptés'));
+      cb(new UnsupportedFileError(
+        `"${file.originalname}": seuls les classeurs (${INPUT_EXTENSIONS.join(', ')}) sont acceptés`,
+        'UNSUPPORTED_FILE_TYPE',
+        { file: file.originalname, extensions: INPUT_EXTENSIONS }
+      ));
     }
   }
 });
 
+// Réception des fichiers. La conversion des .xls, .ods et .csv se fait dans le job, une fois les droits vérifiés.
+// Un envoi refusé n'interrompt pas la requête: l'erreur 4xx est placée dans req.uploadError
+// pour que la route la renvoie (et la journalise). Multer supprime lui-même les fichiers déjà reçus.
+function receiveFiles(req, res, next) {
+  upload.any()(req, res, error => {
+    if (error) {
+      console.error('❌ Envoi refusé:', error.message);
+      req.files = [];
+      req.uploadError = describeUploadError(error);
+    }
+    next();
+  });
+}
+
+// Conversion en .xlsx puis contrôle du contenu des fichiers d'une demande autorisée
+// Renvoie les fichiers par emplacement, avec les chemins des classeurs convertis
+async function prepareTreatmentFiles(treatment, files, setInputPaths) {
+  try {
+    await normalizeUploads(files);
+  } finally {
+    setInputPaths(files.map(f => f.path));
+  }
+  await checkTreatmentFiles(treatment, files);
+  return matchTreatmentFiles(treatment, files).files;
+}
+
+// Refus de multer -> erreur 4xx lisible
+function describeUploadError(error) {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return new PayloadTooLargeError(
+      `Fichier trop volumineux: ${formatMegabytes(MAX_UPLOAD_BYTES)} au maximum`,
+      'FILE_TOO_LARGE',
+      { max_mb: Math.round(MAX_UPLOAD_BYTES / (1024 * 1024)) }
+    );
+  }
+  if (error instanceof multer.MulterError) {
+    return new ValidationError(`Envoi de fichiers invalide (${error.code})`, 'UPLOAD_INVALID', { reason: error.code });
+  }
+  // Refus de fileFilter (déjà décrit), ou écriture impossible sur le disque (erreur interne)
+  if (error instanceof AppError || error.syscall) {
+    return error;
+  }
+  // Formulaire multipart mal formé (busboy)
+  return new ValidationError(error.message, 'UPLOAD_INVALID');
+}
+
 // ===================================
 // ROUTES
 // ===================================
@@ -47,161 +124,419 @@ app.get('/', (req, res) => {
     version: '2.0.0',
     status: 'running',
     endpoints: {
+      login: '/api/auth/login',
+      me: '/api/auth/me',
+      link_token: '/api/auth/link-token',
       treatments: '/api/treatments',
-      process: '/api/process/{treatment_id}'
+      process: '/api/process/{treatment_id}?output_format={xlsx|csv|json|pdf|zip}',
+      inspect: '/api/inspect/{treatment_id}',
+      job: '/api/jobs/{job_id}',
+      events: '/api/jobs/{job_id}/events',
+      result: '/api/jobs/{job_id}/result',
+      tracking_store: '/api/tracking-store',
+      tracking_versions: '/api/tracking-store/{team}/versions',
+      tracking_download: '/api/tracking-store/{team}/versions/{version}/download',
+      tracking_diff: '/api/tracking-store/{team}/diff?from={version}&to={version}',
+      audit: '/api/audit?user=&treatment_id=&status=&team=&export_date=&from=&to=&dry_run=&limit=&offset='
     }
   });
 });
 
-// Liste des traitements disponibles
-app.get('/api/treatments', (req, res) => {
+// ===================================
+// AUTHENTIFICATION
+// ===================================
+
+// Ouverture de session: renvoie le jeton à joindre aux requêtes (Authorization: Bearer)
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json(await login(username, password));
+  } catch (error) {
+    console.error('❌ Erreur connexion:', error);
+    sendError(res, error);
+  }
+});
+
+// Utilisateur de la session courante
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: describeUser(req.user), auth_enabled: AUTH_ENABLED, provider: PROVIDER_NAME });
+});
+
+// Jeton de lien pour une URL ouverte sans en-tête (flux SSE, téléchargement)
+app.post('/api/auth/link-token', requireAuth, (req, res) => {
+  try {
+    res.json(issueLinkToken(req.user, (req.body || {}).path));
+  } catch (error) {
+    console.error('❌ Erreur jeton de lien:', error);
+    sendError(res, error);
+  }
+});
+
+// Job existant et visible par l'utilisateur, sinon réponse d'erreur envoyée
+function findJob(req, res) {
+  const job = getJob(req.params.jobId);
+  if (!job || !canAccessJob(req.user, job)) {
+    sendError(res, new NotFoundError('Job introuvable ou expiré', 'JOB_NOT_FOUND'));
+    return null;
+  }
+  return job;
+}
+
+// Traitement en cours de développement: ni exécution, ni analyse des fichiers
+function assertTreatmentActive(treatment) {
+  if (treatment.status !== 'active') {
+    throw new ValidationError(`Le traitement "${treatment.name}" est en cours de développement`, 'TREATMENT_INACTIVE', { treatment: treatment.name });
+  }
+}
+
+// Paramètres envoyés en JSON dans le formulaire multipart
+function parseParams(raw) {
+  try {
+    const params = JSON.parse(raw || '{}');
+    if (params && typeof params === 'object' && !Array.isArray(params)) return params;
+  } catch {
+    // Message commun ci-dessous
+  }
+  throw new ValidationError('Paramètres invalides: objet JSON attendu dans le champ "params"', 'INVALID_PARAMS_JSON');
+}
+
+// Ce que le journal d'audit retient d'une demande, avant son exécution
+function describeRequestForAudit(req, treatment, files, params, dryRun) {
+  return {
+    user: req.user.username,
+    treatment_id: treatment ? treatment.id : req.params.treatmentId,
+    dry_run: dryRun,
+    team: params.team || null,
+    files: files.map(f => f.originalname),
+    // Dates demandées; remplacées par les dates réellement importées en cas de succès
+    dates: treatment
+      ? treatment.params.filter(param => param.type === 'date' && params[param.id]).map(param => params[param.id])
+      : []
+  };
+}
+
+// Comptes de lignes remontés par le traitement (suivi de stock) pour le journal d'audit
+function describeResultForAudit(result) {
+  const imports = result.audit && result.audit.imports;
+  const rollback = result.audit && result.audit.rollback;
+  return {
+    ...(imports ? { imports, dates: imports.map(item => item.date) } : {}),
+    ...(rollback ? { rollback } : {}),
+    version: result.version ?? null
+  };
+}
+
+// Liste des traitements que l'utilisateur peut lancer
+app.get('/api/treatments', requireAuth, (req, res) => {
   res.json({
-    treatments: [
-      {
-        id: 'stock-tracking',
-        name: 'Suivi des Stocks',
-        description: 'Mise à jour automatique du suivi mensuel et semestriel des stocks',
-        status: 'active',
-        files: [
-          { id: 'tracking', label: 'Fichier de suivi', accept: '.xlsx,.xls' },
-          { id: 'export', label: "Fichier d'export", accept: '.xlsx,.xls' }
-        ],
-        params: [
-          { id: 'export_date', label: "Date d'export", type: 'date', placeholder: '' }
-        ]
-      },
-      {
-        id: 'sales-analysis',
-        name: 'Analyse des Ventes',
-        description: 'Génération de rapports et analyses de ventes mensuelles',
-        status: 'coming_soon',
-        files: [
-          { id: 'sales', label: 'Fichier des ventes', accept: '.xlsx,.xls' }
-        ],
-        params: [
-          { id: 'period', label: 'Période', type: 'text', placeholder: 'Ex: Q1 2024' }
-        ]
-      },
-      {
-        id: 'data-merge',
-        name: 'Fusion de Données',
-        description: 'Consolidation de plusieurs fichiers Excel en un seul',
-        status: 'coming_soon',
-        files: [
-          { id: 'file1', label: 'Premier fichier', accept: '.xlsx,.xls' },
-          { id: 'file2', label: 'Deuxième fichier', accept: '.xlsx,.xls' }
-        ],
-        params: []
-      }
-    ]
+    treatments: listTreatments().filter(treatment => canRunTreatment(req.user, treatment.id)),
+    output_formats: listOutputFormats()
   });
 });
 
-// Traitement des fichiers
-app.post('/api/process/:treatmentId', upload.any(), async (req, res) => {
-  let outputPath = null;
-  
+// Traitement des fichiers: mise en file d'attente, réponse immédiate avec l'identifiant du job
+app.post('/api/process/:treatmentId', requireAuth, receiveFiles, async (req, res) => {
+  const files = req.files || [];
+  // Prévisualisation (?dry_run=true): résumé JSON sans générer de fichier
+  const dryRun = ['true', '1'].includes(String(req.query.dry_run));
+  // Toute demande refusée est journalisée, même avant la lecture du traitement et des paramètres
+  let audit = describeRequestForAudit(req, null, files, {}, dryRun);
+
   try {
+    if (req.uploadError) {
+      throw req.uploadError;
+    }
+
     const { treatmentId } = req.params;
-    const files = req.files;
-    const params = JSON.parse(req.body.params || '{}');
+    const params = parseParams(req.body.params);
 
-    console.log('🚀 Traitement demandé:', treatmentId);
+    console.log('🚀 Traitement demandé:', treatmentId, `par ${req.user.username}`);
     console.log('📁 Fichiers reçus:', files.map(f => f.originalname));
     console.log('⚙️ Paramètres:', params);
 
     // Vérifier que le traitement existe et est actif
-    if (treatmentId !== 'stock-tracking') {
-      return res.status(400).json({
-        detail: 'Ce traitement est en cours de développement. Seul "Suivi des Stocks" est disponible pour le moment.'
-      });
+    const treatment = getTreatment(treatmentId);
+    if (!treatment) {
+      throw new NotFoundError(`Traitement inconnu: ${treatmentId}`, 'TREATMENT_NOT_FOUND', { treatment: treatmentId });
     }
+    audit = describeRequestForAudit(req, treatment, files, params, dryRun);
+    assertTreatmentActive(treatment);
 
-    // Mapper les fichiers uploadés par ID
-    const fileMap = {};
-    files.forEach(file => {
-      // Le nom du champ est "file_tracking", "file_export", etc.
-      const fileId = file.fieldname.replace('file_', '');
-      fileMap[fileId] = file.path;
-    });
+    assertCanRun(req.user, treatment);
+    // Suivi conservé sur le serveur: seulement pour les équipes de l'utilisateur
+    if (params.team) {
+      assertCanAccessTeam(req.user, params.team);
+    }
+    if (dryRun && !treatment.previewHandler) {
+      throw new ValidationError(
+        `Le traitement "${treatment.name}" ne propose pas de prévisualisation`,
+        'PREVIEW_UNSUPPORTED',
+        { treatment: treatment.name }
+      );
+    }
 
-    console.log('📋 Mapping des fichiers:', fileMap);
+    // Valider emplacements et paramètres selon le descripteur du traitement
+    // (le contenu des fichiers est contrôlé dans le job, après conversion)
+    const request = validateTreatmentRequest(treatment, files, params);
+    const outputFormat = resolveOutputFormat(req.query.output_format || req.body.output_format);
+    audit.output_format = dryRun ? null : outputFormat;
 
-    // Vérifier que tous les fichiers requis sont présents
-    const requiredFiles = ['tracking', 'export'];
-    for (const fileId of requiredFiles) {
-      if (!fileMap[fileId]) {
-        throw new Error(`Fichier manquant: ${fileId}`);
+    const job = enqueueJob({
+      treatmentId,
+      inputPaths: files.map(f => f.path),
+      dryRun,
+      owner: req.user.username,
+      run: async context => {
+        const startedAt = Date.now();
+        try {
+          request.files = await prepareTreatmentFiles(treatment, files, context.setInputPaths);
+          const result = dryRun
+            ? await treatment.previewHandler(request, context)
+            : await treatment.handler(request, context);
+          const output = dryRun ? result : await convertOutput(result, outputFormat, {
+            reportSheets: treatment.reportSheets,
+            onProgress: context.reportProgress
+          });
+          await appendAuditEntry({
+            ...audit,
+            ...(dryRun ? {} : { ...describeResultForAudit(result), result_filename: output.filename }),
+            job_id: context.jobId,
+            status: 'done',
+            duration_ms: Date.now() - startedAt
+          });
+          return output;
+        } catch (error) {
+          await appendAuditEntry({
+            ...audit,
+            job_id: context.jobId,
+            status: 'failed',
+            error: describeError(error),
+            duration_ms: Date.now() - startedAt
+          });
+          throw error;
+        }
       }
+    });
+
+    res.status(202).json({
+      job_id: job.id,
+      status: job.status,
+      status_url: `/api/jobs/${job.id}`,
+      events_url: `/api/jobs/${job.id}/events`,
+      result_url: `/api/jobs/${job.id}/result`
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur traitement:', error);
+
+    // Demande refusée avant sa mise en file (envoi, droits, fichiers ou paramètres invalides)
+    await appendAuditEntry({
+      ...audit,
+      status: 'rejected',
+      error: describeError(error)
+    });
+
+    // Nettoyer les fichiers en cas d'erreur
+    try {
+      await cleanupFiles(files.map(f => f.path));
+    } catch (cleanupErr) {
+      console.error('Erreur nettoyage après erreur:', cleanupErr);
     }
 
-    // Vérifier les paramètres requis
-    if (!params.export_date) {
-      throw new Error('Paramètre manquant: export_date');
+    sendError(res, error);
+  }
+});
+
+// Analyse rapide des fichiers choisis, avant traitement: valeurs proposées pour les paramètres
+app.post('/api/inspect/:treatmentId', requireAuth, receiveFiles, async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (req.uploadError) {
+      throw req.uploadError;
     }
 
-    // Exécuter le traitement
-    outputPath = await processStockTracking(
-      fileMap.tracking,
-      fileMap.export,
-      params.export_date
-    );
+    const treatment = getTreatment(req.params.treatmentId);
+    if (!treatment) {
+      return sendError(res, new NotFoundError(`Traitement inconnu: ${req.params.treatmentId}`, 'TREATMENT_NOT_FOUND', { treatment: req.params.treatmentId }));
+    }
+    assertTreatmentActive(treatment);
+    assertCanRun(req.user, treatment);
+    if (!treatment.inspectHandler) {
+      return res.json({ suggestions: {} });
+    }
 
-    console.log('✅ Traitement terminé, fichier:', outputPath);
+    // Les fichiers manquants ne sont pas une erreur ici: on analyse ce qui a déjà été choisi
+    const slots = await prepareTreatmentFiles(treatment, files, () => {});
+    const suggestions = await treatment.inspectHandler({ files: slots });
 
-    // Générer le nom du fichier résultat
-    const resultFilename = `resultat_stock_tracking_${params.export_date.replace(/\//g, '-')}.xlsx`;
+    res.json({ suggestions });
 
-    // Envoyer le fichier
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.download(outputPath, resultFilename, async (err) => {
-      // Nettoyer les fichiers temporaires après envoi
-      try {
-        await cleanupFiles([...files.map(f => f.path), outputPath]);
-      } catch (cleanupErr) {
-        console.error('Erreur nettoyage:', cleanupErr);
-      }
+  } catch (error) {
+    console.error('❌ Erreur analyse:', error);
+    sendError(res, error);
+  } finally {
+    await cleanupFiles(files.map(f => f.path));
+  }
+});
+
+// État d'un job
+app.get('/api/jobs/:jobId', requireAuth, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.json(describeJob(job));
+});
+
+// Suivi en temps réel d'un job (Server-Sent Events)
+// Événements "progress" à chaque étape, puis "end" avec l'état final
+app.get('/api/jobs/:jobId/events', requireAuth, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, currentJob) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(describeJob(currentJob))}\n\n`);
+  };
+
+  if (isJobFinished(job)) {
+    send('end', job);
+    return res.end();
+  }
+
+  // Commentaire périodique pour garder la connexion ouverte derrière les proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job.id, updatedJob => {
+    if (isJobFinished(updatedJob)) {
+      send('end', updatedJob);
+      stop();
+      res.end();
+    } else {
+      send('progress', updatedJob);
+    }
+  });
+
+  function stop() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', stop);
+  send('progress', job);
+});
+
+// Téléchargement du résultat d'un job terminé
+app.get('/api/jobs/:jobId/result', requireAuth, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  if (job.status === 'failed') {
+    return sendError(res, job.error);
+  }
+
+  if (job.status !== 'done') {
+    return sendError(res, new ConflictError("Le traitement n'est pas encore terminé", 'JOB_NOT_FINISHED', { status: job.status }));
+  }
+
+  if (job.result.preview) {
+    return res.json({ preview: job.result.preview });
+  }
+
+  res.setHeader('Content-Type', job.result.contentType || OUTPUT_FORMATS.xlsx.contentType);
+  res.download(job.result.outputPath, job.result.filename, (err) => {
+    if (err) {
+      console.error('Erreur envoi fichier:', err);
+    }
+  });
+});
 
+// ===================================
+// DÉPÔT DES FICHIERS DE SUIVI
+// Réservé aux utilisateurs qui peuvent lancer le suivi de stock, pour leurs équipes
+// ===================================
+
+app.use('/api/tracking-store', requireAuth, requireTreatment('stock-tracking'));
+
+// Équipes de l'utilisateur ayant un fichier de suivi conservé sur le serveur
+app.get('/api/tracking-store', async (req, res) => {
+  try {
+    const teams = await listTeams();
+    res.json({ teams: teams.filter(item => canAccessTeam(req.user, item.team)) });
+  } catch (error) {
+    console.error('❌ Erreur dépôt:', error);
+    sendError(res, error);
+  }
+});
+
+// Historique des versions d'une équipe
+app.get('/api/tracking-store/:team/versions', requireTeam, async (req, res) => {
+  try {
+    res.json({ team: req.params.team, versions: await listVersions(req.params.team) });
+  } catch (error) {
+    console.error('❌ Erreur dépôt:', error);
+    sendError(res, error);
+  }
+});
+
+// Téléchargement d'une version ("latest" pour la dernière)
+app.get('/api/tracking-store/:team/versions/:version/download', requireTeam, async (req, res) => {
+  try {
+    const { team, version } = req.params;
+    const { entry, path: versionPath } = await getVersion(team, version === 'latest' ? null : version);
+
+    res.setHeader('Content-Type', OUTPUT_FORMATS.xlsx.contentType);
+    res.download(versionPath, `suivi_${team}_v${entry.version}.xlsx`, (err) => {
       if (err) {
         console.error('Erreur envoi fichier:', err);
       }
     });
-
   } catch (error) {
-    console.error('❌ Erreur traitement:', error);
-    
-    // Nettoyer les fichiers en cas d'erreur
-    if (req.files) {
-      try {
-        await cleanupFiles(req.files.map(f => f.path));
-        if (outputPath) await fs.unlink(outputPath);
-      } catch (cleanupErr) {
-        console.error('Erreur nettoyage après erreur:', cleanupErr);
-      }
-    }
+    console.error('❌ Erreur dépôt:', error);
+    sendError(res, error);
+  }
+});
+
+// Différences entre deux versions (par défaut: la dernière et celle dont elle est issue)
+app.get('/api/tracking-store/:team/diff', requireTeam, async (req, res) => {
+  try {
+    const { team } = req.params;
+    const to = await getVersion(team, req.query.to);
+    // Première version: rien avant elle, tout son contenu est présenté comme ajouté
+    const fromVersion = req.query.from ?? to.entry.base_version ?? (to.entry.version > 1 ? to.entry.version - 1 : null);
+    const from = fromVersion === null ? null : await getVersion(team, fromVersion);
 
-    res.status(500).json({
-      detail: error.message || 'Erreur lors du traitement'
+    res.json({
+      team,
+      from: from ? from.entry : null,
+      to: to.entry,
+      ...await diffTrackingWorkbooks(from ? from.path : null, to.path)
     });
+  } catch (error) {
+    console.error('❌ Erreur comparaison:', error);
+    sendError(res, error);
   }
 });
 
 // ===================================
-// UTILITAIRES
+// JOURNAL D'AUDIT
 // ===================================
 
-async function cleanupFiles(filePaths) {
-  for (const filePath of filePaths) {
-    try {
-      await fs.unlink(filePath);
-      console.log('🗑️ Fichier supprimé:', filePath);
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        console.error('Erreur suppression:', filePath, err);
-      }
-    }
+// Historique des traitements, filtrable (réservé aux administrateurs)
+app.get('/api/audit', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json({ ...await queryAudit(req.query), statuses: AUDIT_STATUSES });
+  } catch (error) {
+    console.error('❌ Erreur journal:', error);
+    sendError(res, error);
   }
-}
+});
 
 // ===================================
 // DÉMARRAGE
@@ -211,5 +546,6 @@ app.listen(PORT, () => {
   console.log('🚀 Serveur Node.js démarré');
   console.log(`📡 Port: ${PORT}`);
   console.log(`🌍 Frontend autorisé: ${FRONTEND_URL}`);
+  console.log(AUTH_ENABLED ? `🔐 Authentification: ${PROVIDER_NAME}` : '⚠️ Authentification désactivée (AUTH_PROVIDER=none)');
   console.log(`✅ Prêt à traiter des fichiers Excel`);
 });
@@ -0,0 +1,156 @@
+// ===================================
+// 📒 Journal d'audit des traitements
+// Une ligne JSON par demande de traitement, ajoutée en fin de fichier:
+//   <AUDIT_LOG_FILE> (par défaut data/audit.jsonl)
+// Le journal survit au nettoyage des fichiers envoyés
+// ===================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ValidationError } = require('../utils/errors');
+const { toDate } = require('../utils/dates');
+
+const AUDIT_FILE = process.env.AUDIT_LOG_FILE || path.join(__dirname, '..', 'data', 'audit.jsonl');
+
+const AUDIT_STATUSES = {
+  done: 'Terminé',
+  failed: 'Échec',
+  rejected: 'Refusé'
+};
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Les écritures s'enchaînent pour que deux lignes ne se mélangent jamais
+let writeQueue = Promise.resolve();
+
+/**
+ * Ajoute une entrée au journal. Une erreur d'écriture est signalée sans faire échouer le traitement.
+ * @param {Object} entry - { user, treatment_id, status, files, imports, error... }
+ * @returns {Promise<Object>} - Entrée complétée de son identifiant et de son horodatage
+ */
+function appendAuditEntry(entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    ...entry
+  };
+
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+      await fs.appendFile(AUDIT_FILE, `${JSON.stringify(record)}\n`);
+    })
+    .catch(error => console.error("❌ Écriture du journal d'audit impossible:", error));
+
+  return writeQueue.then(() => record);
+}
+
+async function readAuditEntries() {
+  let content = '';
+  try {
+    content = await fs.readFile(AUDIT_FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Une ligne tronquée (arrêt brutal du serveur) n'empêche pas de lire les autres
+  return content
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function parseDateFilter(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = toDate(value);
+  if (!date) {
+    throw new ValidationError(
+      `Filtre ${name} invalide: ${value} (format attendu: YYYY-MM-DD ou DD/MM/YYYY)`,
+      'INVALID_DATE_FORMAT',
+      { filter: name, value }
+    );
+  }
+  return date;
+}
+
+function parseIntegerFilter(value, name, fallback, max) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    throw new ValidationError(`Filtre ${name} invalide: ${value} (entier de 0 à ${max})`, 'FILTER_INVALID', { filter: name, value, min: 0, max });
+  }
+  return number;
+}
+
+/**
+ * Recherche dans le journal, entrées les plus récentes en premier
+ * @param {Object} filters - Paramètres de la requête GET /api/audit
+ * @param {string} [filters.user]
+ * @param {string} [filters.treatment_id]
+ * @param {string} [filters.status] - done, failed ou rejected
+ * @param {string} [filters.team]
+ * @param {string} [filters.export_date] - Date importée (ou annulée)
+ * @param {string} [filters.from] - Demandes faites à partir de ce jour
+ * @param {string} [filters.to] - Demandes faites jusqu'à ce jour inclus
+ * @param {string} [filters.dry_run] - true: prévisualisations seules, false: sans prévisualisations
+ * @param {number} [filters.limit=100]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{total: number, limit: number, offset: number, entries: Object[]}>}
+ */
+async function queryAudit(filters = {}) {
+  if (filters.status && !AUDIT_STATUSES[filters.status]) {
+    throw new ValidationError(
+      `Statut inconnu: ${filters.status}. Valeurs possibles: ${Object.keys(AUDIT_STATUSES).join(', ')}`,
+      'FILTER_INVALID',
+      { filter: 'status', value: filters.status, allowed: Object.keys(AUDIT_STATUSES) }
+    );
+  }
+  const from = parseDateFilter(filters.from, 'from');
+  const to = parseDateFilter(filters.to, 'to');
+  const exportDate = parseDateFilter(filters.export_date, 'export_date');
+  const limit = parseIntegerFilter(filters.limit, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = parseIntegerFilter(filters.offset, 'offset', 0, Number.MAX_SAFE_INTEGER);
+  // Borne haute inclusive: toute la journée "to"
+  const toEnd = to && new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+
+  const sameDay = (value, date) => {
+    const parsed = toDate(value);
+    return !!parsed && parsed.getTime() === date.getTime();
+  };
+
+  const matches = (await readAuditEntries()).filter(entry => {
+    const at = new Date(entry.at);
+    if (filters.user && String(entry.user).toLowerCase() !== String(filters.user).toLowerCase()) return false;
+    if (filters.treatment_id && entry.treatment_id !== filters.treatment_id) return false;
+    if (filters.status && entry.status !== filters.status) return false;
+    if (filters.team && String(entry.team || '').toLowerCase() !== String(filters.team).toLowerCase()) return false;
+    if (filters.dry_run !== undefined && filters.dry_run !== '' && entry.dry_run !== ['true', '1'].includes(String(filters.dry_run))) return false;
+    if (from && at < from) return false;
+    if (toEnd && at >= toEnd) return false;
+    if (exportDate && !(entry.dates || []).some(date => sameDay(date, exportDate))) return false;
+    return true;
+  });
+
+  matches.reverse();
+  return {
+    total: matches.length,
+    limit,
+    offset,
+    entries: matches.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  AUDIT_STATUSES,
+  appendAuditEntry,
+  queryAudit
+};
@@ -0,0 +1,199 @@
+// ===================================
+// 🗄️ Dépôt des fichiers de suivi
+// Une version du classeur par import, rangée par équipe sur le disque local:
+//   <TRACKING_STORE_DIR>/<équipe>/v0001.xlsx, v0002.xlsx... + versions.json
+// ===================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { cleanupFiles } = require('../utils/files');
+
+const STORE_DIR = process.env.TRACKING_STORE_DIR || path.join(__dirname, '..', 'data', 'tracking');
+// Copies de travail, au même endroit que les fichiers envoyés (nettoyées avec eux)
+const WORK_DIR = path.join(__dirname, '..', 'uploads');
+const METADATA_FILE = 'versions.json';
+
+const TEAM_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/i;
+
+// Les traitements d'une même équipe s'enchaînent: chacun part de la version produite par le précédent
+const teamLocks = new Map();
+
+function validateTeam(team) {
+  return TEAM_PATTERN.test(String(team || ''))
+    ? null
+    : 'lettres, chiffres, "-" ou "_" (50 caractères au plus)';
+}
+
+function teamDir(team) {
+  const error = validateTeam(team);
+  if (error) {
+    throw new ValidationError(`Équipe invalide: ${team} (${error})`, 'TEAM_INVALID', { team });
+  }
+  return path.join(STORE_DIR, team.toLowerCase());
+}
+
+async function readVersions(team) {
+  try {
+    const content = await fs.readFile(path.join(teamDir(team), METADATA_FILE), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Écriture atomique: un versions.json à moitié écrit rendrait tout l'historique illisible
+async function writeVersions(team, versions) {
+  const target = path.join(teamDir(team), METADATA_FILE);
+  const temporary = `${target}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(versions, null, 2));
+  await fs.rename(temporary, target);
+}
+
+function versionFile(team, version) {
+  return path.join(teamDir(team), `v${String(version).padStart(4, '0')}.xlsx`);
+}
+
+async function withTeamLock(team, run) {
+  const key = team.toLowerCase();
+  const previous = teamLocks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(run);
+  teamLocks.set(key, current);
+
+  try {
+    return await current;
+  } finally {
+    if (teamLocks.get(key) === current) {
+      teamLocks.delete(key);
+    }
+  }
+}
+
+/**
+ * Équipes présentes dans le dépôt, avec leur dernière version
+ * @returns {Promise<Array<{team: string, versions: number, latest: Object|null}>>}
+ */
+async function listTeams() {
+  let entries = [];
+  try {
+    entries = await fs.readdir(STORE_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const teams = [];
+  for (const entry of entries.filter(item => item.isDirectory() && TEAM_PATTERN.test(item.name))) {
+    const versions = await readVersions(entry.name);
+    teams.push({ team: entry.name, versions: versions.length, latest: versions[versions.length - 1] || null });
+  }
+  return teams.sort((a, b) => a.team.localeCompare(b.team));
+}
+
+async function listVersions(team) {
+  return readVersions(team);
+}
+
+/**
+ * Version d'un classeur (la dernière si `version` est absent)
+ * @param {string} team
+ * @param {number|string} [version]
+ * @returns {Promise<{entry: Object, path: string}>}
+ */
+async function getVersion(team, version) {
+  const versions = await readVersions(team);
+  if (versions.length === 0) {
+    throw new NotFoundError(`Aucun fichier de suivi enregistré pour l'équipe ${team}`, 'TEAM_NOT_FOUND', { team });
+  }
+
+  const entry = version === undefined || version === null || version === ''
+    ? versions[versions.length - 1]
+    : versions.find(item => item.version === Number(version));
+  if (!entry) {
+    throw new NotFoundError(`Version ${version} introuvable pour l'équipe ${team}`, 'VERSION_NOT_FOUND', { team, version });
+  }
+
+  return { entry, path: versionFile(team, entry.version) };
+}
+
+/**
+ * Copie de travail de la dernière version, à traiter puis à enregistrer
+ * @param {string} team
+ * @returns {Promise<{path: string, version: number}>}
+ */
+async function checkoutLatest(team) {
+  const { entry, path: source } = await getVersion(team);
+  await fs.mkdir(WORK_DIR, { recursive: true });
+  const workPath = path.join(WORK_DIR, `store_${crypto.randomUUID()}.xlsx`);
+  await fs.copyFile(source, workPath);
+  return { path: workPath, version: entry.version };
+}
+
+/**
+ * Enregistre un classeur comme nouvelle version de l'équipe
+ * @param {string} team
+ * @param {string} filePath - Classeur à conserver (copié)
+ * @param {Object} metadata - { source, summary, treatment_id, imports, base_version... }
+ * @returns {Promise<Object>} - Entrée ajoutée à versions.json
+ */
+async function saveVersion(team, filePath, metadata) {
+  await fs.mkdir(teamDir(team), { recursive: true });
+  const versions = await readVersions(team);
+  const version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+
+  await fs.copyFile(filePath, versionFile(team, version));
+  const { size } = await fs.stat(versionFile(team, version));
+
+  const entry = {
+    version,
+    created_at: new Date().toISOString(),
+    size,
+    ...metadata
+  };
+  versions.push(entry);
+  await writeVersions(team, versions);
+
+  console.log(`🗄️ Équipe ${team}: version ${version} enregistrée (${entry.summary || entry.source})`);
+  return entry;
+}
+
+/**
+ * Exécute un traitement sur le fichier de suivi d'une équipe et enregistre le résultat comme nouvelle version.
+ * Sans fichier envoyé, le traitement part de la dernière version du dépôt.
+ * @param {string} team
+ * @param {string|null} uploadedPath - Fichier de suivi envoyé (prioritaire sur le dépôt)
+ * @param {Function} run - async (trackingPath) => ({ result: { outputPath, filename }, version: métadonnées })
+ * @returns {Promise<Object>} - Résultat du traitement, complété du numéro de version
+ */
+function runOnTeamWorkbook(team, uploadedPath, run) {
+  teamDir(team); // Équipe invalide: erreur avant toute attente
+
+  return withTeamLock(team, async () => {
+    const checkout = uploadedPath ? null : await checkoutLatest(team);
+    const trackingPath = uploadedPath || checkout.path;
+
+    try {
+      const { result, version } = await run(trackingPath);
+      const entry = await saveVersion(team, result.outputPath, {
+        ...version,
+        base_version: checkout ? checkout.version : null,
+        uploaded: !checkout
+      });
+      return { ...result, version: entry.version };
+    } catch (error) {
+      if (checkout) await cleanupFiles([checkout.path]);
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  validateTeam,
+  listTeams,
+  listVersions,
+  getVersion,
+  checkoutLatest,
+  saveVersion,
+  runOnTeamWorkbook
+};
@@ -0,0 +1,31 @@
+// ===================================
+// 🧪 Droits: rôles, traitements et équipes
+// ===================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { canRunTreatment, canAccessTeam } = require('../auth/roles');
+
+const admin = { username: 'alice', roles: ['admin'], teams: [] };
+const manager = { username: 'bob', roles: ['gestionnaire'], teams: ['nord'] };
+const analyst = { username: 'carol', roles: ['analyste'] };
+
+test('les traitements autorisés dépendent des rôles', () => {
+  assert.equal(canRunTreatment(admin, 'stock-tracking'), true);
+  assert.equal(canRunTreatment(manager, 'stock-tracking-rollback'), true);
+  assert.equal(canRunTreatment(manager, 'sales-analysis'), false);
+  assert.equal(canRunTreatment(analyst, 'stock-tracking'), false);
+  assert.equal(canRunTreatment(null, 'data-merge'), false);
+});
+
+test("l'accès au suivi conservé est limité aux équipes de l'utilisateur", () => {
+  assert.equal(canAccessTeam(manager, 'nord'), true);
+  assert.equal(canAccessTeam(manager, 'NORD'), true);
+  assert.equal(canAccessTeam(manager, 'sud'), false);
+  assert.equal(canAccessTeam(analyst, 'nord'), false);
+  assert.equal(canAccessTeam(null, 'nord'), false);
+});
+
+test('les administrateurs accèdent à toutes les équipes', () => {
+  assert.equal(canAccessTeam(admin, 'sud'), true);
+});
@@ -0,0 +1,108 @@
+// ===================================
+// 🧪 Fusion de données: modes de fusion, conflits et doublons
+// ===================================
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { processDataMerge } = require('../processors/data-merge');
+
+let dir;
+
+beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-merge-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function writeSource(name, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Données');
+  rows.forEach(row => sheet.addRow(row));
+
+  const filePath = path.join(dir, name);
+  await workbook.xlsx.writeFile(filePath);
+  return { path: filePath, name };
+}
+
+// Articles: A et B dans les deux fichiers (prix de B divergent), C dans le premier, D dans le second
+async function writeSources() {
+  return [
+    await writeSource('articles.xlsx', [['Code', 'Libellé', 'Prix'], ['A', 'Vis', 1], ['B', 'Écrou', 2], ['C', 'Clou', 3]]),
+    await writeSource('tarifs.xlsx', [['code', 'Prix', 'Stock'], ['A', 1, 10], ['B', 2.5, 20], ['D', 4, 40]])
+  ];
+}
+
+// Lignes d'une feuille du résultat à partir de `firstRow` (cellules vides: null)
+async function readSheet(outputPath, name, firstRow) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(outputPath);
+  const rows = [];
+  workbook.getWorksheet(name).eachRow((row, rowNum) => {
+    if (rowNum >= firstRow) rows.push(Array.from(row.values.slice(1), value => value ?? null));
+  });
+  return rows;
+}
+
+test("l'union garde toutes les clés et la valeur du fichier prioritaire", async () => {
+  const outputPath = await processDataMerge(await writeSources(), { mode: 'union' });
+
+  assert.deepEqual(await readSheet(outputPath, 'Fusion', 1), [
+    ['Code', 'Libellé', 'Prix', 'Stock', 'Fichiers sources'],
+    ['A', 'Vis', 1, 10, 'articles.xlsx, tarifs.xlsx'],
+    ['B', 'Écrou', 2, 20, 'articles.xlsx, tarifs.xlsx'],
+    ['C', 'Clou', 3, null, 'articles.xlsx'],
+    ['D', null, 4, 40, 'tarifs.xlsx']
+  ]);
+  assert.deepEqual(await readSheet(outputPath, 'Conflits', 3), [
+    ['B', 'Prix', 2, 'articles.xlsx', 2.5, 'tarifs.xlsx']
+  ]);
+});
+
+test('les modes intersection et jointure gauche ne gardent que leurs clés', async () => {
+  const sources = await writeSources();
+
+  const intersection = await processDataMerge(sources, { mode: 'intersection', keyColumn: 'CODE' });
+  assert.deepEqual((await readSheet(intersection, 'Fusion', 2)).map(row => row[0]), ['A', 'B']);
+
+  const left = await processDataMerge(sources, { mode: 'left' });
+  assert.deepEqual((await readSheet(left, 'Fusion', 2)).map(row => row[0]), ['A', 'B', 'C']);
+});
+
+test('les conflits sur des clés écartées par le mode de fusion ne sont pas signalés', async () => {
+  const sources = [
+    await writeSource('articles.xlsx', [['Code', 'Prix'], ['A', 1]]),
+    await writeSource('tarifs.xlsx', [['Code', 'Prix'], ['D', 4]]),
+    await writeSource('promos.xlsx', [['Code', 'Prix'], ['A', 0.5], ['D', 3]])
+  ];
+
+  const outputPath = await processDataMerge(sources, { mode: 'left' });
+
+  assert.deepEqual(await readSheet(outputPath, 'Conflits', 3), [['A', 'Prix', 1, 'articles.xlsx', 0.5, 'promos.xlsx']]);
+});
+
+test('une clé répétée dans un même fichier est signalée comme doublon, pas comme conflit', async () => {
+  const sources = [
+    await writeSource('articles.xlsx', [['Code', 'Prix'], ['A', 1], ['B', 2], ['A', 9]]),
+    await writeSource('tarifs.xlsx', [['Code', 'Stock'], ['A', 10], ['B', 20], ['B', 21]])
+  ];
+
+  const outputPath = await processDataMerge(sources, { mode: 'union' });
+
+  // Seule la première ligne de chaque clé est fusionnée
+  assert.deepEqual(await readSheet(outputPath, 'Fusion', 2), [
+    ['A', 1, 10, 'articles.xlsx, tarifs.xlsx'],
+    ['B', 2, 20, 'articles.xlsx, tarifs.xlsx']
+  ]);
+  assert.deepEqual((await readSheet(outputPath, 'Conflits', 3)).map(row => row[0]), ['Aucun conflit détecté']);
+  assert.deepEqual(await readSheet(outputPath, 'Doublons', 3), [
+    ['A', 'articles.xlsx', 4, 2],
+    ['B', 'tarifs.xlsx', 4, 3]
+  ]);
+});
@@ -0,0 +1,73 @@
+// ===================================
+// 🧪 Lecture des dates (paramètres, cellules, noms de fichiers)
+// ===================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toDate, buildDate, findDateInFileName } = require('../utils/dates');
+const { isValidDate, dateFormatError } = require('../processors/stock-tracking');
+
+// Jour affiché, quel que soit le fuseau de la machine
+function day(date) {
+  return date && [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+}
+
+test('buildDate refuse les dates impossibles au lieu de les reporter', () => {
+  assert.deepEqual(day(buildDate('2024', '02', '29')), [2024, 2, 29]);
+  assert.equal(buildDate('2023', '02', '29'), null);
+  assert.equal(buildDate('2024', '02', '31'), null);
+  assert.equal(buildDate('2024', '13', '45'), null);
+  assert.equal(buildDate('2024', '00', '10'), null);
+});
+
+test('les dates de traitement acceptent YYYY-MM-DD et DD/MM/YYYY', () => {
+  assert.equal(isValidDate('2024-03-01'), true);
+  assert.equal(isValidDate('01/03/2024'), true);
+  assert.equal(isValidDate('1/3/2024'), false);
+  assert.equal(isValidDate('2024/03/01'), false);
+  assert.equal(isValidDate(''), false);
+});
+
+test('les valeurs qui ne sont pas du texte ne sont pas des dates de traitement', () => {
+  // En-tête vide ou suivi sans relevé: refus explicite plutôt qu'une TypeError
+  assert.equal(isValidDate(null), false);
+  assert.equal(isValidDate(undefined), false);
+  assert.equal(isValidDate(20240301), false);
+});
+
+test('les dates de traitement impossibles sont refusées', () => {
+  assert.equal(isValidDate('31/02/2024'), false);
+  assert.equal(isValidDate('2024-13-45'), false);
+  assert.equal(isValidDate('29/02/2023'), false);
+  assert.equal(isValidDate('29/02/2024'), true);
+});
+
+test("l'erreur de format porte un code stable et la valeur reçue", () => {
+  const error = dateFormatError('31/02/2024');
+  assert.equal(error.code, 'INVALID_DATE_FORMAT');
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.context, { value: '31/02/2024' });
+});
+
+test('toDate lit les cellules Excel, les textes et les numéros de série', () => {
+  // ExcelJS lit les dates en UTC: le jour affiché dans Excel est conservé
+  assert.deepEqual(day(toDate(new Date(Date.UTC(2024, 2, 1)))), [2024, 3, 1]);
+  assert.deepEqual(day(toDate('2024-03-01')), [2024, 3, 1]);
+  assert.deepEqual(day(toDate('01.03.2024')), [2024, 3, 1]);
+  assert.deepEqual(day(toDate(45352)), [2024, 3, 1]);
+  assert.deepEqual(day(toDate({ result: '01/03/2024' })), [2024, 3, 1]);
+
+  assert.equal(toDate('31/02/2024'), null);
+  assert.equal(toDate(12), null);
+  assert.equal(toDate('bientôt'), null);
+  assert.equal(toDate(null), null);
+});
+
+test('findDateInFileName repère la date dans le nom des exports', () => {
+  assert.deepEqual(day(findDateInFileName('export_2024-08-15.xlsx')), [2024, 8, 15]);
+  assert.deepEqual(day(findDateInFileName('stock_20240815.xlsx')), [2024, 8, 15]);
+  assert.deepEqual(day(findDateInFileName('15-08-2024.xlsx')), [2024, 8, 15]);
+
+  assert.equal(findDateInFileName('export_2024-02-30.xlsx'), null);
+  assert.equal(findDateInFileName('export.xlsx'), null);
+});
@@ -0,0 +1,62 @@
+// ===================================
+// 🧪 Forme publique des erreurs (API, jobs, journal d'audit)
+// ===================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError, NotFoundError, combineErrors, describeError, sendError } = require('../utils/errors');
+
+const INTERNAL = { code: 'INTERNAL_ERROR', status: 500, message: 'Erreur interne du serveur', context: {} };
+
+test('une AppError est décrite avec son code, son statut et son contexte', () => {
+  const error = new NotFoundError('Version introuvable', 'VERSION_NOT_FOUND', { team: 'nord', version: 3 });
+  assert.deepEqual(describeError(error), {
+    code: 'VERSION_NOT_FOUND',
+    status: 404,
+    message: 'Version introuvable',
+    context: { team: 'nord', version: 3 }
+  });
+});
+
+test('les erreurs réunies sont décrites une à une', () => {
+  const error = combineErrors([
+    new ValidationError('Fichier manquant: export', 'FILE_MISSING', { slot: 'export' }),
+    new ValidationError('Paramètre manquant: export_date', 'PARAM_MISSING', { param: 'export_date' })
+  ]);
+  const described = describeError(error);
+  assert.equal(described.code, 'INVALID_REQUEST');
+  assert.deepEqual(described.errors.map(item => item.code), ['FILE_MISSING', 'PARAM_MISSING']);
+});
+
+test('une erreur imprévue ne révèle ni son code, ni son message, ni ses chemins', () => {
+  const diskError = Object.assign(new Error("ENOENT: no such file or directory, open '/srv/app/uploads/abc'"), {
+    code: 'ENOENT',
+    path: '/srv/app/uploads/abc'
+  });
+  assert.deepEqual(describeError(diskError), INTERNAL);
+
+  // Un statut posé à la main ne suffit pas à rendre une erreur publique
+  const library = Object.assign(new Error('Cannot read properties of undefined'), { status: 400, context: { secret: 1 } });
+  assert.deepEqual(describeError(library), INTERNAL);
+});
+
+test('sendError répond avec le statut et la forme publique', () => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    }
+  };
+
+  sendError(res, new TypeError('x is not a function'));
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { error: INTERNAL });
+
+  // Erreur déjà décrite (job en échec): renvoyée telle quelle
+  sendError(res, { ...INTERNAL, code: 'FILE_EMPTY', status: 400 });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error.code, 'FILE_EMPTY');
+});
@@ -0,0 +1,142 @@
+// ===================================
+// 🧪 Conversion des fichiers .csv, .xls et .ods en classeurs .xlsx
+// ===================================
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const XLSX = require('xlsx');
+const { readCsv } = require('../inputs/csv');
+const { readSpreadsheet } = require('../inputs/spreadsheet');
+const { normalizeUpload } = require('../inputs');
+
+let dir;
+
+beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inputs-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Fichier reçu, tel que multer le décrit
+function writeUpload(name, data) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, data);
+  return { path: filePath, originalname: name };
+}
+
+// { 'Feuille': [[...], ...] }, feuilles masquées préfixées par "~"
+function writeSheetJs(sheets, bookType) {
+  const workbook = XLSX.utils.book_new();
+  const names = Object.keys(sheets);
+  names.forEach(name => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheets[name]), name.replace(/^~/, ''));
+  });
+  workbook.Workbook = { Sheets: names.map(name => ({ Hidden: name.startsWith('~') ? 1 : 0 })) };
+  return XLSX.write(workbook, { type: 'buffer', bookType });
+}
+
+async function readConverted(file) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(file.path);
+  return workbook;
+}
+
+function rowValues(sheet) {
+  const rows = [];
+  sheet.eachRow(row => rows.push(row.values.slice(1)));
+  return rows;
+}
+
+test("l'encodage et le séparateur d'un CSV sont détectés", () => {
+  const latin1 = readCsv(Buffer.from('Code;Désignation;Quantité\nA1;Clé à molette;5\n', 'latin1'), 'Export');
+  assert.equal(latin1.encoding, 'windows-1252');
+  assert.equal(latin1.delimiter, ';');
+  assert.deepEqual(rowValues(latin1.workbook.getWorksheet('Export'))[1], ['A1', 'Clé à molette', '5']);
+
+  const utf16 = readCsv(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Code\tQuantité\nA1\t5\n', 'utf16le')]), 'Export');
+  assert.equal(utf16.encoding, 'utf-16le');
+  assert.equal(utf16.delimiter, '\t');
+
+  // Séparateur et retour à la ligne entre guillemets: ils appartiennent au champ
+  const quoted = readCsv(Buffer.from('﻿Code,Libellé\n"A,1","deux\nlignes"\n'), 'Export');
+  assert.equal(quoted.encoding, 'utf-8');
+  assert.equal(quoted.delimiter, ',');
+  assert.deepEqual(rowValues(quoted.workbook.getWorksheet('Export')), [['Code', 'Libellé'], ['A,1', 'deux\nlignes']]);
+});
+
+test("les valeurs d'un CSV restent du texte: les codes gardent leurs zéros", async () => {
+  const file = writeUpload('export.csv', 'Code article;Emplacement;Quantité\n12.10;0042;5\n');
+
+  await normalizeUpload(file);
+
+  assert.equal(file.convertedFrom, 'csv');
+  assert.equal(path.extname(file.path), '.xlsx');
+  const sheet = (await readConverted(file)).getWorksheet('export');
+  assert.deepEqual(rowValues(sheet)[1], ['12.10', '0042', '5']);
+});
+
+test('un classeur .xls est converti avec ses dates et ses feuilles masquées', async () => {
+  const file = writeUpload('stock.xls', writeSheetJs({
+    'Liste de Stock': [['Codification', 'Date', 'Quantité'], ['A1', new Date(Date.UTC(2024, 0, 15)), 5]],
+    '~Lignes créées': [['Date', 'Codification', 'Magasin']]
+  }, 'biff8'));
+
+  await normalizeUpload(file);
+
+  assert.equal(file.convertedFrom, 'xls');
+  const workbook = await readConverted(file);
+  assert.deepEqual(workbook.worksheets.map(sheet => [sheet.name, sheet.state]), [
+    ['Liste de Stock', 'visible'],
+    ['Lignes créées', 'hidden']
+  ]);
+  const [, row] = rowValues(workbook.getWorksheet('Liste de Stock'));
+  assert.equal(row[0], 'A1');
+  assert.equal(row[1].toISOString().slice(0, 10), '2024-01-15');
+  assert.equal(row[2], 5);
+});
+
+test('un classeur .ods est importé avec ses dates et ses nombres', async () => {
+  // SheetJS écrit les dates .ods comme de simples nombres: cellule typée "date", comme LibreOffice
+  const zip = await JSZip.loadAsync(writeSheetJs({
+    'Liste de Stock': [['Codification', 'Date', 'Quantité'], ['A1', '15/01/2024', 5]]
+  }, 'ods'));
+  const content = await zip.file('content.xml').async('string');
+  zip.file('content.xml', content.replace(
+    /<table:table-cell office:value-type="string"><text:p>15\/01\/2024/,
+    '<table:table-cell office:value-type="date" office:date-value="2024-01-15"><text:p>15/01/2024'
+  ));
+  const file = writeUpload('stock.ods', await zip.generateAsync({ type: 'nodebuffer' }));
+
+  await normalizeUpload(file);
+
+  assert.equal(file.convertedFrom, 'ods');
+  const [, row] = rowValues((await readConverted(file)).getWorksheet('Liste de Stock'));
+  assert.equal(row[0], 'A1');
+  assert.equal(row[1].toISOString().slice(0, 10), '2024-01-15');
+  assert.equal(row[2], 5);
+});
+
+test('une plage déclarée démesurée ne parcourt que les cellules présentes', async () => {
+  const zip = await JSZip.loadAsync(writeSheetJs({ Feuille: [['Titre'], ['A1', 5]] }, 'xlsx'));
+  const sheetXml = await zip.file('xl/worksheets/sheet1.xml').async('string');
+  zip.file(
+    'xl/worksheets/sheet1.xml',
+    sheetXml
+      .replace(/<dimension ref="[^"]*"\/>/, '<dimension ref="A1:XFD1048576"/>')
+      .replace('</sheetData>', '</sheetData><mergeCells count="1"><mergeCell ref="A1:XFD1"/></mergeCells>')
+  );
+
+  const workbook = readSpreadsheet(await zip.generateAsync({ type: 'nodebuffer' }), 'ods', 'plage.ods');
+
+  const sheet = workbook.getWorksheet('Feuille');
+  assert.deepEqual(rowValues(sheet), [['Titre', 'Titre'], ['A1', 5]]);
+  assert.deepEqual(sheet.model.merges, ['A1:B1']);
+});
@@ -0,0 +1,50 @@
+// ===================================
+// 🧪 Conversion du classeur produit dans le format de sortie demandé
+// ===================================
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { convertOutput } = require('../outputs');
+
+let dir;
+
+beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outputs-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function writeResult(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Synthèse');
+  rows.forEach(row => sheet.addRow(row));
+
+  const outputPath = path.join(dir, 'resultat.xlsx');
+  await workbook.xlsx.writeFile(outputPath);
+  return { outputPath, filename: 'resultat.xlsx' };
+}
+
+test('le classeur du traitement est remplacé par le fichier converti', async () => {
+  const result = await writeResult([['Magasin', 'Quantité'], ['M1', 5]]);
+
+  const output = await convertOutput(result, 'csv');
+
+  assert.equal(output.filename, 'resultat.csv');
+  assert.match(fs.readFileSync(output.outputPath, 'utf8'), /Magasin;Quantité/);
+  assert.deepEqual(fs.readdirSync(dir), [path.basename(output.outputPath)]);
+});
+
+test('une conversion en échec ne laisse aucun fichier derrière elle', async () => {
+  const result = { outputPath: path.join(dir, 'resultat.xlsx'), filename: 'resultat.xlsx' };
+  fs.writeFileSync(result.outputPath, 'pas un classeur');
+
+  await assert.rejects(convertOutput(result, 'pdf'));
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
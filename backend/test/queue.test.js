@@ -0,0 +1,140 @@
+// ===================================
+// 🧪 File d'attente des traitements: ordre, échecs et expiration des résultats
+// ===================================
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ValidationError } = require('../utils/errors');
+const {
+  enqueueJob,
+  getJob,
+  isJobFinished,
+  subscribeToJob,
+  describeJob,
+  cleanupExpiredJobs
+} = require('../jobs/queue');
+
+let dir;
+
+beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeFile(name) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, name);
+  return filePath;
+}
+
+// Résolue à la notification de fin (fichiers d'entrée déjà nettoyés)
+function waitForJob(job) {
+  return new Promise(resolve => {
+    const unsubscribe = subscribeToJob(job.id, updated => {
+      if (isJobFinished(updated)) {
+        unsubscribe();
+        resolve(updated);
+      }
+    });
+  });
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+test("les jobs s'exécutent un par un, dans l'ordre d'arrivée", async () => {
+  const release = deferred();
+  const order = [];
+
+  const first = enqueueJob({
+    treatmentId: 'test',
+    inputPaths: [],
+    run: async () => {
+      order.push('premier');
+      await release.promise;
+      return { preview: { rank: 1 } };
+    }
+  });
+  const second = enqueueJob({
+    treatmentId: 'test',
+    inputPaths: [],
+    dryRun: true,
+    run: async () => {
+      order.push('second');
+      return { preview: { rank: 2 } };
+    }
+  });
+  const done = Promise.all([waitForJob(first), waitForJob(second)]);
+
+  assert.equal(first.status, 'running');
+  assert.deepEqual([describeJob(second).status, describeJob(second).queue_position], ['queued', 1]);
+
+  release.resolve();
+  await done;
+
+  assert.deepEqual(order, ['premier', 'second']);
+  assert.deepEqual([first.status, second.status], ['done', 'done']);
+  assert.deepEqual(second.result, { preview: { rank: 2 } });
+  assert.equal(describeJob(second).queue_position, null);
+});
+
+test("un job en échec garde l'erreur décrite et supprime ses fichiers d'entrée", async () => {
+  const inputPath = writeFile('entree.xlsx');
+  const job = enqueueJob({
+    treatmentId: 'test',
+    inputPaths: [inputPath],
+    run: async () => {
+      throw new ValidationError('Colonne manquante: Quantité', 'COLUMN_MISSING', { column: 'Quantité' });
+    }
+  });
+
+  await waitForJob(job);
+
+  assert.equal(job.status, 'failed');
+  assert.deepEqual(job.error, {
+    code: 'COLUMN_MISSING',
+    status: 400,
+    message: 'Colonne manquante: Quantité',
+    context: { column: 'Quantité' }
+  });
+  assert.equal(fs.existsSync(inputPath), false);
+});
+
+test('un résultat est conservé pendant sa durée de vie puis supprimé avec son job', async () => {
+  // Résultat écrit dans le fichier d'entrée (fichier de suivi): il n'est pas supprimé en fin de job
+  const trackingPath = writeFile('suivi.xlsx');
+  const exportPath = writeFile('export.xlsx');
+  const job = enqueueJob({
+    treatmentId: 'test',
+    inputPaths: [trackingPath, exportPath],
+    run: async () => ({ outputPath: trackingPath, filename: 'suivi.xlsx' })
+  });
+  const kept = enqueueJob({ treatmentId: 'test', inputPaths: [], run: async () => ({ preview: {} }) });
+  await Promise.all([waitForJob(job), waitForJob(kept)]);
+
+  assert.deepEqual([fs.existsSync(trackingPath), fs.existsSync(exportPath)], [true, false]);
+  assert.equal(job.expiresAt.getTime() - job.finishedAt.getTime(), 30 * 60 * 1000);
+
+  await cleanupExpiredJobs();
+  assert.equal(getJob(job.id), job);
+
+  job.expiresAt = new Date(Date.now() - 1);
+  await cleanupExpiredJobs();
+
+  assert.equal(getJob(job.id), null);
+  assert.equal(fs.existsSync(trackingPath), false);
+  assert.equal(getJob(kept.id), kept);
+});
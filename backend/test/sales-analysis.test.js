@@ -0,0 +1,56 @@
+// ===================================
+// 🧪 Analyse des ventes: lecture de la période analysée
+// ===================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePeriod } = require('../processors/sales-analysis');
+
+// Bornes incluses, en heure locale: du premier jour à 00:00 au dernier jour à 23:59:59.999
+function bounds(period) {
+  return [period.start, period.end].map(date => [date.getFullYear(), date.getMonth() + 1, date.getDate()]);
+}
+
+test('un trimestre couvre ses trois mois, quelle que soit son écriture', () => {
+  for (const text of ['Q1 2024', 't1 2024', '1T2024', '2024-Q1', '2024 T1']) {
+    assert.deepEqual(bounds(parsePeriod(text)), [[2024, 1, 1], [2024, 3, 31]], text);
+  }
+  assert.deepEqual(bounds(parsePeriod('Q4 2023')), [[2023, 10, 1], [2023, 12, 31]]);
+
+  const { end, label } = parsePeriod(' Q1 2024 ');
+  assert.deepEqual([end.getHours(), end.getMinutes(), end.getSeconds(), end.getMilliseconds()], [23, 59, 59, 999]);
+  assert.equal(label, 'Q1 2024');
+});
+
+test('un semestre couvre ses six mois', () => {
+  assert.deepEqual(bounds(parsePeriod('S1 2024')), [[2024, 1, 1], [2024, 6, 30]]);
+  assert.deepEqual(bounds(parsePeriod('H2 2024')), [[2024, 7, 1], [2024, 12, 31]]);
+  assert.deepEqual(bounds(parsePeriod('2023-S2')), [[2023, 7, 1], [2023, 12, 31]]);
+});
+
+test('un mois, un jour ou une année sont acceptés sous leurs formes courantes', () => {
+  for (const text of ['février 2024', 'Fevrier 2024', 'févr. 2024', '02/2024', '2-2024', '2024-02']) {
+    assert.deepEqual(bounds(parsePeriod(text)), [[2024, 2, 1], [2024, 2, 29]], text);
+  }
+  assert.deepEqual(bounds(parsePeriod('15/03/2024')), [[2024, 3, 15], [2024, 3, 15]]);
+  assert.deepEqual(bounds(parsePeriod('2024-03-15')), [[2024, 3, 15], [2024, 3, 15]]);
+  assert.deepEqual(bounds(parsePeriod('2024')), [[2024, 1, 1], [2024, 12, 31]]);
+});
+
+test('un intervalle va du début de sa première borne à la fin de la seconde', () => {
+  for (const text of ['01/2024 - 03/2024', 'du 01/01/2024 au 31/03/2024', '2024-01..2024-03', 'janvier 2024 à mars 2024']) {
+    assert.deepEqual(bounds(parsePeriod(text)), [[2024, 1, 1], [2024, 3, 31]], text);
+  }
+  assert.deepEqual(bounds(parsePeriod('Q4 2023 - S1 2024')), [[2023, 10, 1], [2024, 6, 30]]);
+});
+
+test('un intervalle inversé est refusé', () => {
+  assert.throws(() => parsePeriod('03/2024 - 01/2024'), { code: 'PERIOD_REVERSED' });
+  assert.throws(() => parsePeriod('du 15/03/2024 au 14/03/2024'), { code: 'PERIOD_REVERSED' });
+});
+
+test('une période illisible ou une date impossible est refusée', () => {
+  for (const text of ['', '   ', null, 'Q5 2024', 'S3 2024', '13/2024', '31/02/2024', 'brumaire 2024', 'hier', '01/2024 - demain']) {
+    assert.throws(() => parsePeriod(text), { code: 'PERIOD_INVALID' }, String(text));
+  }
+});
@@ -0,0 +1,270 @@
+// ===================================
+// 🧪 Suivi de stock: annulation et remplacement d'un import
+// ===================================
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const {
+  processStockTracking,
+  processStockTrackingBatch,
+  previewStockTracking,
+  rollbackStockTracking,
+  diffTrackingWorkbooks
+} = require('../processors/stock-tracking');
+
+let dir;
+
+beforeEach(t => {
+  // Le traitement journalise chaque étape: inutile dans la sortie des tests
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-tracking-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Suivi: Codification | Magasin | relevés (en-têtes texte DD/MM/YYYY)
+async function writeTracking(dates, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Liste de Stock');
+  sheet.addRow(['Codification', 'Magasin', ...dates]);
+  rows.forEach(row => sheet.addRow(row));
+
+  const filePath = path.join(dir, 'suivi.xlsx');
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+}
+
+async function writeExport(name, items) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Export');
+  sheet.addRow(['Code article', 'Emplacement', 'Quantité']);
+  items.forEach(item => sheet.addRow(item));
+
+  const filePath = path.join(dir, name);
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+}
+
+async function writeSerialExport(name, items) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Export');
+  sheet.addRow(['Code article', 'Emplacement', 'Numéro de série']);
+  items.forEach(item => sheet.addRow(item));
+
+  const filePath = path.join(dir, name);
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+}
+
+function importExport(trackingPath, exportPath, date, options = {}) {
+  return processStockTracking(trackingPath, exportPath, date, { aggregation: 'sum', ...options });
+}
+
+// { 'A|M1': { '01/01/2024': 5, ... } }
+async function readStock(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.getWorksheet('Liste de Stock');
+  const headers = sheet.getRow(1).values;
+
+  const stock = {};
+  sheet.eachRow((row, rowNum) => {
+    if (rowNum === 1) return;
+    const values = {};
+    for (let col = 3; col < headers.length; col++) {
+      values[headers[col]] = row.getCell(col).value;
+    }
+    stock[`${row.getCell(1).value}|${row.getCell(2).value}`] = values;
+  });
+  return stock;
+}
+
+test("l'annulation de la plus ancienne date conserve les lignes qui ne viennent pas de cet import", async () => {
+  const trackingPath = await writeTracking(['01/01/2024'], [['A', 'M1', 5]]);
+  await importExport(trackingPath, await writeExport('fevrier.xlsx', [['B', 'M1', 2]]), '01/02/2024');
+
+  await rollbackStockTracking(trackingPath, '01/01/2024');
+
+  assert.deepEqual(await readStock(trackingPath), {
+    'A|M1': { '01/02/2024': 0 },
+    'B|M1': { '01/02/2024': 2 }
+  });
+});
+
+test("l'annulation supprime les lignes créées par l'import et absentes des autres relevés", async () => {
+  const trackingPath = await writeTracking([], [['A', 'M1']]);
+  await importExport(trackingPath, await writeExport('janvier.xlsx', [['A', 'M1', 4], ['B', 'M1', 5]]), '01/01/2024');
+  await importExport(trackingPath, await writeExport('fevrier.xlsx', [['A', 'M1', 3]]), '01/02/2024');
+
+  await rollbackStockTracking(trackingPath, '01/01/2024');
+
+  assert.deepEqual(await readStock(trackingPath), {
+    'A|M1': { '01/02/2024': 3 }
+  });
+});
+
+test('une ligne créée puis présente dans un relevé suivant est rattachée à ce relevé', async () => {
+  const trackingPath = await writeTracking([], []);
+  await importExport(trackingPath, await writeExport('janvier.xlsx', [['B', 'M1', 5]]), '01/01/2024');
+  await importExport(trackingPath, await writeExport('fevrier.xlsx', [['B', 'M1', 3]]), '01/02/2024');
+
+  await rollbackStockTracking(trackingPath, '01/01/2024');
+  assert.deepEqual(await readStock(trackingPath), { 'B|M1': { '01/02/2024': 3 } });
+
+  await rollbackStockTracking(trackingPath, '01/02/2024');
+  assert.deepEqual(await readStock(trackingPath), {});
+});
+
+test('annuler le seul relevé laisse des feuilles de suivi sans données', async () => {
+  // Colonne sans en-tête entre les relevés et une colonne libre: un trou dans les en-têtes
+  const trackingPath = await writeTracking(['01/01/2024', null, 'Commentaire'], [['A', 'M1', 5, null, 'à vérifier']]);
+
+  const result = await rollbackStockTracking(trackingPath, '01/01/2024');
+  assert.equal(result.latestDate, null);
+  assert.equal(result.removedRows, 1);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(trackingPath);
+  assert.equal(workbook.getWorksheet('Alertes').getCell('A1').value, 'Pas de relevé pour calculer les alertes');
+  assert.equal(workbook.getWorksheet('Tableau de bord').getCell('A1').value, 'Pas de relevé pour le tableau de bord');
+});
+
+test("sans historique des lignes créées, l'annulation supprime les lignes vides dans les autres relevés", async () => {
+  // Suivi antérieur à la feuille "Lignes créées"
+  const trackingPath = await writeTracking(['01/01/2024', '01/02/2024'], [['A', 'M1', 5, 3], ['B', 'M1', null, 2]]);
+
+  const { removedRows } = await rollbackStockTracking(trackingPath, '01/02/2024');
+
+  assert.equal(removedRows, 1);
+  assert.deepEqual(await readStock(trackingPath), { 'A|M1': { '01/01/2024': 5 } });
+});
+
+test('le remplacement de la plus ancienne date met à 0 les relevés suivants des nouvelles lignes', async () => {
+  const trackingPath = await writeTracking(['01/01/2024', '01/02/2024'], [['A', 'M1', 5, 0], ['B', 'M1', 1, 2]]);
+
+  await importExport(
+    trackingPath,
+    await writeExport('janvier.xlsx', [['B', 'M1', 1], ['C', 'M2', 7]]),
+    '01/01/2024',
+    { replace: true }
+  );
+
+  assert.deepEqual(await readStock(trackingPath), {
+    'A|M1': { '01/01/2024': 0, '01/02/2024': 0 },
+    'B|M1': { '01/01/2024': 1, '01/02/2024': 2 },
+    'C|M2': { '01/01/2024': 7, '01/02/2024': 0 }
+  });
+});
+
+test('une date plus ancienne que le dernier relevé est insérée à sa place chronologique', async () => {
+  const trackingPath = await writeTracking(['01/01/2024', '01/03/2024'], [['A', 'M1', 5, 3]]);
+
+  const { imports: [imported] } = await processStockTrackingBatch(
+    trackingPath,
+    [{ path: await writeExport('fevrier.xlsx', [['B', 'M1', 2]]), name: 'fevrier.xlsx', date: '01/02/2024' }],
+    { aggregation: 'sum' }
+  );
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(trackingPath);
+  assert.deepEqual(workbook.getWorksheet('Liste de Stock').getRow(1).values.slice(3), ['01/01/2024', '01/02/2024', '01/03/2024']);
+  // Les feuilles de suivi restent sur le relevé le plus récent
+  assert.match(String(workbook.getWorksheet('Alertes').getCell('A1').value), /01\/03\/2024/);
+
+  // Comparé au 01/01, A passe à 0; B, absent du relevé suivant, y vaut 0
+  assert.equal(imported.zeroedRows, 1);
+  assert.deepEqual(await readStock(trackingPath), {
+    'A|M1': { '01/01/2024': 5, '01/02/2024': 0, '01/03/2024': 3 },
+    'B|M1': { '01/01/2024': null, '01/02/2024': 2, '01/03/2024': 0 }
+  });
+});
+
+test('les mouvements de numéros de série comparent au relevé du mois précédent, comme le tableau de bord', async () => {
+  const trackingPath = await writeTracking([], []);
+  const options = { aggregation: 'distinct' };
+  await importExport(trackingPath, await writeSerialExport('janvier.xlsx', [['A', 'M1', 'S1']]), '01/01/2024', options);
+  await importExport(trackingPath, await writeSerialExport('mi-janvier.xlsx', [['A', 'M2', 'S1']]), '15/01/2024', options);
+  await importExport(trackingPath, await writeSerialExport('fevrier.xlsx', [['A', 'M2', 'S1']]), '01/02/2024', options);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(trackingPath);
+  const sheet = workbook.getWorksheet('Mouvements');
+  assert.equal(sheet.getCell('A1').value, 'Mouvements des numéros de série entre le 01/01/2024 et le 01/02/2024');
+  const row = sheet.getRow(3);
+  assert.deepEqual([1, 4, 5, 6].map(col => row.getCell(col).value), ['S1', 'Changement de magasin', 'M1', 'M2']);
+});
+
+test("le format d'en-tête en date Excel ne s'applique qu'à la date importée", async () => {
+  const trackingPath = await writeTracking(['01/01/2024'], [['A', 'M1', 5]]);
+  await importExport(trackingPath, await writeExport('fevrier.xlsx', [['A', 'M1', 3]]), '01/02/2024', { headerFormat: 'date' });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(trackingPath);
+  const headerRow = workbook.getWorksheet('Liste de Stock').getRow(1);
+  assert.equal(headerRow.getCell(3).value, '01/01/2024');
+  assert.deepEqual(headerRow.getCell(4).value, new Date(Date.UTC(2024, 1, 1)));
+  assert.equal(headerRow.getCell(4).numFmt, 'dd/mm/yyyy');
+});
+
+test('le tableau de bord porte des graphiques Excel natifs, régénérés à chaque import', async () => {
+  const trackingPath = await writeTracking([], []);
+  await importExport(trackingPath, await writeExport('janvier.xlsx', [['A', 'M1', 5], ['B', 'M2', 2]]), '01/01/2024');
+  await importExport(trackingPath, await writeExport('fevrier.xlsx', [['A', 'M1', 3]]), '01/02/2024');
+
+  const zip = await JSZip.loadAsync(fs.readFileSync(trackingPath));
+  const charts = Object.keys(zip.files).filter(name => /^xl\/charts\/chart\d+\.xml$/.test(name));
+  assert.equal(charts.length, 3);
+  assert.equal(zip.file(/^xl\/media\//).length, 0);
+
+  const historyChart = await zip.file(charts[0]).async('string');
+  assert.match(historyChart, /<c:lineChart>/);
+  assert.match(historyChart, /<c:f>'Tableau de bord'!\$A\$\d+:\$A\$\d+<\/c:f>/);
+  assert.match(historyChart, /<c:catAx>.*<c:valAx>.*<c:legend>/s);
+
+  // <drawing> est un enfant direct de la feuille, pas d'une règle de mise en forme conditionnelle
+  const sheets = await Promise.all(zip.file(/^xl\/worksheets\/sheet\d+\.xml$/).map(file => file.async('string')));
+  const dashboard = sheets.filter(xml => xml.includes('<drawing '));
+  assert.equal(dashboard.length, 1);
+  assert.doesNotMatch(dashboard[0].slice(dashboard[0].indexOf('<drawing ')), /<\/conditionalFormatting>/);
+});
+
+test("la prévisualisation compare au même relevé que l'import, y compris en remplacement", async () => {
+  const trackingPath = await writeTracking(
+    ['01/01/2024', '01/02/2024', '01/03/2024'],
+    [['A', 'M1', 5, 0, 0], ['B', 'M1', 1, 2, 3]]
+  );
+  const exportPath = await writeExport('fevrier.xlsx', [['B', 'M1', 4], ['C', 'M2', 7]]);
+  const options = { aggregation: 'sum', replace: true };
+
+  const preview = await previewStockTracking(trackingPath, exportPath, '01/02/2024', options);
+  const { imports: [imported] } = await processStockTrackingBatch(
+    trackingPath,
+    [{ path: exportPath, name: 'fevrier.xlsx', date: '01/02/2024' }],
+    options
+  );
+
+  // Date remplacée au milieu: le relevé précédent est le 01/01, pas la dernière colonne
+  assert.equal(preview.previous_date, '01/01/2024');
+  assert.deepEqual(
+    [preview.updated_rows, preview.new_rows, preview.zeroed_rows],
+    [imported.updatedRows, imported.newRows, imported.zeroedRows]
+  );
+  assert.deepEqual([imported.updatedRows, imported.newRows, imported.zeroedRows], [1, 1, 1]);
+});
+
+test('la première version se compare à un suivi vide: tout son contenu est ajouté', async () => {
+  const trackingPath = await writeTracking(['01/01/2024'], [['A', 'M1', 5], ['B', 'M2', 0]]);
+
+  const diff = await diffTrackingWorkbooks(null, trackingPath);
+
+  assert.deepEqual(diff.dates_added, ['01/01/2024']);
+  assert.deepEqual(diff.rows_added, [{ codification: 'A', magasin: 'M1' }, { codification: 'B', magasin: 'M2' }]);
+  assert.deepEqual([diff.dates_removed, diff.rows_removed, diff.changes_total], [[], [], 0]);
+});
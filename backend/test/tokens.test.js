@@ -0,0 +1,111 @@
+// ===================================
+// 🧪 Jetons de session et jetons de lien
+// ===================================
+
+process.env.AUTH_SECRET = 'secret-de-test';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LINK_TOKEN_TTL_SECONDS, signToken, signLinkToken, verifyToken } = require('../auth/tokens');
+const { requireAuth, issueLinkToken } = require('../auth');
+
+const user = { username: 'bob', name: 'Bob', roles: ['gestionnaire'], teams: ['nord'] };
+const EVENTS_PATH = '/api/jobs/42/events';
+
+function rejects(run, code) {
+  assert.throws(run, error => error.code === code && error.status === 401);
+}
+
+// Requête et réponse Express réduites à ce que lit requireAuth
+function callRequireAuth({ authorization, accessToken, path }) {
+  const req = {
+    get: name => (name === 'Authorization' ? authorization : undefined),
+    query: accessToken ? { access_token: accessToken } : {},
+    baseUrl: '',
+    path
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    }
+  };
+  let passed = false;
+  requireAuth(req, res, () => {
+    passed = true;
+  });
+  return { passed, user: req.user, status: res.statusCode, error: res.body && res.body.error };
+}
+
+test("un jeton de session redonne l'utilisateur, ses rôles et ses équipes", () => {
+  const { token, expiresAt } = signToken(user);
+  assert.deepEqual(verifyToken(token), { username: 'bob', name: 'Bob', roles: ['gestionnaire'], teams: ['nord'] });
+  assert.ok(expiresAt > new Date());
+});
+
+test('un jeton modifié ou incomplet est refusé', () => {
+  const { token } = signToken(user);
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'bob', roles: ['admin'], exp: 9999999999 })).toString('base64url');
+
+  rejects(() => verifyToken(`${header}.${forged}.${signature}`), 'INVALID_TOKEN');
+  rejects(() => verifyToken(`${token}x`), 'INVALID_TOKEN');
+  rejects(() => verifyToken('abc'), 'INVALID_TOKEN');
+  rejects(() => verifyToken(undefined), 'INVALID_TOKEN');
+});
+
+test('un jeton expiré est refusé', t => {
+  const { token } = signToken(user);
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 9 * 3600 * 1000);
+  rejects(() => verifyToken(token), 'SESSION_EXPIRED');
+});
+
+test('un jeton de lien ne vaut que pour son URL et pour une minute', t => {
+  const { token, expiresAt } = signLinkToken(user, EVENTS_PATH);
+  assert.ok(expiresAt - Date.now() <= LINK_TOKEN_TTL_SECONDS * 1000);
+
+  assert.equal(verifyToken(token, { purpose: 'link', path: EVENTS_PATH }).username, 'bob');
+  rejects(() => verifyToken(token, { purpose: 'link', path: '/api/jobs/43/events' }), 'INVALID_TOKEN');
+  rejects(() => verifyToken(token), 'INVALID_TOKEN');
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + (LINK_TOKEN_TTL_SECONDS + 1) * 1000);
+  rejects(() => verifyToken(token, { purpose: 'link', path: EVENTS_PATH }), 'SESSION_EXPIRED');
+});
+
+test("le jeton de session n'est pas accepté dans l'URL", () => {
+  const { token } = signToken(user);
+  const result = callRequireAuth({ accessToken: token, path: EVENTS_PATH });
+  assert.equal(result.passed, false);
+  assert.equal(result.error.code, 'INVALID_TOKEN');
+});
+
+test("access_token n'est lu que sur les flux et les téléchargements", () => {
+  const onEvents = callRequireAuth({ accessToken: signLinkToken(user, EVENTS_PATH).token, path: EVENTS_PATH });
+  assert.equal(onEvents.passed, true);
+  assert.equal(onEvents.user.username, 'bob');
+
+  const onAudit = callRequireAuth({ accessToken: signLinkToken(user, '/api/audit').token, path: '/api/audit' });
+  assert.equal(onAudit.passed, false);
+  assert.equal(onAudit.status, 401);
+  assert.equal(onAudit.error.code, 'AUTH_REQUIRED');
+});
+
+test("l'en-tête Authorization accepte le jeton de session", () => {
+  const result = callRequireAuth({ authorization: `Bearer ${signToken(user).token}`, path: '/api/treatments' });
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.user.teams, ['nord']);
+
+  const withLink = callRequireAuth({ authorization: `Bearer ${signLinkToken(user, '/api/treatments').token}`, path: '/api/treatments' });
+  assert.equal(withLink.passed, false);
+});
+
+test('les jetons de lien ne sont émis que pour les routes prévues', () => {
+  assert.ok(issueLinkToken(user, '/api/tracking-store/nord/versions/3/download').token);
+  assert.throws(() => issueLinkToken(user, '/api/audit'), error => error.code === 'LINK_PATH_INVALID' && error.status === 400);
+  assert.throws(() => issueLinkToken(user, undefined), error => error.code === 'LINK_PATH_INVALID');
+});
@@ -0,0 +1,112 @@
+// ===================================
+// 🧪 Dépôt des fichiers de suivi: versions et verrou par équipe
+// ===================================
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Le dépôt lit son emplacement au chargement du module
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracking-store-'));
+process.env.TRACKING_STORE_DIR = storeDir;
+const { listVersions, getVersion, runOnTeamWorkbook } = require('../store/tracking-store');
+
+let uploadDir;
+
+before(() => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracking-upload-'));
+});
+
+after(() => {
+  fs.rmSync(storeDir, { recursive: true, force: true });
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+});
+
+function writeUpload(name, content) {
+  const filePath = path.join(uploadDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// Traitement factice: ajoute une ligne au fichier de suivi reçu
+function appendLine(line, calls = []) {
+  return async trackingPath => {
+    calls.push(trackingPath);
+    fs.appendFileSync(trackingPath, `${line}\n`);
+    return { result: { outputPath: trackingPath, filename: 'suivi.xlsx' }, version: { source: line } };
+  };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+test('chaque traitement enregistre une version qui part de la précédente', async () => {
+  const calls = [];
+  const first = await runOnTeamWorkbook('nord', writeUpload('nord.xlsx', 'envoi\n'), appendLine('import 1', calls));
+  const second = await runOnTeamWorkbook('Nord', null, appendLine('import 2', calls));
+  // Copie de travail du dépôt: supprimée avec les fichiers du job
+  fs.rmSync(calls[1]);
+
+  assert.deepEqual([first.version, second.version], [1, 2]);
+  const versions = await listVersions('nord');
+  assert.deepEqual(
+    versions.map(entry => [entry.version, entry.source, entry.base_version, entry.uploaded]),
+    [[1, 'import 1', null, true], [2, 'import 2', 1, false]]
+  );
+
+  const latest = await getVersion('nord');
+  assert.equal(latest.entry.version, 2);
+  assert.equal(fs.readFileSync(latest.path, 'utf8'), 'envoi\nimport 1\nimport 2\n');
+  assert.equal(fs.readFileSync((await getVersion('nord', '1')).path, 'utf8'), 'envoi\nimport 1\n');
+
+  await assert.rejects(getVersion('nord', 3), { code: 'VERSION_NOT_FOUND' });
+  await assert.rejects(getVersion('sud'), { code: 'TEAM_NOT_FOUND' });
+  assert.throws(() => runOnTeamWorkbook('../nord', null, appendLine('x')), { code: 'TEAM_INVALID' });
+});
+
+test("les traitements d'une équipe attendent la fin du précédent, même en échec", async () => {
+  const calls = [];
+  const release = deferred();
+  const order = [];
+
+  const first = runOnTeamWorkbook('est', writeUpload('est.xlsx', ''), async trackingPath => {
+    order.push('début 1');
+    await release.promise;
+    order.push('fin 1');
+    return appendLine('import 1', calls)(trackingPath);
+  });
+  const failing = runOnTeamWorkbook('est', null, async trackingPath => {
+    calls.push(trackingPath);
+    order.push('échec 2');
+    throw new Error('traitement impossible');
+  });
+  const third = runOnTeamWorkbook('est', null, appendLine('import 3', calls));
+  // Une autre équipe n'attend pas
+  const other = await runOnTeamWorkbook('ouest', writeUpload('ouest.xlsx', ''), appendLine('ouest'));
+
+  assert.equal(other.version, 1);
+  assert.deepEqual(order, ['début 1']);
+
+  release.resolve();
+  await first;
+  await assert.rejects(failing, /traitement impossible/);
+  const { version } = await third;
+  fs.rmSync(calls[2]);
+
+  assert.deepEqual(order, ['début 1', 'fin 1', 'échec 2']);
+  // Copie de travail du traitement en échec supprimée, aucune version enregistrée pour lui
+  assert.equal(fs.existsSync(calls[1]), false);
+  assert.equal(version, 2);
+  assert.equal((await getVersion('est')).entry.base_version, 1);
+});
@@ -0,0 +1,145 @@
+// ===================================
+// 🧪 Contrôle des fichiers envoyés: signature, archive, feuilles
+// ===================================
+
+// Limites réduites pour les bombes ZIP, lues au chargement de utils/uploads
+process.env.UPLOAD_MAX_UNCOMPRESSED_MB = '1';
+process.env.UPLOAD_MAX_ZIP_ENTRIES = '50';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const { identifyUpload, inspectUpload } = require('../utils/uploads');
+const { checkTreatmentFiles } = require('../processors');
+
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeFile(name, data) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, data);
+  return filePath;
+}
+
+// { 'Feuille': [[...], ...] }, feuilles masquées préfixées par "~"
+async function writeWorkbook(name, sheets) {
+  const workbook = new ExcelJS.Workbook();
+  for (const [sheetName, rows] of Object.entries(sheets)) {
+    const hidden = sheetName.startsWith('~');
+    const sheet = workbook.addWorksheet(hidden ? sheetName.slice(1) : sheetName, hidden ? { state: 'hidden' } : {});
+    rows.forEach(row => sheet.addRow(row));
+  }
+  const filePath = path.join(dir, name);
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+}
+
+async function writeZip(name, entries) {
+  const zip = new JSZip();
+  for (const [entryName, content] of Object.entries(entries)) {
+    zip.file(entryName, content);
+  }
+  return writeFile(name, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+}
+
+function rejectsWith(code, status) {
+  return error => error.code === code && error.status === status;
+}
+
+test('un classeur .xlsx est décrit sans être chargé: feuilles, lignes, visibilité', async () => {
+  const filePath = await writeWorkbook('stock.xlsx', {
+    'Liste de Stock': [['Codification', 'Magasin'], ['A', 'M1'], ['B', 'M2']],
+    '~Lignes créées': [['Date', 'Codification', 'Magasin']]
+  });
+
+  assert.deepEqual(await inspectUpload(filePath, 'stock.xlsx'), {
+    format: 'xlsx',
+    sheets: [
+      { name: 'Liste de Stock', rows: 3, hidden: false },
+      { name: 'Lignes créées', rows: 1, hidden: true }
+    ]
+  });
+});
+
+test("le format est lu dans le contenu, pas dans l'extension", async () => {
+  const workbookPath = await writeWorkbook('renomme.csv', { Feuille: [['a']] });
+  assert.equal((await identifyUpload(workbookPath, 'renomme.csv')).format, 'xlsx');
+
+  const csvPath = writeFile('export.csv', 'Code article;Quantité\nA;5\n');
+  assert.equal((await identifyUpload(csvPath, 'export.csv')).format, 'csv');
+  await assert.rejects(inspectUpload(csvPath, 'export.csv'), rejectsWith('FILE_NOT_CONVERTED', 415));
+
+  const xlsPath = writeFile('ancien.xls', Buffer.concat([OLE2_SIGNATURE, Buffer.alloc(504)]));
+  assert.equal((await identifyUpload(xlsPath, 'ancien.xls')).format, 'xls');
+});
+
+test("un fichier qui n'est pas un classeur est refusé malgré son extension", async () => {
+  const textPath = writeFile('faux.xlsx', 'Ceci est un simple texte');
+  await assert.rejects(identifyUpload(textPath, 'faux.xlsx'), rejectsWith('FILE_NOT_SPREADSHEET', 415));
+
+  const binaryPath = writeFile('image.csv', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00]));
+  await assert.rejects(identifyUpload(binaryPath, 'image.csv'), rejectsWith('FILE_NOT_SPREADSHEET', 415));
+
+  const zipPath = await writeZip('archive.xlsx', { 'lisezmoi.txt': 'pas un classeur' });
+  await assert.rejects(identifyUpload(zipPath, 'archive.xlsx'), rejectsWith('FILE_NOT_SPREADSHEET', 415));
+});
+
+test('un .xlsx protégé par mot de passe est signalé comme tel', async () => {
+  const filePath = writeFile('protege.xlsx', Buffer.concat([OLE2_SIGNATURE, Buffer.alloc(504)]));
+  await assert.rejects(identifyUpload(filePath, 'protege.xlsx'), rejectsWith('FILE_PASSWORD_PROTECTED', 415));
+});
+
+test('une archive tronquée est signalée comme endommagée', async () => {
+  const data = fs.readFileSync(await writeWorkbook('complet.xlsx', { Feuille: [['a']] }));
+  const filePath = writeFile('tronque.xlsx', data.subarray(0, Math.floor(data.length / 2)));
+  await assert.rejects(identifyUpload(filePath, 'tronque.xlsx'), rejectsWith('FILE_CORRUPTED', 415));
+});
+
+test('les bombes ZIP sont refusées avant décompression complète', async () => {
+  const entries = { '[Content_Types].xml': '<Types/>', 'xl/workbook.xml': '<workbook/>' };
+  const bomb = await writeZip('bombe.xlsx', { ...entries, 'xl/worksheets/sheet1.xml': ' '.repeat(2 * 1024 * 1024) });
+  await assert.rejects(identifyUpload(bomb, 'bombe.xlsx'), rejectsWith('ARCHIVE_TOO_LARGE', 413));
+
+  for (let i = 0; i < 60; i++) entries[`xl/media/image${i}.png`] = 'x';
+  const crowded = await writeZip('entrees.xlsx', entries);
+  await assert.rejects(identifyUpload(crowded, 'entrees.xlsx'), rejectsWith('ARCHIVE_TOO_MANY_ENTRIES', 413));
+});
+
+test('les feuilles obligatoires et les fichiers vides sont signalés ensemble', async () => {
+  const treatment = {
+    files: [
+      { id: 'tracking', label: 'Fichier de suivi', sheets: ['Liste de Stock'] },
+      { id: 'export', label: 'Export', requireData: true }
+    ]
+  };
+  const files = [
+    { fieldname: 'file_tracking', originalname: 'suivi.xlsx', path: await writeWorkbook('suivi.xlsx', { Feuil1: [['Codification']] }) },
+    { fieldname: 'file_export', originalname: 'export.xlsx', path: await writeWorkbook('export.xlsx', { Export: [['Code article']] }) }
+  ];
+
+  await assert.rejects(checkTreatmentFiles(treatment, files), error => {
+    assert.equal(error.code, 'INVALID_REQUEST');
+    assert.deepEqual(error.errors.map(item => [item.code, item.context]), [
+      ['SHEET_MISSING', { slot: 'tracking', label: 'Fichier de suivi', file: 'suivi.xlsx', sheet: 'Liste de Stock' }],
+      ['FILE_EMPTY', { slot: 'export', label: 'Export', file: 'export.xlsx', sheet: 'Export' }]
+    ]);
+    return true;
+  });
+
+  files[0].path = await writeWorkbook('suivi-ok.xlsx', { 'Liste de Stock': [['Codification']] });
+  files[1].path = await writeWorkbook('export-ok.xlsx', { Export: [['Code article'], ['A']] });
+  await checkTreatmentFiles(treatment, files);
+});
@@ -0,0 +1,295 @@
+// ===================================
+// 📈 Graphiques Excel natifs
+// ExcelJS ne sait pas écrire de graphiques: une fois le classeur enregistré,
+// les parties DrawingML (dessin, graphiques, relations) sont ajoutées au fichier .xlsx.
+// Les séries pointent vers les tableaux de la feuille: Excel les recalcule à l'ouverture,
+// et les valeurs en cache servent aux lecteurs qui ne recalculent pas.
+// ExcelJS ignore ces parties à la relecture: chaque sauvegarde régénère les graphiques sans les empiler.
+// ===================================
+
+const fs = require('fs');
+const JSZip = require('jszip');
+const { columnLetter } = require('./columns');
+
+const EMU_PER_PIXEL = 9525;
+const SERIES_COLOR = '003366';
+
+const CONTENT_TYPES = {
+  drawing: 'application/vnd.openxmlformats-officedocument.drawing+xml',
+  chart: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'
+};
+
+const RELATIONSHIP_TYPES = {
+  drawing: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+  chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart'
+};
+
+// Éléments de la feuille placés après <drawing> dans le schéma SpreadsheetML
+const ELEMENTS_AFTER_DRAWING = ['legacyDrawing', 'legacyDrawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems', 'tableParts', 'extLst'];
+
+/**
+ * @typedef {Object} ChartSpec
+ * @property {'line'|'bar'} type
+ * @property {string} title - Titre du graphique
+ * @property {string} seriesName - Nom de la série, repris dans la légende
+ * @property {number} firstRow - Première ligne de données dans la feuille
+ * @property {number} categoryColumn - Colonne des étiquettes (axe horizontal)
+ * @property {number} valueColumn - Colonne des valeurs
+ * @property {Array<string|number>} categories - Étiquettes, une par ligne à partir de firstRow
+ * @property {number[]} values - Valeurs, une par ligne à partir de firstRow
+ * @property {{col: number, row: number}} position - Coin supérieur gauche (colonne et ligne, base 1)
+ * @property {{width: number, height: number}} size - En pixels
+ */
+
+/**
+ * Ajoute des graphiques natifs à une feuille d'un classeur .xlsx déjà enregistré
+ * @param {string} filePath - Classeur écrit par ExcelJS
+ * @param {string} sheetName - Feuille qui porte les graphiques et leurs données
+ * @param {ChartSpec[]} charts - Graphiques sans valeur ignorés
+ */
+async function addNativeCharts(filePath, sheetName, charts) {
+  const drawn = charts.filter(chart => chart.values.length > 0);
+  if (drawn.length === 0) return;
+
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+  const sheetPath = await findSheetPath(zip, sheetName);
+  const sheetXml = await zip.file(sheetPath).async('string');
+  if (sheetXml.includes('<drawing ')) {
+    throw new Error(`La feuille "${sheetName}" contient déjà un dessin`);
+  }
+
+  const drawingNumber = nextPartNumber(zip, 'xl/drawings/drawing');
+  const firstChartNumber = nextPartNumber(zip, 'xl/charts/chart');
+  const drawingPath = `xl/drawings/drawing${drawingNumber}.xml`;
+  const chartPaths = drawn.map((chart, i) => `xl/charts/chart${firstChartNumber + i}.xml`);
+
+  // Feuille -> dessin
+  const sheetRelsPath = relsPath(sheetPath);
+  const sheetRels = zip.file(sheetRelsPath) ? await zip.file(sheetRelsPath).async('string') : emptyRelationships();
+  const drawingRelId = nextRelationshipId(sheetRels);
+  zip.file(sheetRelsPath, addRelationship(sheetRels, drawingRelId, RELATIONSHIP_TYPES.drawing, `../drawings/drawing${drawingNumber}.xml`));
+  zip.file(sheetPath, insertDrawingElement(sheetXml, drawingRelId));
+
+  // Dessin -> graphiques
+  let drawingRels = emptyRelationships();
+  chartPaths.forEach((chartPath, i) => {
+    drawingRels = addRelationship(drawingRels, `rId${i + 1}`, RELATIONSHIP_TYPES.chart, `../charts/${chartPath.split('/').pop()}`);
+  });
+  zip.file(relsPath(drawingPath), drawingRels);
+  zip.file(drawingPath, buildDrawingXml(drawn));
+
+  drawn.forEach((chart, i) => {
+    zip.file(chartPaths[i], buildChartXml(chart, sheetName));
+  });
+
+  // Types de contenu des nouvelles parties
+  let contentTypes = await zip.file('[Content_Types].xml').async('string');
+  const overrides = [
+    `<Override PartName="/${drawingPath}" ContentType="${CONTENT_TYPES.drawing}"/>`,
+    ...chartPaths.map(chartPath => `<Override PartName="/${chartPath}" ContentType="${CONTENT_TYPES.chart}"/>`)
+  ];
+  contentTypes = contentTypes.replace('</Types>', `${overrides.join('')}</Types>`);
+  zip.file('[Content_Types].xml', contentTypes);
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  await fs.promises.writeFile(filePath, buffer);
+}
+
+// ===================================
+// PARTIES DU CLASSEUR
+// ===================================
+
+async function findSheetPath(zip, sheetName) {
+  const workbookXml = await zip.file('xl/workbook.xml').async('string');
+  const sheetTag = [...workbookXml.matchAll(/<sheet [^>]*\/>/g)]
+    .map(match => match[0])
+    .find(tag => readAttribute(tag, 'name') === escapeXml(sheetName));
+  if (!sheetTag) {
+    throw new Error(`Feuille "${sheetName}" introuvable dans le classeur enregistré`);
+  }
+
+  const relId = readAttribute(sheetTag, 'r:id');
+  const workbookRels = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+  const relTag = [...workbookRels.matchAll(/<Relationship [^>]*\/>/g)]
+    .map(match => match[0])
+    .find(tag => readAttribute(tag, 'Id') === relId);
+
+  const target = readAttribute(relTag, 'Target');
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+// Premier numéro libre pour xl/charts/chartN.xml, xl/drawings/drawingN.xml...
+function nextPartNumber(zip, prefix) {
+  const used = Object.keys(zip.files)
+    .filter(name => name.startsWith(prefix) && name.endsWith('.xml'))
+    .map(name => Number(name.slice(prefix.length, -'.xml'.length)))
+    .filter(Number.isInteger);
+  return used.length > 0 ? Math.max(...used) + 1 : 1;
+}
+
+function relsPath(partPath) {
+  const slash = partPath.lastIndexOf('/');
+  return `${partPath.slice(0, slash)}/_rels/${partPath.slice(slash + 1)}.rels`;
+}
+
+function emptyRelationships() {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+}
+
+function nextRelationshipId(relsXml) {
+  const ids = [...relsXml.matchAll(/Id="rId(\d+)"/g)].map(match => Number(match[1]));
+  return `rId${ids.length > 0 ? Math.max(...ids) + 1 : 1}`;
+}
+
+function addRelationship(relsXml, id, type, target) {
+  const relationship = `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`;
+  // <Relationships .../> vide
+  if (/<Relationships[^>]*\/>/.test(relsXml)) {
+    return relsXml.replace(/<Relationships([^>]*)\/>/, `<Relationships$1>${relationship}</Relationships>`);
+  }
+  return relsXml.replace('</Relationships>', `${relationship}</Relationships>`);
+}
+
+function insertDrawingElement(sheetXml, relId) {
+  const element = `<drawing r:id="${relId}"/>`;
+  let xml = sheetXml;
+  if (!/<worksheet [^>]*xmlns:r=/.test(xml)) {
+    xml = xml.replace('<worksheet ', '<worksheet xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ');
+  }
+
+  const next = findChildElement(xml, ELEMENTS_AFTER_DRAWING);
+  const at = next >= 0 ? next : xml.lastIndexOf('</worksheet>');
+  return xml.slice(0, at) + element + xml.slice(at);
+}
+
+// Position du premier enfant direct de <worksheet> parmi `names` (les règles de
+// mise en forme conditionnelle ont aussi leur propre <extLst>)
+function findChildElement(xml, names) {
+  let depth = 0;
+  for (const match of xml.matchAll(/<(\/?)([\w:]+)[^>]*?(\/?)>/g)) {
+    const [, closing, name, selfClosing] = match;
+    if (closing) {
+      depth--;
+    } else if (depth === 1 && names.includes(name)) {
+      return match.index;
+    } else if (!selfClosing) {
+      depth++;
+    }
+  }
+  return -1;
+}
+
+// ===================================
+// DESSIN ET GRAPHIQUES
+// ===================================
+
+function buildDrawingXml(charts) {
+  const anchors = charts.map((chart, i) => `
+  <xdr:oneCellAnchor>
+    <xdr:from><xdr:col>${chart.position.col - 1}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${chart.position.row - 1}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>
+    <xdr:ext cx="${chart.size.width * EMU_PER_PIXEL}" cy="${chart.size.height * EMU_PER_PIXEL}"/>
+    <xdr:graphicFrame macro="">
+      <xdr:nvGraphicFramePr><xdr:cNvPr id="${i + 2}" name="${escapeXml(chart.title)}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>
+      <xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>
+      <a:graphic>
+        <a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">
+          <c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" r:id="rId${i + 1}"/>
+        </a:graphicData>
+      </a:graphic>
+    </xdr:graphicFrame>
+    <xdr:clientData/>
+  </xdr:oneCellAnchor>`);
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing"' +
+    ' xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"' +
+    ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `${anchors.join('')}\n</xdr:wsDr>`;
+}
+
+function buildChartXml(chart, sheetName) {
+  const lastRow = chart.firstRow + chart.values.length - 1;
+  const range = column => {
+    const letter = columnLetter(column);
+    return `${quoteSheetName(sheetName)}!$${letter}$${chart.firstRow}:$${letter}$${lastRow}`;
+  };
+
+  const categoryPoints = chart.categories
+    .map((category, i) => `<c:pt idx="${i}"><c:v>${escapeXml(category ?? '')}</c:v></c:pt>`)
+    .join('');
+  const valuePoints = chart.values
+    .map((value, i) => (Number.isFinite(value) ? `<c:pt idx="${i}"><c:v>${value}</c:v></c:pt>` : ''))
+    .join('');
+
+  const shape = chart.type === 'line'
+    ? `<c:spPr><a:ln w="28575"><a:solidFill><a:srgbClr val="${SERIES_COLOR}"/></a:solidFill></a:ln></c:spPr><c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>`
+    : `<c:spPr><a:solidFill><a:srgbClr val="${SERIES_COLOR}"/></a:solidFill></c:spPr><c:invertIfNegative val="0"/>`;
+
+  const series = `
+      <c:ser>
+        <c:idx val="0"/><c:order val="0"/>
+        <c:tx><c:v>${escapeXml(chart.seriesName)}</c:v></c:tx>
+        ${shape}
+        <c:cat><c:strRef><c:f>${escapeXml(range(chart.categoryColumn))}</c:f><c:strCache><c:ptCount val="${chart.categories.length}"/>${categoryPoints}</c:strCache></c:strRef></c:cat>
+        <c:val><c:numRef><c:f>${escapeXml(range(chart.valueColumn))}</c:f><c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${chart.values.length}"/>${valuePoints}</c:numCache></c:numRef></c:val>
+        ${chart.type === 'line' ? '<c:smooth val="0"/>' : ''}
+      </c:ser>`;
+
+  const plot = chart.type === 'line'
+    ? `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}<c:marker val="1"/><c:axId val="1"/><c:axId val="2"/></c:lineChart>`
+    : `<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>${series}<c:gapWidth val="80"/><c:axId val="1"/><c:axId val="2"/></c:barChart>`;
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart"' +
+    ' xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"' +
+    ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' + `
+  <c:roundedCorners val="0"/>
+  <c:chart>
+    <c:title>${richText(chart.title, 1200)}<c:overlay val="0"/></c:title>
+    <c:autoTitleDeleted val="0"/>
+    <c:plotArea>
+      <c:layout/>
+      ${plot}
+      <c:catAx>
+        <c:axId val="1"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>
+        <c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="1"/>
+        <c:majorTickMark val="out"/><c:minorTickMark val="none"/><c:tickLblPos val="low"/>
+        <c:crossAx val="2"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/>
+      </c:catAx>
+      <c:valAx>
+        <c:axId val="2"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>
+        <c:axPos val="l"/><c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="1"/>
+        <c:majorTickMark val="out"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>
+        <c:crossAx val="1"/><c:crosses val="autoZero"/><c:crossBetween val="between"/>
+      </c:valAx>
+    </c:plotArea>
+    <c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>
+    <c:plotVisOnly val="1"/>
+    <c:dispBlanksAs val="gap"/>
+  </c:chart>
+</c:chartSpace>`;
+}
+
+function richText(text, size) {
+  return `<c:tx><c:rich><a:bodyPr/><a:lstStyle/><a:p><a:pPr><a:defRPr sz="${size}" b="1"/></a:pPr><a:r><a:rPr lang="fr-FR" sz="${size}" b="1"/><a:t>${escapeXml(text)}</a:t></a:r></a:p></c:rich></c:tx>`;
+}
+
+function quoteSheetName(sheetName) {
+  return `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { addNativeCharts };
@@ -0,0 +1,168 @@
+// ===================================
+// 🧭 Repérage des colonnes par nom d'en-tête
+// ===================================
+
+const { ValidationError } = require('./errors');
+const { toPlainValue } = require('./excel');
+
+/**
+ * Normalise un texte saisi pour comparaison (casse, accents, espaces), ponctuation conservée
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeText(value) {
+  const plain = toPlainValue(value);
+  if (plain === null || plain === undefined) return '';
+  return String(plain)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalise un texte d'en-tête pour comparaison (casse, accents, ponctuation)
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeHeader(value) {
+  return normalizeText(value).replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Repère les colonnes d'une feuille à partir des en-têtes et d'un mapping explicite éventuel
+ * @param {ExcelJS.Worksheet} sheet
+ * @param {Object} fields - { champ: { label, aliases: string[], required: boolean } }
+ * @param {Object} [mapping] - { champ: nom d'en-tête, lettre de colonne ('C') ou numéro (3) }
+ * @param {string} sheetLabel - Nom du fichier ou de la feuille, pour les messages d'erreur
+ * @returns {Object} - { champ: numéro de colonne (1-based) ou null }
+ */
+function resolveColumns(sheet, fields, mapping = {}, sheetLabel) {
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, colNum) => {
+    headers.push({ colNum, text: String(toPlainValue(cell.value)), normalized: normalizeHeader(cell.value) });
+  });
+
+  const columns = {};
+  const missing = [];
+  const ambiguous = [];
+  const invalid = [];
+
+  Object.entries(fields).forEach(([field, def]) => {
+    const explicit = mapping[field];
+
+    if (explicit !== undefined && explicit !== null && explicit !== '') {
+      const colNum = findExplicitColumn(headers, explicit);
+      if (!colNum) {
+        invalid.push({ field, label: def.label, column: String(explicit) });
+      }
+      columns[field] = colNum;
+      return;
+    }
+
+    const aliases = def.aliases.map(normalizeHeader);
+    const matches = headers.filter(header => aliases.includes(header.normalized));
+
+    if (matches.length === 1) {
+      columns[field] = matches[0].colNum;
+    } else if (matches.length > 1) {
+      ambiguous.push({ field, label: def.label, columns: matches.map(m => `${columnLetter(m.colNum)} « ${m.text} »`) });
+      columns[field] = null;
+    } else {
+      if (def.required) {
+        missing.push({ field, label: def.label, aliases: def.aliases });
+      }
+      columns[field] = null;
+    }
+  });
+
+  if (missing.length > 0 || ambiguous.length > 0 || invalid.length > 0) {
+    const lines = [`Colonnes non reconnues dans ${sheetLabel}:`];
+    const present = headers.map(h => `${columnLetter(h.colNum)} « ${h.text} »`);
+    missing.forEach(item => lines.push(`- manquante: ${item.label} (en-têtes reconnus: ${item.aliases.join(', ')})`));
+    ambiguous.forEach(item => lines.push(`- ambiguë: ${item.label}: ${item.columns.join(', ')}`));
+    invalid.forEach(item => lines.push(`- mapping invalide: ${item.label}: colonne « ${item.column} » introuvable`));
+    lines.push(`En-têtes présents: ${present.join(', ') || 'aucun'}`);
+    lines.push('Précisez les colonnes avec le paramètre de correspondance des colonnes.');
+    throw new ValidationError(lines.join('\n'), 'COLUMNS_UNRECOGNIZED', {
+      sheet: sheet.name,
+      missing,
+      ambiguous,
+      invalid,
+      headers: present
+    });
+  }
+
+  return columns;
+}
+
+function findExplicitColumn(headers, explicit) {
+  if (typeof explicit === 'number' || /^\d+$/.test(String(explicit))) {
+    return Number(explicit) >= 1 ? Number(explicit) : null;
+  }
+
+  const byName = headers.find(header => header.normalized === normalizeHeader(explicit));
+  if (byName) return byName.colNum;
+
+  if (/^[A-Za-z]{1,3}$/.test(String(explicit))) {
+    return columnNumber(String(explicit).toUpperCase());
+  }
+
+  return null;
+}
+
+function columnNumber(letters) {
+  return letters.split('').reduce((n, letter) => n * 26 + (letter.charCodeAt(0) - 64), 0);
+}
+
+function columnLetter(colNum) {
+  let letters = '';
+  let n = colNum;
+  while (n > 0) {
+    const rest = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rest) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Interprète un mapping saisi sous forme de texte: "export.code_article=Article; suivi.magasin=C"
+ * Un objet (appel direct de l'API) est renvoyé tel quel.
+ * @param {string|Object} value
+ * @returns {Object} - { préfixe: { champ: colonne } }
+ */
+function parseColumnMapping(value) {
+  if (value && typeof value === 'object') return value;
+
+  const text = String(value || '').trim();
+  if (!text) return {};
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error('JSON invalide');
+    }
+  }
+
+  const mapping = {};
+  text.split(/[;\n]+/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^([\w-]+)\.([\w-]+)\s*[=:]\s*(.+)$/);
+    if (!match) {
+      throw new Error(`entrée « ${part} » invalide, format attendu: fichier.champ=colonne`);
+    }
+    const [, scope, field, column] = match;
+    mapping[scope] = mapping[scope] || {};
+    mapping[scope][field] = column.trim();
+  });
+  return mapping;
+}
+
+module.exports = {
+  normalizeText,
+  normalizeHeader,
+  resolveColumns,
+  parseColumnMapping,
+  columnLetter
+};
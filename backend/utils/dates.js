@@ -0,0 +1,75 @@
+// ===================================
+// 📅 Repérage et conversion des dates
+// ===================================
+
+const { toPlainValue } = require('./excel');
+
+/**
+ * Convertit une valeur de cellule ou un texte en date (minuit, heure locale)
+ * Accepte: Date, 'YYYY-MM-DD', 'DD/MM/YYYY' (séparateurs / - . _), numéro de série Excel
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  const plain = toPlainValue(value);
+  if (plain === null || plain === undefined) return null;
+
+  // ExcelJS lit les dates en UTC: on conserve le jour affiché dans Excel
+  if (plain instanceof Date) {
+    if (Number.isNaN(plain.getTime())) return null;
+    return new Date(plain.getUTCFullYear(), plain.getUTCMonth(), plain.getUTCDate());
+  }
+
+  if (typeof plain === 'number') {
+    return excelSerialToDate(plain);
+  }
+
+  const text = String(plain).trim();
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) return buildDate(match[1], match[2], match[3]);
+
+  match = text.match(/^(\d{1,2})[-/._](\d{1,2})[-/._](\d{4})$/);
+  if (match) return buildDate(match[3], match[2], match[1]);
+
+  return null;
+}
+
+// Numéros de série plausibles pour un relevé de stock (1954 -> 2119)
+function excelSerialToDate(serial) {
+  if (serial < 20000 || serial > 80000) return null;
+  const utc = new Date(Math.round((serial - 25569) * 86400000));
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+// Rejette les dates impossibles (31/02...)
+function buildDate(year, month, day) {
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  if (date.getFullYear() !== Number(year) || date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Cherche une date dans un nom de fichier: export_2024-08-15.xlsx, stock_20240815.xlsx, 15-08-2024.xlsx
+ * @param {string} fileName
+ * @returns {Date|null}
+ */
+function findDateInFileName(fileName) {
+  const name = String(fileName || '');
+
+  let match = name.match(/(?:^|\D)(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})(?!\d)/);
+  if (match) {
+    const date = buildDate(match[1], match[2], match[3]);
+    if (date) return date;
+  }
+
+  match = name.match(/(?:^|\D)(\d{2})[-_.](\d{2})[-_.](\d{4})(?!\d)/);
+  if (match) {
+    return buildDate(match[3], match[2], match[1]);
+  }
+
+  return null;
+}
+
+module.exports = { toDate, buildDate, findDateInFileName };
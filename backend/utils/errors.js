@@ -0,0 +1,120 @@
+// ===================================
+// ⚠️ Erreurs applicatives
+// Le champ `status` est repris tel quel comme code HTTP par les routes.
+// Le champ `code` est stable: le frontend s'en sert pour afficher le message
+// dans la langue de l'utilisateur, à partir des valeurs de `context`.
+// Le message français reste la version de référence (journaux, clients sans catalogue).
+// ===================================
+
+const INTERNAL_ERROR_MESSAGE = 'Erreur interne du serveur';
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Message en français
+   * @param {string} [code] - Code stable (ex: 'SHEET_MISSING'); par défaut celui de la classe
+   * @param {Object} [context] - Données utiles au message (feuille, date, colonne...)
+   */
+  constructor(message, code, context = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.defaultCode;
+    this.context = context;
+  }
+}
+
+class ValidationError extends AppError {
+  static defaultCode = 'VALIDATION_ERROR';
+  status = 400;
+}
+
+class AuthenticationError extends AppError {
+  static defaultCode = 'AUTH_REQUIRED';
+  status = 401;
+
+  constructor(message = 'Authentification requise', code, context) {
+    super(message, code, context);
+  }
+}
+
+class ForbiddenError extends AppError {
+  static defaultCode = 'FORBIDDEN';
+  status = 403;
+}
+
+class NotFoundError extends AppError {
+  static defaultCode = 'NOT_FOUND';
+  status = 404;
+}
+
+class ConflictError extends AppError {
+  static defaultCode = 'CONFLICT';
+  status = 409;
+}
+
+class PayloadTooLargeError extends AppError {
+  static defaultCode = 'FILE_TOO_LARGE';
+  status = 413;
+}
+
+class UnsupportedFileError extends AppError {
+  static defaultCode = 'UNSUPPORTED_FILE';
+  status = 415;
+}
+
+/**
+ * Plusieurs erreurs de validation réunies (fichiers manquants, paramètres invalides...)
+ * Une seule erreur est renvoyée telle quelle.
+ * @param {AppError[]} errors
+ * @returns {AppError}
+ */
+function combineErrors(errors) {
+  if (errors.length === 1) return errors[0];
+
+  const error = new ValidationError(errors.map(item => item.message).join('\n'), 'INVALID_REQUEST', { count: errors.length });
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Forme publique d'une erreur, renvoyée par l'API et conservée dans les jobs et le journal d'audit.
+ * Seules les AppError sont décrites telles quelles: toute autre erreur (bug, disque, bibliothèque)
+ * devient INTERNAL_ERROR avec un message générique, son détail restant dans les journaux du serveur.
+ * @param {Error} error
+ * @returns {{code: string, status: number, message: string, context: Object, errors?: Object[]}}
+ */
+function describeError(error) {
+  if (!(error instanceof AppError)) {
+    return { code: 'INTERNAL_ERROR', status: 500, message: INTERNAL_ERROR_MESSAGE, context: {} };
+  }
+  return {
+    code: error.code,
+    status: error.status || 500,
+    message: error.message,
+    context: error.context || {},
+    ...(error.errors ? { errors: error.errors.map(describeError) } : {})
+  };
+}
+
+/**
+ * Réponse d'erreur d'une route: { error: { code, status, message, context } }
+ * @param {Object} res - Réponse Express
+ * @param {Error|Object} error - Erreur levée, ou erreur déjà décrite (job en échec)
+ */
+function sendError(res, error) {
+  const described = error instanceof Error ? describeError(error) : error;
+  res.status(described.status).json({ error: described });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedFileError,
+  combineErrors,
+  describeError,
+  sendError
+};
@@ -0,0 +1,103 @@
+// ===================================
+// 🧰 Utilitaires ExcelJS partagés entre les processeurs
+// ===================================
+
+const HEADER_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FF003366' }
+};
+
+const TITLE_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFD3D3D3' }
+};
+
+function styleHeaderCell(cell) {
+  cell.fill = HEADER_FILL;
+  cell.font = {
+    color: { argb: 'FFFFFFFF' },
+    bold: true
+  };
+  cell.alignment = { horizontal: 'center' };
+  cell.border = {
+    top: { style: 'thin', color: { argb: 'FFFFFFFF' } },
+    left: { style: 'thin', color: { argb: 'FFFFFFFF' } },
+    bottom: { style: 'thin', color: { argb: 'FFFFFFFF' } },
+    right: { style: 'thin', color: { argb: 'FFFFFFFF' } }
+  };
+}
+
+function adjustColumnWidths(sheet) {
+  sheet.columns.forEach(column => {
+    let maxLength = 10;
+    column.eachCell({ includeEmpty: false }, cell => {
+      const length = cell.value ? cell.value.toString().length : 10;
+      if (length > maxLength) {
+        maxLength = length;
+      }
+    });
+    column.width = Math.min(maxLength + 2, 50);
+  });
+}
+
+/**
+ * Écrit un titre fusionné sur la première ligne d'une feuille
+ * @param {ExcelJS.Worksheet} sheet
+ * @param {string} title
+ * @param {number} width - Nombre de colonnes couvertes par le titre
+ * @param {number} [rowNum=1]
+ */
+function writeTitleRow(sheet, title, width, rowNum = 1) {
+  sheet.mergeCells(rowNum, 1, rowNum, width);
+  const cell = sheet.getCell(rowNum, 1);
+  cell.value = title;
+  cell.alignment = { horizontal: 'center' };
+  cell.fill = TITLE_FILL;
+}
+
+/**
+ * Écrit une ligne d'en-têtes stylés, à partir de la première colonne
+ * @param {ExcelJS.Worksheet} sheet
+ * @param {string[]} headers
+ * @param {number} [rowNum=1]
+ * @returns {ExcelJS.Row}
+ */
+function writeHeaderRow(sheet, headers, rowNum = 1) {
+  const row = sheet.getRow(rowNum);
+  headers.forEach((header, i) => {
+    const cell = row.getCell(i + 1);
+    cell.value = header;
+    styleHeaderCell(cell);
+  });
+  return row;
+}
+
+/**
+ * Ramène une valeur de cellule ExcelJS (formule, texte riche, lien…) à une valeur simple
+ * @param {*} value - Valeur brute de cell.value
+ * @returns {string|number|boolean|Date|null}
+ */
+function toPlainValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') return value;
+
+  if (Array.isArray(value.richText)) {
+    return value.richText.map(part => part.text).join('');
+  }
+  if ('result' in value) return toPlainValue(value.result);
+  if ('text' in value) return toPlainValue(value.text);
+  if ('error' in value) return null;
+
+  return String(value);
+}
+
+module.exports = {
+  styleHeaderCell,
+  adjustColumnWidths,
+  writeTitleRow,
+  writeHeaderRow,
+  toPlainValue
+};
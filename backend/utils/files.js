@@ -0,0 +1,20 @@
+// ===================================
+// 🗂️ Utilitaires fichiers
+// ===================================
+
+const fs = require('fs').promises;
+
+async function cleanupFiles(filePaths) {
+  for (const filePath of filePaths) {
+    try {
+      await fs.unlink(filePath);
+      console.log('🗑️ Fichier supprimé:', filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Erreur suppression:', filePath, err);
+      }
+    }
+  }
+}
+
+module.exports = { cleanupFiles };
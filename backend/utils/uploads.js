@@ -0,0 +1,320 @@
+// ===================================
+// 🛂 Contrôle des fichiers envoyés, avant toute lecture par ExcelJS
+// - signature réelle du fichier (OOXML et ODS = archive ZIP, BIFF = conteneur OLE2, CSV = texte)
+// - archive bornée: nombre d'entrées et taille décompressée (bombes ZIP)
+// - feuilles présentes et nombre de lignes, sans charger le classeur
+// ===================================
+
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { UnsupportedFileError, PayloadTooLargeError } = require('./errors');
+
+const MAX_UNCOMPRESSED_BYTES = (Number(process.env.UPLOAD_MAX_UNCOMPRESSED_MB) || 250) * 1024 * 1024;
+const MAX_ZIP_ENTRIES = Number(process.env.UPLOAD_MAX_ZIP_ENTRIES) || 1000;
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+// Valeurs réservées au format ZIP64, jamais utilisé par un classeur de taille raisonnable
+const ZIP64_MARKER = 0xffffffff;
+
+const WORKBOOK_ENTRY = 'xl/workbook.xml';
+const WORKBOOK_RELS_ENTRY = 'xl/_rels/workbook.xml.rels';
+const WORKSHEET_ENTRY = /^xl\/worksheets\/[^/]+\.xml$/;
+const ODS_MIMETYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+/**
+ * Identifie le format réel d'un fichier envoyé, quelle que soit son extension
+ * @param {string} filePath
+ * @param {string} originalName - Nom d'origine, repris dans les messages d'erreur
+ * @returns {Promise<{format: string, data: Buffer, entries: Array|null}>} - format: xlsx, xls, ods ou csv
+ */
+async function identifyUpload(filePath, originalName) {
+  const data = await fs.readFile(filePath);
+
+  if (data.subarray(0, OLE2_SIGNATURE.length).equals(OLE2_SIGNATURE)) {
+    // Un .xlsx chiffré est lui aussi enveloppé dans un conteneur OLE2
+    if (/\.xlsx$/i.test(originalName)) {
+      throw new UnsupportedFileError(
+        `"${originalName}" est protégé par mot de passe: enregistrez-le sans mot de passe`,
+        'FILE_PASSWORD_PROTECTED',
+        { file: originalName }
+      );
+    }
+    return { format: 'xls', data, entries: null };
+  }
+
+  if (data.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+    const entries = readZipDirectory(data, originalName);
+    const names = new Set(entries.map(entry => entry.name));
+    if (names.has('[Content_Types].xml') && names.has(WORKBOOK_ENTRY)) {
+      return { format: 'xlsx', data, entries };
+    }
+
+    if (names.has('mimetype') && names.has('content.xml')) {
+      // Le classeur ODS sera lu d'un bloc: toutes ses entrées sont vérifiées avant
+      let mimetype = '';
+      for (const entry of entries) {
+        const { content } = await inflateEntry(data, entry, originalName, { keepContent: entry.name === 'mimetype' });
+        if (content !== null) mimetype = content.trim();
+      }
+      if (mimetype === ODS_MIMETYPE) {
+        return { format: 'ods', data, entries };
+      }
+    }
+    throw new UnsupportedFileError(`"${originalName}" est une archive ZIP mais pas un classeur`, 'FILE_NOT_SPREADSHEET', { file: originalName });
+  }
+
+  if (/\.csv$/i.test(originalName) && looksLikeText(data)) {
+    return { format: 'csv', data, entries: null };
+  }
+
+  throw new UnsupportedFileError(
+    `"${originalName}" n'est pas un classeur (contenu non reconnu malgré l'extension)`,
+    'FILE_NOT_SPREADSHEET',
+    { file: originalName }
+  );
+}
+
+/**
+ * Vérifie un classeur .xlsx et décrit son contenu
+ * @param {string} filePath
+ * @param {string} originalName - Nom d'origine, repris dans les messages d'erreur
+ * @returns {Promise<{format: string, sheets: Array<{name: string, rows: number, hidden: boolean}>}>}
+ */
+async function inspectUpload(filePath, originalName) {
+  const { format, data, entries } = await identifyUpload(filePath, originalName);
+  // Les autres formats sont convertis en .xlsx avant le contrôle (voir inputs/)
+  if (format !== 'xlsx') {
+    throw new UnsupportedFileError(`"${originalName}" n'a pas été converti en classeur .xlsx`, 'FILE_NOT_CONVERTED', { file: originalName });
+  }
+
+  const contents = {};
+  const rowCounts = {};
+  for (const entry of entries) {
+    const isWorkbook = entry.name === WORKBOOK_ENTRY || entry.name === WORKBOOK_RELS_ENTRY;
+    const isWorksheet = WORKSHEET_ENTRY.test(entry.name);
+    const { rows, content } = await inflateEntry(data, entry, originalName, { keepContent: isWorkbook, countRows: isWorksheet });
+    if (isWorkbook) contents[entry.name] = content;
+    if (isWorksheet) rowCounts[entry.name] = rows;
+  }
+
+  return {
+    format,
+    sheets: readSheets(contents[WORKBOOK_ENTRY], contents[WORKBOOK_RELS_ENTRY], rowCounts)
+  };
+}
+
+// Pas d'octet nul dans les premiers Ko, sauf texte UTF-16 annoncé par son BOM
+function looksLikeText(data) {
+  if (data.length === 0) return false;
+  if ((data[0] === 0xff && data[1] === 0xfe) || (data[0] === 0xfe && data[1] === 0xff)) return true;
+  return !data.subarray(0, 8192).includes(0);
+}
+
+// ===================================
+// ARCHIVE ZIP
+// ===================================
+
+// Répertoire central: liste des entrées avec leurs tailles déclarées
+function readZipDirectory(data, originalName) {
+  const corrupted = () => new UnsupportedFileError(`"${originalName}" est endommagé (archive ZIP illisible)`, 'FILE_CORRUPTED', { file: originalName });
+
+  // Fin du répertoire central: 22 octets + commentaire éventuel (65 535 octets au plus)
+  let eocd = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+    if (data.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw corrupted();
+
+  const entryCount = data.readUInt16LE(eocd + 10);
+  const directoryOffset = data.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === ZIP64_MARKER) {
+    throw new PayloadTooLargeError(`"${originalName}" est une archive ZIP64, trop volumineuse pour être traitée`, 'ARCHIVE_TOO_LARGE', { file: originalName });
+  }
+  if (entryCount > MAX_ZIP_ENTRIES) {
+    throw new PayloadTooLargeError(
+      `"${originalName}" contient ${entryCount} éléments (maximum ${MAX_ZIP_ENTRIES})`,
+      'ARCHIVE_TOO_MANY_ENTRIES',
+      { file: originalName, entries: entryCount, max: MAX_ZIP_ENTRIES }
+    );
+  }
+
+  const entries = [];
+  let totalSize = 0;
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > data.length || data.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) throw corrupted();
+
+    const nameLength = data.readUInt16LE(offset + 28);
+    const entry = {
+      name: data.toString('utf8', offset + 46, offset + 46 + nameLength),
+      flags: data.readUInt16LE(offset + 8),
+      method: data.readUInt16LE(offset + 10),
+      compressedSize: data.readUInt32LE(offset + 20),
+      size: data.readUInt32LE(offset + 24),
+      headerOffset: data.readUInt32LE(offset + 42)
+    };
+    if (entry.size === ZIP64_MARKER || entry.compressedSize === ZIP64_MARKER) {
+      throw new PayloadTooLargeError(`"${originalName}" est une archive ZIP64, trop volumineuse pour être traitée`, 'ARCHIVE_TOO_LARGE', { file: originalName });
+    }
+    if (entry.flags & 0x1) {
+      throw new UnsupportedFileError(`"${originalName}" contient des éléments chiffrés`, 'FILE_PASSWORD_PROTECTED', { file: originalName });
+    }
+
+    totalSize += entry.size;
+    if (totalSize > MAX_UNCOMPRESSED_BYTES) {
+      throw new PayloadTooLargeError(
+        `"${originalName}" dépasse ${formatMegabytes(MAX_UNCOMPRESSED_BYTES)} une fois décompressé`,
+        'ARCHIVE_TOO_LARGE',
+        { file: originalName, max_mb: Math.round(MAX_UNCOMPRESSED_BYTES / (1024 * 1024)) }
+      );
+    }
+
+    entries.push(entry);
+    offset += 46 + nameLength + data.readUInt16LE(offset + 30) + data.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+/**
+ * Décompresse une entrée sans la conserver en mémoire, en refusant de dépasser la taille déclarée
+ * (une archive piégée annonce des tailles minuscules). Compte au passage les lignes des feuilles.
+ */
+function inflateEntry(data, entry, originalName, { keepContent = false, countRows = false } = {}) {
+  const corrupted = () => new UnsupportedFileError(
+    `"${originalName}" est endommagé (élément ${entry.name} illisible)`,
+    'FILE_CORRUPTED',
+    { file: originalName, entry: entry.name }
+  );
+
+  const header = entry.headerOffset;
+  if (header + 30 > data.length || data.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+    return Promise.reject(corrupted());
+  }
+  const start = header + 30 + data.readUInt16LE(header + 26) + data.readUInt16LE(header + 28);
+  const compressed = data.subarray(start, start + entry.compressedSize);
+  if (compressed.length !== entry.compressedSize) {
+    return Promise.reject(corrupted());
+  }
+
+  if (entry.method === 0) {
+    if (entry.size !== entry.compressedSize) return Promise.reject(corrupted());
+    const text = compressed.toString('utf8');
+    return Promise.resolve({
+      rows: countRows ? countRowTags(text) : 0,
+      content: keepContent ? text : null
+    });
+  }
+  if (entry.method !== 8) {
+    return Promise.reject(new UnsupportedFileError(
+      `"${originalName}" utilise une compression non prise en charge`,
+      'UNSUPPORTED_COMPRESSION',
+      { file: originalName }
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const inflate = zlib.createInflateRaw();
+    const chunks = [];
+    let size = 0;
+    let rows = 0;
+    let pending = '';
+
+    inflate.on('data', chunk => {
+      size += chunk.length;
+      if (size > entry.size) {
+        inflate.destroy();
+        reject(new PayloadTooLargeError(
+          `"${originalName}" est une archive piégée: ${entry.name} dépasse sa taille déclarée`,
+          'ARCHIVE_SIZE_MISMATCH',
+          { file: originalName, entry: entry.name }
+        ));
+        return;
+      }
+      if (keepContent) chunks.push(chunk);
+      if (countRows) {
+        // Une balise peut être coupée entre deux blocs: la fin du bloc est reportée au suivant
+        const text = pending + chunk.toString('latin1');
+        const cut = text.lastIndexOf('<');
+        rows += countRowTags(cut === -1 ? text : text.slice(0, cut));
+        pending = cut === -1 ? '' : text.slice(cut);
+      }
+    });
+    inflate.on('end', () => {
+      if (size !== entry.size) {
+        reject(corrupted());
+        return;
+      }
+      resolve({
+        rows: rows + countRowTags(pending),
+        content: keepContent ? Buffer.concat(chunks).toString('utf8') : null
+      });
+    });
+    inflate.on('error', () => reject(corrupted()));
+    inflate.end(compressed);
+  });
+}
+
+function countRowTags(text) {
+  return (text.match(/<(?:\w+:)?row[\s>/]/g) || []).length;
+}
+
+// ===================================
+// FEUILLES DU CLASSEUR
+// ===================================
+
+// Feuilles dans l'ordre du classeur, avec le nombre de lignes écrites de chacune
+function readSheets(workbookXml, relsXml, rowCounts) {
+  const targets = {};
+  for (const tag of (relsXml || '').match(/<(?:\w+:)?Relationship\b[^>]*>/g) || []) {
+    const attributes = readAttributes(tag);
+    if (attributes.Id && attributes.Target) {
+      targets[attributes.Id] = attributes.Target.startsWith('/')
+        ? attributes.Target.slice(1)
+        : `xl/${attributes.Target}`;
+    }
+  }
+
+  return ((workbookXml || '').match(/<(?:\w+:)?sheet\b[^>]*>/g) || []).map(tag => {
+    const attributes = readAttributes(tag);
+    const relationId = Object.keys(attributes).find(key => /(^|:)id$/.test(key) && key !== 'sheetId');
+    return {
+      name: decodeXml(attributes.name || ''),
+      rows: rowCounts[targets[attributes[relationId]]] || 0,
+      hidden: attributes.state === 'hidden' || attributes.state === 'veryHidden'
+    };
+  });
+}
+
+function readAttributes(tag) {
+  const attributes = {};
+  for (const [, key, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[key] = value;
+  }
+  return attributes;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} Mo`;
+}
+
+module.exports = { identifyUpload, inspectUpload, formatMegabytes };
@@ -1,68 +1,189 @@
-import React, { useState } from 'react';
-import { Upload, FileSpreadsheet, TrendingUp, Database, ArrowLeft, Calendar, Check, Loader2, Download, AlertCircle } from 'lucide-react';
-
-// Configuration des applications disponibles
-const APPS_CONFIG = [
-  {
-    id: 'stock-tracking',
-    name: 'Suivi des Stocks',
-    description: 'Mise à jour automatique du suivi mensuel et semestriel des stocks',
-    icon: FileSpreadsheet,
-    color: 'from-blue-500 to-blue-600',
-    files: [
-      { id: 'tracking', label: 'Fichier de suivi', accept: '.xlsx,.xls' },
-      { id: 'export', label: "Fichier d'export", accept: '.xlsx,.xls' }
-    ],
-    params: [
-      { id: 'export_date', label: "Date d'export", type: 'date', placeholder: '' }
-    ]
-  },
-  {
-    id: 'sales-analysis',
-    name: 'Analyse des Ventes',
-    description: 'Génération de rapports et analyses de ventes mensuelles',
-    icon: TrendingUp,
-    color: 'from-green-500 to-green-600',
-    files: [
-      { id: 'sales', label: 'Fichier des ventes', accept: '.xlsx,.xls' }
-    ],
-    params: [
-      { id: 'period', label: 'Période', type: 'text', placeholder: 'Ex: Q1 2024' }
-    ]
-  },
-  {
-    id: 'data-merge',
-    name: 'Fusion de Données',
-    description: 'Consolidation de plusieurs fichiers Excel en un seul',
-    icon: Database,
-    color: 'from-purple-500 to-purple-600',
-    files: [
-      { id: 'file1', label: 'Premier fichier', accept: '.xlsx,.xls' },
-      { id: 'file2', label: 'Deuxième fichier', accept: '.xlsx,.xls' }
-    ],
-    params: []
+import React, { useEffect, useState } from 'react';
+import { Upload, FileSpreadsheet, TrendingUp, Database, RotateCcw, ArrowLeft, Calendar, Check, Loader2, Download, AlertCircle, LogOut, Lock, ClipboardList } from 'lucide-react';
+import { formatError } from './errorMessages';
+
+// URL de l'API - utilise la variable d'environnement ou localhost par défaut
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:10000';
+
+// Jeton de session conservé entre deux visites
+const TOKEN_STORAGE_KEY = 'excel-portal-token';
+const SESSION_EXPIRED_EVENT = 'excel-portal-session-expired';
+
+function getToken() {
+  return localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+// Appel de l'API avec le jeton de session; un 401 renvoie vers l'écran de connexion
+async function apiFetch(path, options = {}) {
+  const token = getToken();
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    }
+  });
+  if (response.status === 401 && token) {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+  }
+  return response;
+}
+
+// EventSource et les liens de téléchargement n'envoient pas d'en-tête: l'URL porte un jeton
+// de lien, valable une minute pour cette seule adresse (jamais le jeton de session)
+async function withLinkToken(path) {
+  if (!getToken()) return `${API_URL}${path}`;
+
+  const response = await apiFetch('/api/auth/link-token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path })
+  });
+  if (!response.ok) throw new Error(await readApiError(response));
+  const { token } = await response.json();
+  return `${API_URL}${path}?access_token=${encodeURIComponent(token)}`;
+}
+
+// Téléchargement direct par le navigateur, sans passer le fichier en mémoire
+async function openDownload(path) {
+  window.location.assign(await withLinkToken(path));
+}
+
+// Origine d'une valeur proposée par /api/inspect
+const SUGGESTION_SOURCES = {
+  filename: 'nom du fichier',
+  content: 'contenu du fichier',
+  metadata: 'date de création du classeur'
+};
+
+// Apparence des applications (fichiers et paramètres sont décrits par /api/treatments)
+const APP_APPEARANCE = {
+  'stock-tracking': { icon: FileSpreadsheet, color: 'from-blue-500 to-blue-600' },
+  'sales-analysis': { icon: TrendingUp, color: 'from-green-500 to-green-600' },
+  'data-merge': { icon: Database, color: 'from-purple-500 to-purple-600' },
+  'stock-tracking-rollback': { icon: RotateCcw, color: 'from-orange-500 to-orange-600' }
+};
+
+const DEFAULT_APPEARANCE = { icon: FileSpreadsheet, color: 'from-gray-500 to-gray-600' };
+
+// Reconnexions successives au flux d'un job avant d'abandonner
+const JOB_STREAM_RETRIES = 3;
+
+// Suit un job via Server-Sent Events, résout avec l'état final du job
+function followJob(jobId, onUpdate) {
+  return new Promise((resolve, reject) => {
+    let failures = 0;
+
+    const connect = async () => {
+      let url;
+      try {
+        url = await withLinkToken(`/api/jobs/${jobId}/events`);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      const source = new EventSource(url);
+
+      source.addEventListener('progress', (event) => {
+        failures = 0;
+        onUpdate(JSON.parse(event.data));
+      });
+
+      source.addEventListener('end', (event) => {
+        source.close();
+        const job = JSON.parse(event.data);
+        onUpdate(job);
+        resolve(job);
+      });
+
+      // Le jeton de lien expire vite: chaque reconnexion en demande un nouveau
+      source.onerror = () => {
+        source.close();
+        failures += 1;
+        if (failures > JOB_STREAM_RETRIES) {
+          reject(new Error(formatError({ code: 'JOB_STREAM_LOST' })));
+        } else {
+          setTimeout(connect, 1000 * failures);
+        }
+      };
+    };
+
+    connect();
+  });
+}
+
+// Libellé de l'étape en cours, avec le nombre de lignes traitées si connu
+function describeJobStep(job) {
+  if (job.status === 'queued' && job.queue_position) {
+    return `En attente (position ${job.queue_position} dans la file)`;
+  }
+
+  const { rows_processed: rowsProcessed, rows_total: rowsTotal } = job.progress;
+  if (rowsProcessed !== null && rowsTotal) {
+    return `${job.step} (${rowsProcessed.toLocaleString('fr-FR')} / ${rowsTotal.toLocaleString('fr-FR')} lignes)`;
+  }
+  return job.step;
+}
+
+// Fichiers choisis -> FormData, avec la convention de nommage "file_<emplacement>"
+function buildFilesFormData(files) {
+  const formData = new FormData();
+  Object.entries(files).forEach(([key, file]) => {
+    [].concat(file).forEach(f => formData.append(`file_${key}`, f));
+  });
+  return formData;
+}
+
+function formatIsoDate(isoDate) {
+  const [year, month, day] = isoDate.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+function describeSuggestionSource(source) {
+  return source.split(', ').map(key => SUGGESTION_SOURCES[key] || key).join(', ');
+}
+
+// Avertissements sur une date saisie: date future, ou différente de celle détectée dans les fichiers
+function getDateWarnings(value, suggestion) {
+  if (!value) return [];
+
+  const warnings = [];
+  if (value > new Date().toISOString().slice(0, 10)) {
+    warnings.push('Cette date est dans le futur.');
+  }
+  if (suggestion && suggestion.value !== value) {
+    warnings.push(
+      `La date détectée est le ${formatIsoDate(suggestion.value)} (${describeSuggestionSource(suggestion.source)}).`
+    );
   }
-];
-
-const FUNNY_MESSAGES = [
-  "Décompte des claviers qui ont fait un plongeon dans une mer de café...",
-  "Vérification des souris qui sont passées par la fenêtre...",
-  "Recensement des écrans radar qui ont pris un uppercut accidentel...",
-  "Inventaire des ventilateurs qui ont pris des vacances sans préavis...",
-  "Nettoyage des moniteurs qui ont perdu la bataille contre la poussière...",
-  "Saisie des composants qui ont survécu à un marathon de stress intensif...",
-  "Décompte des périphériques qui ont raté leur dernier atterrissage...",
-  "Vérification des micros qui ont pris leur envol sans autorisation...",
-  "Recensement des claviers qui ont décidé de faire une pause café prolongée..."
-];
+  return warnings;
+}
+
+// Message d'une réponse API en échec: { error: { code, status, message, context } }
+async function readApiError(response) {
+  try {
+    const { error } = await response.json();
+    console.error('❌ Erreur API:', error);
+    if (error) return formatError(error);
+  } catch {
+    // Réponse sans corps JSON (proxy, serveur arrêté): code HTTP seul
+  }
+  return formatError({ code: 'HTTP_ERROR', context: { status: response.status } });
+}
 
 // Composant Card pour chaque application
 function AppCard({ app, onClick }) {
   const Icon = app.icon;
+  const isActive = app.status === 'active';
   return (
     <div
-      onClick={onClick}
-      className="group relative overflow-hidden rounded-2xl bg-gradient-to-br from-gray-800 to-gray-900 p-6 cursor-pointer transition-all duration-300 hover:scale-105 hover:shadow-2xl hover:shadow-blue-500/20 border border-gray-700 hover:border-blue-500/50"
+      onClick={isActive ? onClick : undefined}
+      className={`group relative overflow-hidden rounded-2xl bg-gradient-to-br from-gray-800 to-gray-900 p-6 transition-all duration-300 border border-gray-700 ${
+        isActive
+          ? 'cursor-pointer hover:scale-105 hover:shadow-2xl hover:shadow-blue-500/20 hover:border-blue-500/50'
+          : 'cursor-not-allowed opacity-60'
+      }`}
     >
       <div className={`absolute inset-0 bg-gradient-to-br ${app.color} opacity-0 group-hover:opacity-10 transition-opacity duration-300`}></div>
       
@@ -78,6 +199,12 @@ function AppCard({ app, onClick }) {
         <p className="text-gray-400 text-sm leading-relaxed">
           {app.description}
         </p>
+
+        {!isActive && (
+          <span className="inline-block mt-3 px-3 py-1 text-xs font-medium text-gray-300 bg-gray-700 rounded-full">
+            Bientôt disponible
+          </span>
+        )}
       </div>
       
       <div className="absolute bottom-0 right-0 w-32 h-32 bg-gradient-to-br from-blue-500/10 to-purple-500/10 rounded-tl-full transform translate-x-16 translate-y-16 group-hover:translate-x-8 group-hover:translate-y-8 transition-transform duration-500"></div>
@@ -101,23 +228,26 @@ function FileUploadZone({ fileConfig, file, onFileChange }) {
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
-    const droppedFile = e.dataTransfer.files[0];
-    if (droppedFile) {
-      onFileChange(droppedFile);
-    }
+    handleSelection(e.dataTransfer.files);
   };
 
   const handleFileInput = (e) => {
-    const selectedFile = e.target.files[0];
-    if (selectedFile) {
-      onFileChange(selectedFile);
-    }
+    handleSelection(e.target.files);
   };
 
+  // En mode multiple, la valeur transmise est un tableau de fichiers
+  const handleSelection = (fileList) => {
+    if (!fileList || fileList.length === 0) return;
+    onFileChange(fileConfig.multiple ? Array.from(fileList) : fileList[0]);
+  };
+
+  const selectedFiles = file ? [].concat(file) : [];
+
   return (
     <div className="space-y-2">
       <label className="block text-sm font-medium text-gray-300">
         {fileConfig.label}
+        {fileConfig.required === false && <span className="text-gray-500"> (optionnel)</span>}
       </label>
       
       <div
@@ -135,18 +265,23 @@ function FileUploadZone({ fileConfig, file, onFileChange }) {
         <input
           type="file"
           accept={fileConfig.accept}
+          multiple={!!fileConfig.multiple}
           onChange={handleFileInput}
           className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
         />
         
         <div className="text-center">
-          {file ? (
+          {selectedFiles.length > 0 ? (
             <>
               <Check className="w-12 h-12 text-green-500 mx-auto mb-2" />
-              <p className="text-green-400 font-medium">{file.name}</p>
-              <p className="text-gray-500 text-sm mt-1">
-                {(file.size / 1024).toFixed(2)} KB
-              </p>
+              {selectedFiles.map((selectedFile) => (
+                <div key={selectedFile.name}>
+                  <p className="text-green-400 font-medium">{selectedFile.name}</p>
+                  <p className="text-gray-500 text-sm mt-1">
+                    {(selectedFile.size / 1024).toFixed(2)} KB
+                  </p>
+                </div>
+              ))}
             </>
           ) : (
             <>
@@ -165,11 +300,213 @@ function FileUploadZone({ fileConfig, file, onFileChange }) {
   );
 }
 
+// Résumé d'une prévisualisation d'import, avant génération du fichier
+function PreviewSummary({ preview, color, onConfirm, onCancel }) {
+  const figures = [
+    { label: 'Articles dans l\'export', value: preview.export_articles },
+    { label: 'Lignes existantes mises à jour', value: preview.updated_rows },
+    { label: 'Nouvelles lignes codif / magasin', value: preview.new_rows },
+    { label: 'Lignes existantes passant à 0', value: preview.zeroed_rows }
+  ];
+
+  return (
+    <div className="mt-6 p-6 bg-blue-500/10 border border-blue-500/50 rounded-xl space-y-6">
+      <div>
+        <p className="text-blue-300 font-semibold">Prévisualisation de l'import du {preview.export_date}</p>
+        <p className="text-gray-400 text-sm mt-1">
+          {preview.previous_date
+            ? `Comparaison avec le relevé du ${preview.previous_date}`
+            : 'Aucun relevé précédent dans le fichier de suivi'}
+        </p>
+      </div>
+
+      <table className="w-full text-sm">
+        <tbody>
+          {figures.map((figure) => (
+            <tr key={figure.label} className="border-b border-gray-700">
+              <td className="py-2 text-gray-300">{figure.label}</td>
+              <td className="py-2 text-right text-white font-semibold">{figure.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {preview.top_variations.length > 0 && (
+        <div>
+          <p className="text-gray-300 font-medium mb-2">
+            Principales variations ({preview.top_variations.length} sur {preview.changed_rows})
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="py-2 pr-3">Codification</th>
+                  <th className="py-2 pr-3">Désignation</th>
+                  <th className="py-2 pr-3">Magasin</th>
+                  <th className="py-2 pr-3 text-right">Avant</th>
+                  <th className="py-2 pr-3 text-right">Après</th>
+                  <th className="py-2 text-right">Variation</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.top_variations.map((item) => (
+                  <tr key={`${item.codif}|${item.magasin}`} className="border-b border-gray-800 text-gray-300">
+                    <td className="py-2 pr-3">
+                      {item.codif}
+                      {item.is_new && <span className="ml-2 text-xs text-blue-300">nouveau</span>}
+                    </td>
+                    <td className="py-2 pr-3">{item.designation}</td>
+                    <td className="py-2 pr-3">{item.magasin}</td>
+                    <td className="py-2 pr-3 text-right">{item.previous}</td>
+                    <td className="py-2 pr-3 text-right">{item.current}</td>
+                    <td className={`py-2 text-right font-semibold ${item.variation < 0 ? 'text-red-400' : 'text-green-400'}`}>
+                      {item.variation > 0 ? `+${item.variation}` : item.variation}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={onConfirm}
+          className={`flex-1 flex items-center justify-center gap-2 py-3 rounded-xl font-semibold text-white bg-gradient-to-r ${color} hover:scale-105 transition-all`}
+        >
+          <Check className="w-5 h-5" />
+          Confirmer et générer
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-6 py-3 rounded-xl font-medium text-gray-300 bg-gray-700 hover:bg-gray-600 transition-all"
+        >
+          Annuler
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Écran de connexion
+function LoginPage({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      if (!response.ok) {
+        throw new Error(await readApiError(response));
+      }
+
+      const { token, user } = await response.json();
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+      onLogin(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-md bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-2xl p-8 space-y-6">
+        <div className="text-center">
+          <div className="inline-flex items-center justify-center p-3 bg-gradient-to-br from-blue-500 to-purple-600 rounded-2xl mb-4">
+            <Lock className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-white">Portail de Traitement Excel</h1>
+          <p className="text-gray-400 mt-2">Connectez-vous pour accéder à vos applications</p>
+        </div>
+
+        <div>
+          <label className="block text-white font-medium mb-2">Identifiant</label>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            className="w-full px-4 py-3 bg-gray-900 border border-gray-700 rounded-xl text-white focus:border-blue-500 focus:outline-none"
+          />
+        </div>
+
+        <div>
+          <label className="block text-white font-medium mb-2">Mot de passe</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className="w-full px-4 py-3 bg-gray-900 border border-gray-700 rounded-xl text-white focus:border-blue-500 focus:outline-none"
+          />
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-500/10 border border-red-500/50 rounded-xl flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+            <p className="text-red-300 text-sm whitespace-pre-line">{error}</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !username || !password}
+          className="w-full py-3 rounded-xl font-medium text-white bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2"
+        >
+          {isSubmitting && <Loader2 className="w-5 h-5 animate-spin" />}
+          Se connecter
+        </button>
+      </form>
+    </div>
+  );
+}
+
 // Page d'accueil - Portail
-function HomePage({ onSelectApp }) {
+function HomePage({ apps, isLoading, loadError, onSelectApp, user, onLogout, onOpenAudit }) {
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
       <div className="max-w-7xl mx-auto px-4 py-12">
+        {(onLogout || user.admin) && (
+          <div className="flex items-center justify-end gap-3 mb-6 text-sm text-gray-400">
+            <span>
+              {user.name} <span className="text-gray-500">({user.roles.join(', ')})</span>
+              {user.teams.length > 0 && <span className="text-gray-500"> - équipes {user.teams.join(', ')}</span>}
+            </span>
+            {user.admin && (
+              <button
+                onClick={onOpenAudit}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-300 transition-all"
+              >
+                <ClipboardList className="w-4 h-4" />
+                Journal d'audit
+              </button>
+            )}
+            {onLogout && (
+              <button
+                onClick={onLogout}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-300 transition-all"
+              >
+                <LogOut className="w-4 h-4" />
+                Se déconnecter
+              </button>
+            )}
+          </div>
+        )}
+
         <div className="text-center mb-12">
           <div className="inline-flex items-center justify-center p-3 bg-gradient-to-br from-blue-500 to-purple-600 rounded-2xl mb-4">
             <FileSpreadsheet className="w-12 h-12 text-white" />
@@ -182,15 +519,38 @@ function HomePage({ onSelectApp }) {
           </p>
         </div>
 
+        {isLoading && (
+          <div className="flex items-center justify-center gap-3 text-gray-400">
+            <Loader2 className="w-6 h-6 animate-spin" />
+            Chargement des applications...
+          </div>
+        )}
+
+        {loadError && (
+          <div className="max-w-2xl mx-auto p-4 bg-red-500/10 border border-red-500/50 rounded-xl flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="text-red-400 font-medium">Impossible de charger les applications</p>
+              <p className="text-red-300 text-sm mt-1 whitespace-pre-line">{loadError}</p>
+            </div>
+          </div>
+        )}
+
+        {!isLoading && !loadError && apps.length === 0 && (
+          <p className="text-center text-gray-400">
+            Aucune application n'est ouverte à votre rôle. Contactez un administrateur.
+          </p>
+        )}
+
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {APPS_CONFIG.map((app) => (
+          {apps.map((app) => (
             <AppCard key={app.id} app={app} onClick={() => onSelectApp(app)} />
           ))}
         </div>
 
         <div className="mt-12 text-center">
           <p className="text-gray-500 text-sm">
-            💡 Astuce : Tous les fichiers sont traités de manière sécurisée et supprimés immédiatement après traitement
+            💡 Les fichiers envoyés sont supprimés après traitement et les résultats ne restent téléchargeables que pendant un temps limité. Les fichiers de suivi d'une équipe sont conservés dans le dépôt, avec l'historique de leurs versions.
           </p>
         </div>
       </div>
@@ -198,106 +558,368 @@ function HomePage({ onSelectApp }) {
   );
 }
 
+const AUDIT_PAGE_SIZE = 50;
+
+const AUDIT_STATUS_STYLES = {
+  done: 'text-green-400',
+  failed: 'text-red-400',
+  rejected: 'text-orange-400'
+};
+
+const EMPTY_AUDIT_FILTERS = { user: '', treatment_id: '', status: '', export_date: '', from: '', to: '', dry_run: 'false' };
+
+// Journal d'audit des traitements (administrateurs)
+function AuditPage({ apps, onBack }) {
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [query, setQuery] = useState({ filters: EMPTY_AUDIT_FILTERS, offset: 0 });
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const search = new URLSearchParams({ limit: AUDIT_PAGE_SIZE, offset: query.offset });
+    Object.entries(query.filters).forEach(([key, value]) => {
+      if (value) search.set(key, value);
+    });
+
+    apiFetch(`/api/audit?${search}`)
+      .then(async response => {
+        if (!response.ok) throw new Error(await readApiError(response));
+        return response.json();
+      })
+      .then(result => {
+        setData(result);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  }, [query]);
+
+  const appNames = Object.fromEntries(apps.map(app => [app.id, app.name]));
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const inputClass = 'w-full px-3 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm focus:border-blue-500 focus:outline-none';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <button
+          onClick={onBack}
+          className="flex items-center gap-2 text-gray-400 hover:text-white transition-colors mb-4 group"
+        >
+          <ArrowLeft className="w-5 h-5 group-hover:-translate-x-1 transition-transform" />
+          Retour au portail
+        </button>
+
+        <h1 className="text-3xl font-bold text-white mb-6">Journal d'audit</h1>
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setQuery({ filters, offset: 0 });
+          }}
+          className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-3 items-end mb-6 p-4 bg-gray-800/50 border border-gray-700 rounded-2xl"
+        >
+          <label className="text-gray-400 text-xs">
+            Utilisateur
+            <input type="text" value={filters.user} onChange={(e) => updateFilter('user', e.target.value)} className={inputClass} />
+          </label>
+          <label className="text-gray-400 text-xs">
+            Traitement
+            <select value={filters.treatment_id} onChange={(e) => updateFilter('treatment_id', e.target.value)} className={inputClass}>
+              <option value="">Tous</option>
+              {apps.map(app => <option key={app.id} value={app.id}>{app.name}</option>)}
+            </select>
+          </label>
+          <label className="text-gray-400 text-xs">
+            Statut
+            <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={inputClass}>
+              <option value="">Tous</option>
+              {Object.entries(data?.statuses || {}).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+          <label className="text-gray-400 text-xs">
+            Date d'export
+            <input type="date" value={filters.export_date} onChange={(e) => updateFilter('export_date', e.target.value)} className={inputClass} />
+          </label>
+          <label className="text-gray-400 text-xs">
+            Du
+            <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={inputClass} />
+          </label>
+          <label className="text-gray-400 text-xs">
+            Au
+            <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={inputClass} />
+          </label>
+          <label className="text-gray-400 text-xs">
+            Prévisualisations
+            <select value={filters.dry_run} onChange={(e) => updateFilter('dry_run', e.target.value)} className={inputClass}>
+              <option value="false">Exclues</option>
+              <option value="">Incluses</option>
+              <option value="true">Seules</option>
+            </select>
+          </label>
+          <button type="submit" className="px-4 py-2 rounded-lg font-medium text-white bg-blue-600 hover:bg-blue-500 transition-all">
+            Filtrer
+          </button>
+        </form>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/50 rounded-xl flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+            <p className="text-red-300 text-sm whitespace-pre-line">{error}</p>
+          </div>
+        )}
+
+        {!data && !error && (
+          <div className="flex items-center justify-center gap-3 text-gray-400">
+            <Loader2 className="w-6 h-6 animate-spin" />
+            Chargement du journal...
+          </div>
+        )}
+
+        {data && (
+          <div className="bg-gray-800/50 border border-gray-700 rounded-2xl p-4 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="py-2 pr-3">Date</th>
+                  <th className="py-2 pr-3">Utilisateur</th>
+                  <th className="py-2 pr-3">Traitement</th>
+                  <th className="py-2 pr-3">Fichiers</th>
+                  <th className="py-2 pr-3">Dates</th>
+                  <th className="py-2 pr-3 text-right">Mises à jour</th>
+                  <th className="py-2 pr-3 text-right">Ajouts</th>
+                  <th className="py-2 pr-3 text-right">Mises à zéro</th>
+                  <th className="py-2">Statut</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.entries.map(entry => {
+                  const total = key => (entry.imports ? entry.imports.reduce((sum, item) => sum + item[key], 0) : '');
+                  return (
+                    <tr key={entry.id} className="border-b border-gray-800 text-gray-300 align-top">
+                      <td className="py-2 pr-3 whitespace-nowrap">{new Date(entry.at).toLocaleString('fr-FR')}</td>
+                      <td className="py-2 pr-3">{entry.user}</td>
+                      <td className="py-2 pr-3">
+                        {appNames[entry.treatment_id] || entry.treatment_id}
+                        {entry.dry_run && <span className="text-gray-500"> (prévisualisation)</span>}
+                        {entry.team && <span className="text-gray-500"> - équipe {entry.team}</span>}
+                      </td>
+                      <td className="py-2 pr-3 text-gray-400">{entry.files.join(', ')}</td>
+                      <td className="py-2 pr-3 whitespace-nowrap">{(entry.dates || []).join(', ')}</td>
+                      <td className="py-2 pr-3 text-right">{total('updated_rows')}</td>
+                      <td className="py-2 pr-3 text-right">{total('new_rows')}</td>
+                      <td className="py-2 pr-3 text-right">{total('zeroed_rows')}</td>
+                      <td className={`py-2 ${AUDIT_STATUS_STYLES[entry.status] || ''}`}>
+                        {data.statuses[entry.status] || entry.status}
+                        {entry.error && <p className="text-red-300 text-xs mt-1 whitespace-pre-line">{formatError(entry.error)}</p>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            {data.entries.length === 0 && (
+              <p className="text-center text-gray-500 py-6">Aucun traitement ne correspond à ces filtres</p>
+            )}
+
+            <div className="flex items-center justify-between mt-4 text-sm text-gray-400">
+              <span>
+                {data.total === 0 ? 0 : data.offset + 1}-{data.offset + data.entries.length} sur {data.total}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setQuery(prev => ({ ...prev, offset: Math.max(0, prev.offset - AUDIT_PAGE_SIZE) }))}
+                  disabled={data.offset === 0}
+                  className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Précédent
+                </button>
+                <button
+                  onClick={() => setQuery(prev => ({ ...prev, offset: prev.offset + AUDIT_PAGE_SIZE }))}
+                  disabled={data.offset + data.entries.length >= data.total}
+                  className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Suivant
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Versions du fichier de suivi conservées sur le serveur pour une équipe
+function TrackingVersions({ team, refreshKey }) {
+  const [versions, setVersions] = useState([]);
+
+  useEffect(() => {
+    // Attendre la fin de la saisie avant d'interroger le serveur
+    const timer = setTimeout(() => {
+      apiFetch(`/api/tracking-store/${encodeURIComponent(team)}/versions`)
+        .then(response => (response.ok ? response.json() : { versions: [] }))
+        .then(data => setVersions(data.versions))
+        .catch(() => setVersions([]));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [team, refreshKey]);
+
+  if (versions.length === 0) {
+    return (
+      <p className="text-gray-500 text-sm">
+        Aucun suivi conservé pour cette équipe : envoyez le fichier de suivi une première fois.
+      </p>
+    );
+  }
+
+  return (
+    <div className="p-4 bg-gray-900/50 border border-gray-700 rounded-xl">
+      <p className="text-gray-300 text-sm font-medium mb-2">
+        Suivi conservé sur le serveur : le fichier de suivi est facultatif
+      </p>
+      <table className="w-full text-sm">
+        <tbody>
+          {[...versions].reverse().slice(0, 5).map((version) => (
+            <tr key={version.version} className="border-b border-gray-800 text-gray-400">
+              <td className="py-2 pr-3 text-white">v{version.version}</td>
+              <td className="py-2 pr-3">{new Date(version.created_at).toLocaleString('fr-FR')}</td>
+              <td className="py-2 pr-3">{version.summary}</td>
+              <td className="py-2 text-right">
+                <button
+                  onClick={() => openDownload(`/api/tracking-store/${encodeURIComponent(team)}/versions/${version.version}/download`)
+                    .catch(err => console.error('❌ Téléchargement impossible:', err))}
+                  className="text-blue-400 hover:text-blue-300"
+                >
+                  <Download className="w-4 h-4 inline" />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 // Page de traitement d'une application
-function AppProcessingPage({ app, onBack }) {
+function AppProcessingPage({ app, outputFormats, onBack }) {
   const [files, setFiles] = useState({});
   const [params, setParams] = useState({});
+  const [outputFormat, setOutputFormat] = useState('xlsx');
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
-  const [funnyMessage, setFunnyMessage] = useState('');
+  const [jobStep, setJobStep] = useState('');
   const [result, setResult] = useState(null);
+  const [preview, setPreview] = useState(null);
   const [error, setError] = useState(null);
+  const [suggestions, setSuggestions] = useState({});
+
+  // Valeurs proposées par le serveur d'après les fichiers choisis (ex: date d'export).
+  // Un champ vide, ou encore égal à la proposition précédente, est prérempli.
+  const inspectFiles = async (nextFiles) => {
+    try {
+      const response = await apiFetch(`/api/inspect/${app.id}`, {
+        method: 'POST',
+        body: buildFilesFormData(nextFiles),
+      });
+      if (!response.ok) return;
 
+      const { suggestions: nextSuggestions } = await response.json();
+      setParams(prev => {
+        const next = { ...prev };
+        Object.entries(nextSuggestions).forEach(([paramId, suggestion]) => {
+          if (!prev[paramId] || prev[paramId] === suggestions[paramId]?.value) {
+            next[paramId] = suggestion.value;
+          }
+        });
+        return next;
+      });
+      setSuggestions(nextSuggestions);
+    } catch (err) {
+      console.error('Erreur analyse des fichiers:', err);
+    }
+  };
+
+  // Toute modification des entrées invalide la prévisualisation affichée
   const handleFileChange = (fileId, file) => {
-    setFiles(prev => ({ ...prev, [fileId]: file }));
+    const nextFiles = { ...files, [fileId]: file };
+    setFiles(nextFiles);
+    setPreview(null);
     setError(null);
+
+    if (app.inspect) {
+      inspectFiles(nextFiles);
+    }
   };
 
   const handleParamChange = (paramId, value) => {
     setParams(prev => ({ ...prev, [paramId]: value }));
+    setPreview(null);
   };
 
   const canProcess = () => {
-    const allFilesUploaded = app.files.every(f => files[f.id]);
-    const allParamsFilled = app.params.every(p => params[p.id]);
+    const allFilesUploaded = app.files.every(f => f.required === false || [].concat(files[f.id] || []).length > 0);
+    const allParamsFilled = app.params.every(p => p.required === false || params[p.id]);
     return allFilesUploaded && allParamsFilled;
   };
 
-  const handleProcess = async () => {
+  // Un import groupé (plusieurs fichiers dans un même emplacement) part directement en traitement
+  const usePreview = app.preview && app.files.every(f => [].concat(files[f.id] || []).length <= 1);
+
+  // dryRun: prévisualisation JSON de l'import, sans génération de fichier
+  const handleProcess = async (dryRun = false) => {
     setIsProcessing(true);
     setProgress(0);
     setError(null);
     setResult(null);
-
-    // Animation des messages amusants
-    const messageInterval = setInterval(() => {
-      setFunnyMessage(FUNNY_MESSAGES[Math.floor(Math.random() * FUNNY_MESSAGES.length)]);
-    }, 3000);
+    setPreview(null);
 
     try {
-      // URL de l'API - utilise la variable d'environnement ou localhost par défaut
-      const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:10000'; 
-      
-      // Préparer FormData
-      const formData = new FormData();
-      
-      // Ajouter les fichiers avec la bonne convention de nommage
-      Object.entries(files).forEach(([key, file]) => {
-        formData.append(`file_${key}`, file);
-      });
-      
-      // Ajouter les paramètres
+      // Préparer FormData: fichiers puis paramètres
+      const formData = buildFilesFormData(files);
       formData.append('params', JSON.stringify(params));
 
-      // Simulation de progression
-      const progressInterval = setInterval(() => {
-        setProgress(prev => {
-          if (prev >= 90) return prev;
-          return prev + Math.random() * 15;
-        });
-      }, 500);
-
-      // Appel API réel
-      const response = await fetch(`${API_URL}/api/process/${app.id}`, {
+      // Mise en file d'attente du traitement
+      const query = dryRun ? '?dry_run=true' : `?output_format=${outputFormat}`;
+      const submitResponse = await apiFetch(`/api/process/${app.id}${query}`, {
         method: 'POST',
         body: formData,
       });
 
-      clearInterval(progressInterval);
+      if (!submitResponse.ok) {
+        throw new Error(await readApiError(submitResponse));
+      }
+
+      const { job_id: jobId } = await submitResponse.json();
+
+      // Suivi de l'avancement réel jusqu'à la fin du job
+      const job = await followJob(jobId, (update) => {
+        setProgress(update.progress.percent);
+        setJobStep(describeJobStep(update));
+      });
 
-      console.log('📡 Réponse reçue, status:', response.status);
+      if (job.status === 'failed') {
+        throw new Error(formatError(job.error));
+      }
 
+      const response = await apiFetch(`/api/jobs/${jobId}/result`);
       if (!response.ok) {
-        let errorData;
-        try {
-          errorData = await response.json();
-          console.error('❌ Erreur API complète:', JSON.stringify(errorData, null, 2));
-        } catch {
-          errorData = { detail: `Erreur HTTP ${response.status}` };
-        }
-        
-        // Extraire le message d'erreur
-        let errorMessage = 'Erreur lors du traitement';
-        if (errorData.detail) {
-          if (Array.isArray(errorData.detail)) {
-            // FastAPI validation errors sont dans un tableau
-            errorMessage = errorData.detail.map(err => {
-              return `${err.loc ? err.loc.join(' > ') : ''}: ${err.msg}`;
-            }).join('\n');
-          } else if (typeof errorData.detail === 'string') {
-            errorMessage = errorData.detail;
-          }
-        }
-        
-        throw new Error(errorMessage);
+        throw new Error(await readApiError(response));
+      }
+
+      if (dryRun) {
+        const data = await response.json();
+        setProgress(100);
+        setPreview(data.preview);
+        return;
       }
 
       // Récupérer le nom du fichier depuis les headers de la réponse
       const contentDisposition = response.headers.get('Content-Disposition');
-      let filename = `resultat_${app.id}_${Date.now()}.xlsx`;
+      let filename = job.result_filename || `resultat_${app.id}_${Date.now()}.xlsx`;
       
       if (contentDisposition) {
-        const filenameMatch = contentDisposition.match(/filename="?(.+)"?/i);
+        const filenameMatch = contentDisposition.match(/filename="?([^";]+)"?/i);
         if (filenameMatch && filenameMatch[1]) {
           filename = filenameMatch[1];
         }
@@ -320,23 +942,10 @@ function AppProcessingPage({ app, onBack }) {
 
     } catch (err) {
       console.error('Erreur complète:', err);
-      
-      // Mieux gérer l'affichage de l'erreur
-      let errorMessage = 'Une erreur est survenue';
-      
-      if (err.message) {
-        errorMessage = err.message;
-      } else if (typeof err === 'string') {
-        errorMessage = err;
-      } else if (err.detail) {
-        errorMessage = err.detail;
-      }
-      
-      setError(errorMessage);
+      setError(err.message || formatError({ code: 'INTERNAL_ERROR' }));
     } finally {
-      clearInterval(messageInterval);
       setIsProcessing(false);
-      setFunnyMessage('');
+      setJobStep('');
     }
   };
 
@@ -404,33 +1013,79 @@ function AppProcessingPage({ app, onBack }) {
                 <div key={param.id} className="space-y-2">
                   <label className="block text-sm font-medium text-gray-300">
                     {param.label}
+                    {param.required === false && <span className="text-gray-500"> (optionnel)</span>}
                   </label>
-                  <input
-                    type={param.type}
-                    placeholder={param.placeholder}
-                    value={params[param.id] || ''}
-                    onChange={(e) => handleParamChange(param.id, e.target.value)}
-                    className="w-full px-4 py-3 bg-gray-900/50 border border-gray-600 rounded-xl text-white placeholder-gray-500 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 transition-all outline-none"
-                  />
+                  {param.type === 'select' ? (
+                    <select
+                      value={params[param.id] || ''}
+                      onChange={(e) => handleParamChange(param.id, e.target.value)}
+                      className="w-full px-4 py-3 bg-gray-900/50 border border-gray-600 rounded-xl text-white focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 transition-all outline-none"
+                    >
+                      <option value="">Par défaut</option>
+                      {param.options.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type={param.type === 'mapping' ? 'text' : param.type}
+                      min={param.min}
+                      max={param.max}
+                      placeholder={param.placeholder}
+                      value={params[param.id] || ''}
+                      onChange={(e) => handleParamChange(param.id, e.target.value)}
+                      className="w-full px-4 py-3 bg-gray-900/50 border border-gray-600 rounded-xl text-white placeholder-gray-500 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 transition-all outline-none"
+                    />
+                  )}
+                  {suggestions[param.id] && params[param.id] === suggestions[param.id].value && (
+                    <p className="text-gray-500 text-sm">
+                      Valeur proposée d'après : {describeSuggestionSource(suggestions[param.id].source)}
+                    </p>
+                  )}
+                  {param.id === 'team' && /^[a-z0-9][a-z0-9_-]*$/i.test(params.team || '') && (
+                    <TrackingVersions team={params.team} refreshKey={result} />
+                  )}
+                  {param.type === 'date' && getDateWarnings(params[param.id], suggestions[param.id]).map((warning) => (
+                    <p key={warning} className="text-amber-400 text-sm flex items-center gap-2">
+                      <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                      {warning}
+                    </p>
+                  ))}
                 </div>
               ))}
             </div>
           )}
 
+          {/* Format du résultat */}
+          {outputFormats.length > 1 && (
+            <div className="space-y-2 mb-8">
+              <label className="block text-sm font-medium text-gray-300">Format du résultat</label>
+              <select
+                value={outputFormat}
+                onChange={(e) => setOutputFormat(e.target.value)}
+                className="w-full px-4 py-3 bg-gray-900/50 border border-gray-600 rounded-xl text-white focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 transition-all outline-none"
+              >
+                {outputFormats.map((format) => (
+                  <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Erreur */}
           {error && (
             <div className="mb-6 p-4 bg-red-500/10 border border-red-500/50 rounded-xl flex items-start gap-3">
               <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
               <div>
                 <p className="text-red-400 font-medium">Erreur</p>
-                <p className="text-red-300 text-sm mt-1">{error}</p>
+                <p className="text-red-300 text-sm mt-1 whitespace-pre-line">{error}</p>
               </div>
             </div>
           )}
 
           {/* Bouton de traitement */}
           <button
-            onClick={handleProcess}
+            onClick={() => handleProcess(usePreview)}
             disabled={!canProcess() || isProcessing}
             className={`w-full py-4 rounded-xl font-semibold text-white transition-all duration-300 flex items-center justify-center gap-3 ${
               canProcess() && !isProcessing
@@ -446,7 +1101,7 @@ function AppProcessingPage({ app, onBack }) {
             ) : (
               <>
                 <Upload className="w-5 h-5" />
-                Lancer le traitement
+                {usePreview ? "Prévisualiser l'import" : 'Lancer le traitement'}
               </>
             )}
           </button>
@@ -454,18 +1109,29 @@ function AppProcessingPage({ app, onBack }) {
           {/* Barre de progression */}
           {isProcessing && (
             <div className="mt-6 space-y-3">
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-300 font-medium">{jobStep}</span>
+                <span className="text-gray-400">{Math.round(progress)}%</span>
+              </div>
               <div className="w-full bg-gray-700 rounded-full h-3 overflow-hidden">
                 <div
                   className="h-full bg-gradient-to-r from-blue-500 to-purple-500 transition-all duration-500 ease-out rounded-full"
                   style={{ width: `${progress}%` }}
                 ></div>
               </div>
-              <p className="text-center text-gray-400 text-sm italic animate-pulse">
-                {funnyMessage}
-              </p>
             </div>
           )}
 
+          {/* Prévisualisation */}
+          {preview && !isProcessing && (
+            <PreviewSummary
+              preview={preview}
+              color={app.color}
+              onConfirm={() => handleProcess(false)}
+              onCancel={() => setPreview(null)}
+            />
+          )}
+
           {/* Résultat */}
           {result && (
             <div className="mt-6 p-6 bg-green-500/10 border border-green-500/50 rounded-xl">
@@ -474,7 +1140,7 @@ function AppProcessingPage({ app, onBack }) {
                   <Check className="w-6 h-6 text-green-400" />
                   <div>
                     <p className="text-green-400 font-semibold">Traitement terminé !</p>
-                    <p className="text-gray-400 text-sm mt-1">Votre fichier est prêt</p>
+                    <p className="text-gray-400 text-sm mt-1">Votre fichier est prêt : {result.filename}</p>
                   </div>
                 </div>
                 <button
@@ -495,11 +1161,99 @@ function AppProcessingPage({ app, onBack }) {
 
 // Application principale
 export default function ExcelProcessingPortal() {
+  const [session, setSession] = useState({ status: 'checking', user: null, authEnabled: true });
+  const [apps, setApps] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
   const [currentApp, setCurrentApp] = useState(null);
+  const [showAudit, setShowAudit] = useState(false);
+  const [outputFormats, setOutputFormats] = useState([]);
+
+  // Session en cours? (toujours ouverte si le serveur n'exige pas d'authentification)
+  useEffect(() => {
+    apiFetch('/api/auth/me')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setSession(data
+        ? { status: 'authenticated', user: data.user, authEnabled: data.auth_enabled }
+        : { status: 'anonymous', user: null, authEnabled: true }))
+      .catch(err => {
+        console.error('Erreur vérification de la session:', err);
+        setSession({ status: 'anonymous', user: null, authEnabled: true });
+      });
+
+    const handleExpired = () => {
+      setCurrentApp(null);
+      setShowAudit(false);
+      setIsLoading(true);
+      setSession({ status: 'anonymous', user: null, authEnabled: true });
+    };
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  // Les applications, leurs fichiers et paramètres viennent du registre du backend,
+  // limité aux traitements ouverts au rôle de l'utilisateur
+  useEffect(() => {
+    if (session.status !== 'authenticated') return;
+
+    apiFetch('/api/treatments')
+      .then(async response => {
+        if (!response.ok) throw new Error(await readApiError(response));
+        return response.json();
+      })
+      .then(data => {
+        setApps(data.treatments.map(treatment => ({
+          ...DEFAULT_APPEARANCE,
+          ...APP_APPEARANCE[treatment.id],
+          ...treatment
+        })));
+        setOutputFormats(data.output_formats || []);
+      })
+      .catch(err => {
+        console.error('Erreur chargement des traitements:', err);
+        setLoadError(err.message);
+      })
+      .finally(() => setIsLoading(false));
+  }, [session]);
+
+  const handleLogout = () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    setCurrentApp(null);
+    setShowAudit(false);
+    setApps([]);
+    setIsLoading(true);
+    setLoadError(null);
+    setSession({ status: 'anonymous', user: null, authEnabled: true });
+  };
+
+  if (session.status === 'checking') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center gap-3 text-gray-400">
+        <Loader2 className="w-6 h-6 animate-spin" />
+        Vérification de la session...
+      </div>
+    );
+  }
+
+  if (session.status === 'anonymous') {
+    return <LoginPage onLogin={user => setSession({ status: 'authenticated', user, authEnabled: true })} />;
+  }
+
+  if (showAudit) {
+    return <AuditPage apps={apps} onBack={() => setShowAudit(false)} />;
+  }
 
   return currentApp ? (
-    <AppProcessingPage app={currentApp} onBack={() => setCurrentApp(null)} />
+    <AppProcessingPage app={currentApp} outputFormats={outputFormats} onBack={() => setCurrentApp(null)} />
   ) : (
-    <HomePage onSelectApp={setCurrentApp} />
+    <HomePage
+      apps={apps}
+      isLoading={isLoading}
+      loadError={loadError}
+      onSelectApp={setCurrentApp}
+      user={session.user}
+      onLogout={session.authEnabled ? handleLogout : null}
+      onOpenAudit={() => setShowAudit(true)}
+    />
   );
-}
\ No newline at end of file
+}
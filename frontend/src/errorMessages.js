@@ -0,0 +1,239 @@
+// ===================================
+// Catalogue des messages d'erreur
+// L'API renvoie { error: { code, status, message, context } }: le message affiché
+// est construit ici à partir du code et du contexte, dans la langue du navigateur.
+// Un code absent du catalogue affiche le message (français) fourni par le serveur.
+// ===================================
+
+const LANGUAGES = ['fr', 'en'];
+
+export const LANGUAGE = (() => {
+  const preferred = (navigator.languages || [navigator.language || 'fr'])
+    .map(language => language.slice(0, 2).toLowerCase())
+    .find(language => LANGUAGES.includes(language));
+  return preferred || 'fr';
+})();
+
+const list = (values, separator = ', ') => [].concat(values || []).join(separator);
+const fileOf = c => (c.file ? `"${c.file}"` : c.label || c.slot || '');
+const paramOf = c => c.label || c.param;
+
+// Détails communs aux paramètres refusés: valeurs possibles ou bornes
+function describeParamLimits(c, lang) {
+  if (c.allowed) return lang === 'fr' ? `valeurs possibles: ${list(c.allowed)}` : `allowed values: ${list(c.allowed)}`;
+  if (c.min !== undefined && c.max !== undefined) return lang === 'fr' ? `de ${c.min} à ${c.max}` : `from ${c.min} to ${c.max}`;
+  if (c.min !== undefined) return `minimum ${c.min}`;
+  return c.reason || '';
+}
+
+function describeColumns(c, lang) {
+  const lines = [];
+  const fr = lang === 'fr';
+  (c.missing || []).forEach(item => {
+    lines.push(fr
+      ? `- manquante: ${item.label} (en-têtes reconnus: ${list(item.aliases)})`
+      : `- missing: ${item.label} (recognised headers: ${list(item.aliases)})`);
+  });
+  (c.ambiguous || []).forEach(item => {
+    lines.push(fr ? `- ambiguë: ${item.label}: ${list(item.columns)}` : `- ambiguous: ${item.label}: ${list(item.columns)}`);
+  });
+  (c.invalid || []).forEach(item => {
+    lines.push(fr
+      ? `- correspondance invalide: ${item.label}: colonne « ${item.column} » introuvable`
+      : `- invalid mapping: ${item.label}: column "${item.column}" not found`);
+  });
+  lines.push(fr
+    ? `En-têtes présents: ${list(c.headers) || 'aucun'}`
+    : `Headers found: ${list(c.headers) || 'none'}`);
+  return lines.join('\n');
+}
+
+const MESSAGES = {
+  fr: {
+    // Génériques
+    VALIDATION_ERROR: () => 'Demande invalide',
+    NOT_FOUND: () => 'Ressource introuvable',
+    CONFLICT: () => "Opération impossible dans l'état actuel",
+    FORBIDDEN: () => 'Accès refusé',
+    UNSUPPORTED_FILE: () => 'Fichier non pris en charge',
+    INTERNAL_ERROR: () => 'Erreur interne du serveur',
+    INVALID_REQUEST: c => `${c.count} problèmes empêchent le traitement:`,
+    HTTP_ERROR: c => `Erreur HTTP ${c.status}`,
+    JOB_STREAM_LOST: () => 'Connexion au suivi du traitement perdue',
+
+    // Authentification et droits
+    AUTH_REQUIRED: () => 'Authentification requise',
+    INVALID_TOKEN: () => 'Jeton de session invalide, reconnectez-vous',
+    SESSION_EXPIRED: () => 'Session expirée, reconnectez-vous',
+    INVALID_CREDENTIALS: () => 'Identifiant ou mot de passe incorrect',
+    CREDENTIALS_MISSING: () => 'Identifiant et mot de passe requis',
+    AUTH_DISABLED: () => "L'authentification est désactivée sur ce serveur",
+    ROLE_FORBIDDEN: () => 'Votre rôle ne donne pas accès à cette ressource',
+    ADMIN_REQUIRED: () => 'Réservé aux administrateurs',
+    TREATMENT_FORBIDDEN: c => `Vous n'avez pas accès au traitement « ${c.treatment} »`,
+    TEAM_FORBIDDEN: c => `Vous n'avez pas accès à l'équipe « ${c.team} »`,
+    LINK_PATH_INVALID: c => `Aucun lien ne peut être créé pour ${c.path}`,
+
+    // Traitements et jobs
+    TREATMENT_NOT_FOUND: c => `Traitement inconnu: ${c.treatment}`,
+    TREATMENT_INACTIVE: c => `Le traitement « ${c.treatment} » est en cours de développement`,
+    PREVIEW_UNSUPPORTED: c => `Le traitement « ${c.treatment} » ne propose pas de prévisualisation`,
+    INVALID_PARAMS_JSON: () => 'Paramètres invalides: objet JSON attendu',
+    OUTPUT_FORMAT_UNKNOWN: c => `Format de sortie inconnu: ${c.value} (valeurs possibles: ${list(c.allowed)})`,
+    JOB_NOT_FOUND: () => 'Traitement introuvable ou expiré',
+    JOB_NOT_FINISHED: () => "Le traitement n'est pas encore terminé",
+
+    // Fichiers envoyés
+    FILE_MISSING: c => `Fichier manquant: ${c.label || c.slot}`,
+    TOO_MANY_FILES: c => `Un seul fichier attendu pour: ${c.label || c.slot}`,
+    FILE_TOO_LARGE: c => `Fichier trop volumineux: ${c.max_mb} Mo au maximum`,
+    UPLOAD_INVALID: c => `Envoi de fichiers invalide${c.reason ? ` (${c.reason})` : ''}`,
+    UNSUPPORTED_FILE_TYPE: c => `"${c.file}": seuls les classeurs (${list(c.extensions)}) sont acceptés`,
+    FILE_PASSWORD_PROTECTED: c => `"${c.file}" est protégé par mot de passe: enregistrez-le sans mot de passe`,
+    FILE_NOT_SPREADSHEET: c => `"${c.file}" n'est pas un classeur (contenu non reconnu)`,
+    FILE_NOT_CONVERTED: c => `"${c.file}" n'a pas pu être converti en classeur .xlsx`,
+    FILE_CORRUPTED: c => `"${c.file}" est endommagé ou illisible${c.format ? ` (${c.format})` : ''}`,
+    ARCHIVE_TOO_LARGE: c => `"${c.file}" est trop volumineux une fois décompressé${c.max_mb ? ` (${c.max_mb} Mo au maximum)` : ''}`,
+    ARCHIVE_TOO_MANY_ENTRIES: c => `"${c.file}" contient ${c.entries} éléments (maximum ${c.max})`,
+    ARCHIVE_SIZE_MISMATCH: c => `"${c.file}" est une archive piégée: ${c.entry} dépasse sa taille déclarée`,
+    UNSUPPORTED_COMPRESSION: c => `"${c.file}" utilise une compression non prise en charge`,
+    SHEET_MISSING: c => `${c.file ? `${fileOf(c)}: ` : ''}feuille « ${c.sheet} » introuvable`,
+    FILE_EMPTY: c => `${fileOf(c)}: aucune donnée${c.sheet ? ` dans la feuille « ${c.sheet} »` : ''}`,
+    HEADER_MISSING: c => `Aucun en-tête trouvé en ligne 1 du fichier "${c.file}"`,
+    COLUMN_MISSING: c => `Colonne « ${c.column} » introuvable dans le fichier "${c.file}"`,
+    COLUMNS_MISSING: c => `Colonnes introuvables dans la feuille « ${c.sheet} »: ${list(c.columns)}`,
+    COLUMNS_UNRECOGNIZED: c => `Colonnes non reconnues dans la feuille « ${c.sheet} »:\n${describeColumns(c, 'fr')}\nPrécisez les colonnes avec le paramètre de correspondance des colonnes.`,
+
+    // Paramètres
+    PARAM_MISSING: c => `Paramètre manquant: ${paramOf(c)}`,
+    PARAM_INVALID: c => {
+      const details = describeParamLimits(c, 'fr');
+      return `Paramètre invalide: ${paramOf(c)}${c.value !== undefined ? ` = ${c.value}` : ''}${details ? ` (${details})` : ''}`;
+    },
+    INVALID_DATE_FORMAT: c => `${c.label ? `${c.label}: ` : ''}date invalide « ${c.value} » (format attendu: JJ/MM/AAAA ou AAAA-MM-JJ)`,
+    PERIOD_INVALID: c => `Période invalide: « ${c.value} ». Exemples: Q1 2024, mars 2024, S2 2023, 01/01/2024 - 31/03/2024`,
+    PERIOD_REVERSED: c => `Période invalide: « ${c.value} » (la date de début est postérieure à la date de fin)`,
+    FILTER_INVALID: c => `Filtre ${c.filter} invalide: ${c.value}${c.allowed ? ` (valeurs possibles: ${list(c.allowed)})` : ''}`,
+
+    // Suivi de stock
+    DATE_ALREADY_IMPORTED: c => `Les données du ${c.date} ont déjà été importées: utilisez le mode remplacement ou annulez l'import`,
+    DATE_NOT_IMPORTED: c => `Aucune donnée importée pour la date du ${c.date}`,
+    EXPORT_DATE_UNDETECTED: c => `Date introuvable pour: ${list(c.files)}. Indiquez-la dans les dates des exports`,
+    DUPLICATE_EXPORT_DATE: c => `Deux exports portent la même date (${c.date}): ${list(c.files, ' et ')}`,
+    EXPORT_DATE_AMBIGUOUS: () => "La date d'export ne s'applique qu'à un seul fichier: renseignez les dates des exports pour un import groupé",
+    UNKNOWN_EXPORT_FILES: c => `Fichiers inconnus dans les dates des exports: ${list(c.files)}`,
+    PREVIEW_SINGLE_EXPORT: () => "La prévisualisation porte sur un seul fichier d'export",
+    TRACKING_OR_TEAM_MISSING: () => 'Fichier de suivi manquant: envoyez-le ou indiquez une équipe dont le suivi est conservé sur le serveur',
+    QUANTITY_NOT_NUMERIC: c => `Quantité non numérique dans l'export, lignes ${list(c.rows)}${c.more ? ` (et ${c.more} autres)` : ''}`,
+    THRESHOLDS_INVALID: c => `Seuils invalides (${c.source}), lignes ${list(c.rows)}: minimum et alerte doivent être des nombres`,
+    TEAM_INVALID: c => `Équipe invalide: ${c.team} (lettres, chiffres, "-" ou "_", 50 caractères au plus)`,
+    TEAM_NOT_FOUND: c => `Aucun fichier de suivi enregistré pour l'équipe ${c.team}`,
+    VERSION_NOT_FOUND: c => `Version ${c.version} introuvable pour l'équipe ${c.team}`,
+
+    // Fusion
+    MERGE_TOO_FEW_FILES: c => `Au moins ${c.min} fichiers sont nécessaires pour une fusion`
+  },
+
+  en: {
+    VALIDATION_ERROR: () => 'Invalid request',
+    NOT_FOUND: () => 'Resource not found',
+    CONFLICT: () => 'Operation not possible in the current state',
+    FORBIDDEN: () => 'Access denied',
+    UNSUPPORTED_FILE: () => 'Unsupported file',
+    INTERNAL_ERROR: () => 'Internal server error',
+    INVALID_REQUEST: c => `${c.count} problems prevent processing:`,
+    HTTP_ERROR: c => `HTTP error ${c.status}`,
+    JOB_STREAM_LOST: () => 'Lost connection to the processing status',
+
+    AUTH_REQUIRED: () => 'Authentication required',
+    INVALID_TOKEN: () => 'Invalid session token, please sign in again',
+    SESSION_EXPIRED: () => 'Session expired, please sign in again',
+    INVALID_CREDENTIALS: () => 'Incorrect username or password',
+    CREDENTIALS_MISSING: () => 'Username and password are required',
+    AUTH_DISABLED: () => 'Authentication is disabled on this server',
+    ROLE_FORBIDDEN: () => 'Your role does not give access to this resource',
+    ADMIN_REQUIRED: () => 'Administrators only',
+    TREATMENT_FORBIDDEN: c => `You do not have access to "${c.treatment}"`,
+    TEAM_FORBIDDEN: c => `You do not have access to team "${c.team}"`,
+    LINK_PATH_INVALID: c => `No link can be created for ${c.path}`,
+
+    TREATMENT_NOT_FOUND: c => `Unknown treatment: ${c.treatment}`,
+    TREATMENT_INACTIVE: c => `"${c.treatment}" is still under development`,
+    PREVIEW_UNSUPPORTED: c => `"${c.treatment}" does not offer a preview`,
+    INVALID_PARAMS_JSON: () => 'Invalid parameters: a JSON object is expected',
+    OUTPUT_FORMAT_UNKNOWN: c => `Unknown output format: ${c.value} (allowed values: ${list(c.allowed)})`,
+    JOB_NOT_FOUND: () => 'Processing job not found or expired',
+    JOB_NOT_FINISHED: () => 'Processing is not finished yet',
+
+    FILE_MISSING: c => `Missing file: ${c.label || c.slot}`,
+    TOO_MANY_FILES: c => `Only one file expected for: ${c.label || c.slot}`,
+    FILE_TOO_LARGE: c => `File too large: ${c.max_mb} MB maximum`,
+    UPLOAD_INVALID: c => `Invalid file upload${c.reason ? ` (${c.reason})` : ''}`,
+    UNSUPPORTED_FILE_TYPE: c => `"${c.file}": only spreadsheets (${list(c.extensions)}) are accepted`,
+    FILE_PASSWORD_PROTECTED: c => `"${c.file}" is password-protected: save it without a password`,
+    FILE_NOT_SPREADSHEET: c => `"${c.file}" is not a spreadsheet (unrecognised content)`,
+    FILE_NOT_CONVERTED: c => `"${c.file}" could not be converted to an .xlsx workbook`,
+    FILE_CORRUPTED: c => `"${c.file}" is damaged or unreadable${c.format ? ` (${c.format})` : ''}`,
+    ARCHIVE_TOO_LARGE: c => `"${c.file}" is too large once uncompressed${c.max_mb ? ` (${c.max_mb} MB maximum)` : ''}`,
+    ARCHIVE_TOO_MANY_ENTRIES: c => `"${c.file}" contains ${c.entries} entries (maximum ${c.max})`,
+    ARCHIVE_SIZE_MISMATCH: c => `"${c.file}" is a booby-trapped archive: ${c.entry} exceeds its declared size`,
+    UNSUPPORTED_COMPRESSION: c => `"${c.file}" uses an unsupported compression method`,
+    SHEET_MISSING: c => `${c.file ? `${fileOf(c)}: ` : ''}sheet "${c.sheet}" not found`,
+    FILE_EMPTY: c => `${fileOf(c)}: no data${c.sheet ? ` in sheet "${c.sheet}"` : ''}`,
+    HEADER_MISSING: c => `No header found on row 1 of "${c.file}"`,
+    COLUMN_MISSING: c => `Column "${c.column}" not found in "${c.file}"`,
+    COLUMNS_MISSING: c => `Columns not found in sheet "${c.sheet}": ${list(c.columns)}`,
+    COLUMNS_UNRECOGNIZED: c => `Unrecognised columns in sheet "${c.sheet}":\n${describeColumns(c, 'en')}\nSpecify the columns with the column mapping parameter.`,
+
+    PARAM_MISSING: c => `Missing parameter: ${paramOf(c)}`,
+    PARAM_INVALID: c => {
+      const details = describeParamLimits(c, 'en');
+      return `Invalid parameter: ${paramOf(c)}${c.value !== undefined ? ` = ${c.value}` : ''}${details ? ` (${details})` : ''}`;
+    },
+    INVALID_DATE_FORMAT: c => `${c.label ? `${c.label}: ` : ''}invalid date "${c.value}" (expected DD/MM/YYYY or YYYY-MM-DD)`,
+    PERIOD_INVALID: c => `Invalid period: "${c.value}". Examples: Q1 2024, March 2024, S2 2023, 01/01/2024 - 31/03/2024`,
+    PERIOD_REVERSED: c => `Invalid period: "${c.value}" (the start date is after the end date)`,
+    FILTER_INVALID: c => `Invalid ${c.filter} filter: ${c.value}${c.allowed ? ` (allowed values: ${list(c.allowed)})` : ''}`,
+
+    DATE_ALREADY_IMPORTED: c => `Data for ${c.date} has already been imported: use replace mode or roll the import back`,
+    DATE_NOT_IMPORTED: c => `No data imported for ${c.date}`,
+    EXPORT_DATE_UNDETECTED: c => `No date found for: ${list(c.files)}. Enter it in the export dates`,
+    DUPLICATE_EXPORT_DATE: c => `Two exports have the same date (${c.date}): ${list(c.files, ' and ')}`,
+    EXPORT_DATE_AMBIGUOUS: () => 'The export date applies to a single file only: fill in the export dates for a bulk import',
+    UNKNOWN_EXPORT_FILES: c => `Unknown files in the export dates: ${list(c.files)}`,
+    PREVIEW_SINGLE_EXPORT: () => 'The preview covers a single export file',
+    TRACKING_OR_TEAM_MISSING: () => 'Tracking file missing: upload it or enter a team whose tracking file is kept on the server',
+    QUANTITY_NOT_NUMERIC: c => `Non-numeric quantity in the export, rows ${list(c.rows)}${c.more ? ` (and ${c.more} more)` : ''}`,
+    THRESHOLDS_INVALID: c => `Invalid thresholds (${c.source}), rows ${list(c.rows)}: minimum and alert must be numbers`,
+    TEAM_INVALID: c => `Invalid team: ${c.team} (letters, digits, "-" or "_", 50 characters at most)`,
+    TEAM_NOT_FOUND: c => `No tracking file stored for team ${c.team}`,
+    VERSION_NOT_FOUND: c => `Version ${c.version} not found for team ${c.team}`,
+
+    MERGE_TOO_FEW_FILES: c => `At least ${c.min} files are needed for a merge`
+  }
+};
+
+/**
+ * Message à afficher pour une erreur de l'API (réponse, job en échec ou entrée du journal)
+ * @param {{code?: string, message?: string, context?: Object, errors?: Object[]}} error
+ * @param {string} [lang] - fr ou en (par défaut: langue du navigateur)
+ * @returns {string}
+ */
+export function formatError(error, lang = LANGUAGE) {
+  if (!error) return '';
+
+  const render = MESSAGES[lang][error.code];
+  let text = error.message || MESSAGES[lang].INTERNAL_ERROR();
+  if (render) {
+    try {
+      text = render(error.context || {});
+    } catch {
+      // Contexte incomplet (ancienne entrée du journal): message du serveur
+    }
+  }
+
+  if (error.errors && error.errors.length > 0) {
+    text = [text, ...error.errors.map(item => `- ${formatError(item, lang)}`)].join('\n');
+  }
+  return text;
+}